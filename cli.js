@@ -0,0 +1,709 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  analyzeApp,
+  analyzePortfolio,
+  searchKeywords,
+  searchKeywordsMultiStorefront,
+  compareKeywordsAcrossStores,
+  showKeywordOpportunities,
+  showKeywordHistory,
+  trackAppRanks,
+  analyzeKeywordGap,
+  buildKeywordField,
+  auditAppMetadata,
+  localizeAppKeywords,
+  DEFAULT_SIMILAR_APPS
+} = require('./main');
+const { DEFAULT_SCREENSHOT_LIMITS } = require('./services/keyword-generator');
+const { ScreenshotCache } = require('./services/screenshot-cache');
+const { REVIEW_SORTS, DEFAULT_REVIEW_PAGES } = require('./services/review-miner');
+const { RELEVANCE_ACTIONS, DEFAULT_RELEVANCE_OPTIONS } = require('./services/relevance-validator');
+const { parseLocale } = require('./services/localization');
+const { KeywordCache, DEFAULT_TTL_HOURS } = require('./services/keyword-cache');
+const { KeywordHistory } = require('./services/keyword-history');
+const { DEFAULT_DEPTH } = require('./services/rank-tracker');
+const { DEFAULT_EXPANSION_DEPTH, MAX_EXPANSION_DEPTH } = require('./services/keyword-expansion');
+const { ScoringModel } = require('./services/scoring-model');
+const { LlmUsage, BudgetExceededError } = require('./services/llm-usage');
+const { PROVIDER_NAMES } = require('./services/llm-providers');
+const { scheduler, SERVICE_NAMES } = require('./services/request-scheduler');
+const { FixtureStore } = require('./services/fixture-store');
+const { CheckpointStore, DEFAULT_CHECKPOINT_DIR } = require('./services/checkpoint-store');
+const { ValidationError } = require('./services/validation-error');
+const { OUTPUT_FORMATS, formatSearchResults, formatAppAnalysis, formatPortfolioSummary, formatLocalizedKeywords, formatFromPath, writeOutput } = require('./services/output-formatter');
+const { generateHtmlReport } = require('./services/html-report');
+const { DEFAULT_PLATFORM, PLATFORM_NAMES } = require('./services/stores');
+
+const CONFIG_FILE_NAME = 'aso.config.json';
+
+const EXIT_CODES = {
+  ok: 0,
+  // The command ran but failed, e.g. the store or the LLM kept erroring
+  failure: 1,
+  // Unknown command or option, missing argument or invalid value
+  usage: 2,
+  // Unreadable or invalid config or scoring file
+  config: 3,
+  // Stopped before an LLM call that could go over --max-budget
+  budget: 4
+};
+
+/**
+ * Error that ends the CLI with a specific exit code
+ */
+class CliError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} exitCode - Process exit code (default: EXIT_CODES.usage)
+   */
+  constructor(message, exitCode = EXIT_CODES.usage) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+// Every named option; commands list the ones they accept
+const OPTIONS = {
+  help: { type: 'boolean', description: 'Show help for the command' },
+  config: { type: 'string', placeholder: '<file>', description: `Config file with option defaults (default: ./${CONFIG_FILE_NAME} if present)` },
+  platform: { type: 'choice', choices: PLATFORM_NAMES, placeholder: '<name>', default: DEFAULT_PLATFORM, description: `Store: ${PLATFORM_NAMES.join(', ')}` },
+  country: { type: 'country', placeholder: '<code>', default: 'us', description: 'Storefront country' },
+  lang: { type: 'string', placeholder: '<code>', default: 'en', description: 'Storefront language' },
+  countries: { type: 'countries', placeholder: '<a,b,c>', description: 'Compare the keywords across several storefronts' },
+  locales: { type: 'locales', placeholder: '<ll-CC,..>', description: 'Target markets as language and country codes, e.g. de-DE,ja-JP,pt-BR' },
+  'compare-stores': { type: 'boolean', description: 'Compare the keywords on the App Store and Google Play' },
+  concurrency: { type: 'integer', min: 1, max: 20, default: 3, placeholder: '<n>', description: 'Keyword lookups run at once, 1-20' },
+  'similar-apps': { type: 'integer', min: 0, max: 10, default: DEFAULT_SIMILAR_APPS, placeholder: '<n>', description: 'Similar apps analyzed alongside the app, 0-10' },
+  competitors: { type: 'list', placeholder: '<id,id>', description: 'Analyze these apps instead of the store\'s similar apps' },
+  limit: { type: 'integer', min: 1, placeholder: '<n>', description: 'Only score the first n generated keywords' },
+  sample: { type: 'integer', min: 1, placeholder: '<n>', description: 'Only score n randomly picked generated keywords' },
+  top: { type: 'integer', min: 1, default: 10, placeholder: '<n>', description: 'Keywords to list' },
+  reviews: { type: 'boolean', description: 'Mine app reviews for keywords, feature requests and pain points' },
+  'review-pages': { type: 'integer', min: 1, max: 10, default: DEFAULT_REVIEW_PAGES, placeholder: '<n>', description: 'Pages of 50 reviews per app, 1-10' },
+  'review-sort': { type: 'choice', choices: REVIEW_SORTS, default: 'recent', placeholder: '<order>', description: `Reviews to mine: ${REVIEW_SORTS.join(', ')}` },
+  expand: { type: 'boolean', description: 'Add store search suggestions for the keywords and score them too' },
+  'expand-depth': { type: 'integer', min: 1, max: MAX_EXPANSION_DEPTH, default: DEFAULT_EXPANSION_DEPTH, placeholder: '<n>', description: `Levels of suggestions to follow, 1-${MAX_EXPANSION_DEPTH}` },
+  validate: { type: 'boolean', description: 'Search the store for each keyword and flag keywords without search presence for the app' },
+  'relevance-threshold': { type: 'integer', min: 0, max: 100, placeholder: '<n>', description: 'Lowest relevance score a keyword needs, 0-100 (default: 30 on the App Store, 25 on Google Play)' },
+  'relevance-depth': { type: 'integer', min: 1, max: 200, default: DEFAULT_RELEVANCE_OPTIONS.depth, placeholder: '<n>', description: 'Search results checked per keyword, 1-200' },
+  'relevance-action': { type: 'choice', choices: RELEVANCE_ACTIONS, default: DEFAULT_RELEVANCE_OPTIONS.action, placeholder: '<action>', description: `What happens to irrelevant keywords: ${RELEVANCE_ACTIONS.join(', ')}` },
+  scoring: { type: 'string', placeholder: '<file>', description: 'JSON config with score bands, weights and recommendation rules' },
+  depth: { type: 'integer', min: 1, max: 200, default: DEFAULT_DEPTH, placeholder: '<n>', description: 'Search results checked per keyword, 1-200' },
+  title: { type: 'string', placeholder: '<text>', description: 'Current title, words in it are left out of the field' },
+  subtitle: { type: 'string', placeholder: '<text>', description: 'Current subtitle, words in it are left out of the field' },
+  'checkpoint-dir': { type: 'string', placeholder: '<dir>', description: 'Where checkpoints are saved (default: .cache/batches/<file name>)' },
+  restart: { type: 'boolean', description: 'Ignore saved checkpoints and start the batch over' },
+  'cache-ttl': { type: 'number', min: 0, default: DEFAULT_TTL_HOURS, placeholder: '<hours>', description: 'Keyword cache lifetime' },
+  'no-cache': { type: 'boolean', description: 'Skip the keyword and screenshot caches entirely' },
+  refresh: { type: 'boolean', description: 'Re-analyze keywords and screenshots and overwrite cached results' },
+  'max-screenshots': { type: 'integer', min: 0, max: 10, default: DEFAULT_SCREENSHOT_LIMITS.maxCount, placeholder: '<n>', description: 'Screenshots sent to the LLM per app, 0-10' },
+  'image-width': { type: 'integer', min: 100, max: 2000, default: DEFAULT_SCREENSHOT_LIMITS.maxWidth, placeholder: '<px>', description: 'Width screenshots are downscaled to, 100-2000' },
+  provider: { type: 'choice', choices: PROVIDER_NAMES, placeholder: '<name>', description: `LLM backend: ${PROVIDER_NAMES.join(', ')} (default: anthropic)` },
+  model: { type: 'string', placeholder: '<name>', description: 'LLM model (default depends on provider)' },
+  'base-url': { type: 'string', placeholder: '<url>', description: 'Endpoint for OpenAI-compatible or self-hosted servers' },
+  temperature: { type: 'number', min: 0, max: 2, placeholder: '<n>', description: 'LLM temperature, 0-2 (default: 0.3)' },
+  'max-tokens': { type: 'integer', min: 1, placeholder: '<n>', description: 'LLM max output tokens (default: 2000)' },
+  'input-price': { type: 'number', min: 0, placeholder: '<usd>', description: 'Price per million input tokens, for models without a built-in price' },
+  'output-price': { type: 'number', min: 0, placeholder: '<usd>', description: 'Price per million output tokens, for models without a built-in price' },
+  'max-budget': { type: 'number', min: 0, placeholder: '<usd>', description: 'Stop before an LLM call that could take the run over this cost' },
+  'dry-run': { type: 'boolean', description: 'Scrape and estimate LLM tokens and cost without calling the LLM' },
+  'max-retries': { type: 'integer', min: 0, max: 10, placeholder: '<n>', description: 'Retries for 429, 5xx and network errors, 0-10 (default: 3)' },
+  'rate-limit': { type: 'rateLimits', placeholder: '<s=n,..>', description: `Requests per second per service: ${SERVICE_NAMES.join(', ')}` },
+  record: { type: 'string', placeholder: '<file>', description: 'Save every store, ASO and LLM response to a fixture file' },
+  replay: { type: 'string', placeholder: '<file>', description: 'Answer every call from a fixture file, without network access' },
+  format: { type: 'choice', choices: OUTPUT_FORMATS, placeholder: '<type>', description: `Machine-readable output: ${OUTPUT_FORMATS.join(', ')}` },
+  output: { type: 'string', placeholder: '<file>', description: 'Write results to a file (format taken from extension if not set)' },
+  report: { type: 'string', placeholder: '<file>', description: 'Write a self-contained HTML report' }
+};
+
+const STOREFRONT_OPTIONS = ['platform', 'country', 'lang'];
+const LLM_OPTIONS = ['provider', 'model', 'base-url', 'temperature', 'max-tokens', 'input-price', 'output-price', 'max-budget'];
+const CACHE_OPTIONS = ['cache-ttl', 'no-cache', 'refresh'];
+const SCREENSHOT_OPTIONS = ['max-screenshots', 'image-width'];
+const REQUEST_OPTIONS = ['max-retries', 'rate-limit', 'record', 'replay'];
+const OUTPUT_OPTIONS = ['format', 'output'];
+const REVIEW_OPTIONS = ['reviews', 'review-pages', 'review-sort'];
+const EXPAND_OPTIONS = ['expand', 'expand-depth'];
+const VALIDATE_OPTIONS = ['validate', 'relevance-threshold', 'relevance-depth', 'relevance-action'];
+
+/**
+ * Parses a comma-separated list into trimmed, non-empty items
+ * @param {string|Array} value - List or comma-separated string
+ * @returns {Array<string>} Items
+ */
+function parseList(value) {
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(item => item.length > 0);
+}
+
+/**
+ * Converts a raw option value from the command line or config file to its type
+ * @param {string} name - Option name
+ * @param {*} raw - Raw value
+ * @returns {*} Typed value
+ */
+function parseOptionValue(name, raw) {
+  const option = OPTIONS[name];
+  const label = `--${name}`;
+
+  switch (option.type) {
+    case 'boolean':
+      if (raw === true || raw === 'true') return true;
+      if (raw === false || raw === 'false') return false;
+      throw new CliError(`${label} takes no value`);
+    case 'integer':
+    case 'number': {
+      const value = Number(raw);
+      if (raw === '' || raw === null || isNaN(value) || (option.type === 'integer' && !Number.isInteger(value))) {
+        throw new CliError(`${label} must be ${option.type === 'integer' ? 'a whole number' : 'a number'}`);
+      }
+      if ((option.min !== undefined && value < option.min) || (option.max !== undefined && value > option.max)) {
+        const range = option.max !== undefined ? `between ${option.min} and ${option.max}` : `at least ${option.min}`;
+        throw new CliError(`${label} must be ${range}`);
+      }
+      return value;
+    }
+    case 'choice': {
+      const value = String(raw).toLowerCase();
+      if (!option.choices.includes(value)) {
+        throw new CliError(`${label} must be one of: ${option.choices.join(', ')}`);
+      }
+      return value;
+    }
+    case 'country':
+    case 'countries': {
+      const values = parseList(raw).map(value => value.toLowerCase());
+      if (values.length === 0 || values.some(value => !/^[a-z]{2}$/.test(value))) {
+        throw new CliError(`${label} must be a two-letter country code, e.g. us, de, jp`);
+      }
+      return option.type === 'country' ? values[0] : values;
+    }
+    case 'locales':
+      try {
+        return parseList(raw).map(parseLocale);
+      } catch (error) {
+        throw new CliError(`${label}: ${error.message}`);
+      }
+    case 'list':
+      return parseList(raw);
+    case 'rateLimits': {
+      const services = {};
+      for (const entry of parseList(raw)) {
+        const [service, value] = entry.split('=');
+        const requestsPerSecond = parseFloat(value);
+        if (!SERVICE_NAMES.includes(service) || isNaN(requestsPerSecond) || requestsPerSecond < 0) {
+          throw new CliError(`${label} must look like scraper=2,llm=0.5 with services: ${SERVICE_NAMES.join(', ')}`);
+        }
+        services[service] = { requestsPerSecond };
+      }
+      return services;
+    }
+    default:
+      return name === 'lang' ? String(raw).toLowerCase() : String(raw);
+  }
+}
+
+// Commands, in the order they're listed in the help
+const COMMANDS = [
+  {
+    name: 'analyze',
+    args: [{ name: 'appId', required: true }],
+    description: 'Scrape an app and its similar apps, generate keywords with the LLM and score them',
+    options: [...STOREFRONT_OPTIONS, 'concurrency', 'similar-apps', 'competitors', 'limit', 'sample', ...REVIEW_OPTIONS, ...EXPAND_OPTIONS, ...VALIDATE_OPTIONS, 'scoring', ...SCREENSHOT_OPTIONS, ...LLM_OPTIONS, 'dry-run', ...CACHE_OPTIONS, ...REQUEST_OPTIONS, ...OUTPUT_OPTIONS, 'report'],
+    examples: ['analyze 310633997', 'analyze 310633997 --country de --lang de', 'analyze com.adobe.lrmobile --platform gplay --reviews', 'analyze 310633997 --competitors 1294015297,1436018960 --report report.html', 'analyze 310633997 --validate --relevance-action drop', 'analyze 310633997 --reviews --dry-run', 'analyze 310633997 --max-budget 0.25'],
+    failure: 'Analysis failed',
+    run: async (args, options, runOptions) => {
+      if (options.sample !== undefined && options.limit !== undefined) {
+        throw new CliError('Use either --limit or --sample, not both');
+      }
+
+      const analysis = await analyzeApp(args.appId, { ...runOptions, concurrency: options.concurrency, limit: options.limit, sample: options.sample, competitors: options.competitors });
+      if (runOptions.format) {
+        writeOutput(formatAppAnalysis(analysis, runOptions.format), options.output);
+      }
+      if (options.report) {
+        console.log('\n📄 Building HTML report...');
+        const report = await generateHtmlReport(analysis, runOptions);
+        fs.mkdirSync(path.dirname(path.resolve(options.report)), { recursive: true });
+        fs.writeFileSync(options.report, report);
+        console.log(`✅ Report written to ${options.report}`);
+      }
+    }
+  },
+  {
+    name: 'search',
+    args: [{ name: 'keywords', required: true }],
+    description: 'Score comma-separated keywords with traffic and difficulty',
+    options: [...STOREFRONT_OPTIONS, 'countries', 'compare-stores', 'concurrency', ...EXPAND_OPTIONS, 'scoring', ...CACHE_OPTIONS, ...REQUEST_OPTIONS, ...OUTPUT_OPTIONS],
+    examples: ['search "AI photo editor,photo editor,photo editing"', 'search "photo editor,bildbearbeitung" --countries us,de,jp', 'search "photo editor,photo filters" --compare-stores', 'search "photo editor" --expand --expand-depth 2 --format csv'],
+    failure: 'Search failed',
+    run: async (args, options, runOptions, given) => {
+      const compared = options.countries || options['compare-stores'];
+      if (options.countries && options['compare-stores']) {
+        throw new CliError('Use either --countries or --compare-stores, not both');
+      }
+      if (options['compare-stores'] && given.has('platform')) {
+        throw new CliError('--compare-stores always covers both stores and can\'t be combined with --platform');
+      }
+      if (compared && (runOptions.format || runOptions.expand)) {
+        throw new CliError('--format, --output and --expand are supported for single-storefront searches only');
+      }
+
+      let results;
+      if (options['compare-stores']) {
+        results = await compareKeywordsAcrossStores(args.keywords, options.concurrency, runOptions);
+      } else if (options.countries) {
+        results = await searchKeywordsMultiStorefront(args.keywords, options.countries, options.concurrency, runOptions);
+      } else {
+        results = await searchKeywords(args.keywords, options.concurrency, runOptions);
+      }
+      if (runOptions.format) {
+        writeOutput(formatSearchResults(results, runOptions.format), options.output);
+      }
+    }
+  },
+  {
+    name: 'opportunities',
+    args: [{ name: 'keywords', required: true }],
+    description: 'Score comma-separated keywords and list the best opportunities',
+    options: ['platform', 'country', 'top', 'scoring', ...CACHE_OPTIONS, ...REQUEST_OPTIONS, ...OUTPUT_OPTIONS],
+    examples: ['opportunities "photo editor,photo filters,collage maker,retouch" --top 3'],
+    failure: 'Opportunity search failed',
+    run: async (args, options, runOptions) => {
+      const opportunities = await showKeywordOpportunities(args.keywords, options.top, runOptions);
+      if (runOptions.format) {
+        writeOutput(formatSearchResults(opportunities.topOpportunities, runOptions.format), options.output);
+      }
+    }
+  },
+  {
+    name: 'history',
+    args: [{ name: 'keywords', required: false }],
+    description: 'Show how keyword scores and recommendations changed over saved runs',
+    options: ['platform', 'country'],
+    examples: ['history', 'history "photo editor,photo filters" --country de'],
+    failure: 'History failed',
+    run: async (args, options, runOptions) => {
+      showKeywordHistory(args.keywords, runOptions);
+    }
+  },
+  {
+    name: 'rank',
+    args: [{ name: 'appId', required: true }, { name: 'keywords', required: false }],
+    description: 'Track where the app ranks in search results, generating keywords if none are given',
+    options: [...STOREFRONT_OPTIONS, 'depth', ...LLM_OPTIONS, ...REQUEST_OPTIONS],
+    examples: ['rank 310633997 "photo editor,photo filters"', 'rank 310633997 --depth 50'],
+    failure: 'Rank tracking failed',
+    run: async (args, options, runOptions) => {
+      await trackAppRanks(args.appId, args.keywords, { ...runOptions, depth: options.depth });
+    }
+  },
+  {
+    name: 'gap',
+    args: [{ name: 'appId', required: true }],
+    description: 'List keywords competitors target that the app\'s metadata doesn\'t cover',
+    options: [...STOREFRONT_OPTIONS, 'concurrency', 'similar-apps', 'competitors', 'scoring', ...SCREENSHOT_OPTIONS, ...LLM_OPTIONS, ...CACHE_OPTIONS, ...REQUEST_OPTIONS],
+    examples: ['gap 310633997', 'gap 310633997 --similar-apps 5'],
+    failure: 'Gap analysis failed',
+    run: async (args, options, runOptions) => {
+      await analyzeKeywordGap(args.appId, options.concurrency, { ...runOptions, competitors: options.competitors });
+    }
+  },
+  {
+    name: 'field',
+    args: [{ name: 'keywords', required: true }],
+    description: 'Build the 100-character App Store keyword field from scored keywords',
+    options: ['country', 'lang', 'title', 'subtitle', 'concurrency', 'scoring', ...CACHE_OPTIONS, ...REQUEST_OPTIONS],
+    examples: ['field "photo editor,photo filters,collage maker" --title "Lumen" --subtitle "Photo Editor"'],
+    failure: 'Keyword field optimization failed',
+    run: async (args, options, runOptions) => {
+      await buildKeywordField(args.keywords, options.concurrency, { ...runOptions, title: options.title, subtitle: options.subtitle });
+    }
+  },
+  {
+    name: 'audit',
+    args: [{ name: 'appId', required: true }, { name: 'keywords', required: false }],
+    description: 'Audit how well the title, subtitle, description and screenshots cover keywords',
+    options: [...STOREFRONT_OPTIONS, 'concurrency', 'scoring', ...SCREENSHOT_OPTIONS, ...LLM_OPTIONS, ...CACHE_OPTIONS, ...REQUEST_OPTIONS],
+    examples: ['audit 310633997', 'audit 310633997 "photo editor,photo filters"'],
+    failure: 'Metadata audit failed',
+    run: async (args, options, runOptions) => {
+      await auditAppMetadata(args.appId, args.keywords, { ...runOptions, concurrency: options.concurrency });
+    }
+  },
+  {
+    name: 'localize',
+    args: [{ name: 'appId', required: true }],
+    description: 'Generate keywords natively for target markets and score them in each market\'s storefront',
+    options: [...STOREFRONT_OPTIONS, 'locales', 'concurrency', 'scoring', ...SCREENSHOT_OPTIONS, ...LLM_OPTIONS, ...CACHE_OPTIONS, ...REQUEST_OPTIONS, ...OUTPUT_OPTIONS],
+    examples: ['localize 310633997 --locales de-DE,ja-JP,fr-FR', 'localize 310633997 --locales de-DE,pt-BR --output localized.csv'],
+    failure: 'Localization failed',
+    run: async (args, options, runOptions) => {
+      if (!options.locales) {
+        throw new CliError('localize needs --locales, e.g. --locales de-DE,ja-JP');
+      }
+
+      const localization = await localizeAppKeywords(args.appId, options.locales, options.concurrency, runOptions);
+      if (runOptions.format) {
+        writeOutput(formatLocalizedKeywords(localization, runOptions.format), options.output);
+      }
+    }
+  },
+  {
+    name: 'batch',
+    args: [{ name: 'file', required: true }],
+    description: 'Analyze every app in a JSON file, resuming from checkpoints after an interruption',
+    options: [...STOREFRONT_OPTIONS, 'concurrency', 'similar-apps', ...REVIEW_OPTIONS, ...EXPAND_OPTIONS, ...VALIDATE_OPTIONS, 'scoring', 'checkpoint-dir', 'restart', ...SCREENSHOT_OPTIONS, ...LLM_OPTIONS, 'dry-run', ...CACHE_OPTIONS, ...REQUEST_OPTIONS, ...OUTPUT_OPTIONS],
+    examples: ['batch apps.json', 'batch apps.json --concurrency 5 --reviews --output portfolio.md', 'batch apps.json --dry-run', 'batch apps.json --max-budget 2'],
+    failure: 'Batch failed',
+    run: async (args, options, runOptions) => {
+      const checkpointDir = options['checkpoint-dir'] || path.join(DEFAULT_CHECKPOINT_DIR, path.basename(args.file, path.extname(args.file)));
+      const checkpoints = new CheckpointStore({ dir: checkpointDir });
+      if (options.restart) {
+        checkpoints.clear();
+      }
+
+      const summary = await analyzePortfolio(args.file, options.concurrency, { ...runOptions, checkpoints });
+      if (runOptions.format) {
+        writeOutput(formatPortfolioSummary(summary, runOptions.format), options.output);
+      }
+      if (runOptions.usage.exceeded) {
+        return EXIT_CODES.budget;
+      }
+      return summary.totals.failed > 0 ? EXIT_CODES.failure : EXIT_CODES.ok;
+    }
+  }
+];
+
+// Pre-subcommand spellings, e.g. "-search kw1,kw2 5", and whether they took a bare concurrency argument
+const LEGACY_COMMANDS = {
+  '-search': { name: 'search', concurrency: true },
+  '-history': { name: 'history' },
+  '-rank': { name: 'rank' },
+  '-gap': { name: 'gap', concurrency: true },
+  '-field': { name: 'field', concurrency: true },
+  '-audit': { name: 'audit' },
+  '-batch': { name: 'batch', concurrency: true }
+};
+
+/**
+ * Rewrites the old "-search kw 5" and "<appId> 5" forms as subcommands with --concurrency
+ * @param {Array<string>} argv - Raw command line arguments
+ * @returns {Array<string>} Arguments with a subcommand first
+ */
+function translateLegacyArgs(argv) {
+  const [first, ...rest] = argv;
+  const isCommand = first === 'help' || COMMANDS.some(command => command.name === first);
+  if (!first || isCommand || (first.startsWith('-') && !LEGACY_COMMANDS[first])) {
+    return argv;
+  }
+
+  // A bare app ID is short for "analyze <appId>"
+  const legacy = LEGACY_COMMANDS[first] || { name: 'analyze', concurrency: true };
+  const args = LEGACY_COMMANDS[first] ? rest : argv;
+  if (LEGACY_COMMANDS[first]) {
+    console.error(`⚠️ "${first}" is deprecated, use "${legacy.name}" instead`);
+  }
+
+  // The concurrency came right after the command's main argument
+  if (legacy.concurrency && /^\d+$/.test(args[1] || '')) {
+    console.error('⚠️ A bare concurrency argument is deprecated, use --concurrency instead');
+    return [legacy.name, args[0], '--concurrency', args[1], ...args.slice(2)];
+  }
+  return [legacy.name, ...args];
+}
+
+/**
+ * Separates "--name value" options from positional arguments, rejecting options the command doesn't take
+ * @param {Object} command - Command definition
+ * @param {Array<string>} argv - Arguments after the command name
+ * @returns {Object} { positional, raw: raw option values by name }
+ */
+function parseCommandLine(command, argv) {
+  const positional = [];
+  const raw = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (argv[i] === '-h') {
+      raw.help = true;
+      continue;
+    }
+    if (!match) {
+      positional.push(argv[i]);
+      continue;
+    }
+
+    const name = match[1];
+    if (name !== 'help' && name !== 'config' && !command.options.includes(name)) {
+      throw new CliError(`Unknown option --${name} for "${command.name}". Run "node main.js ${command.name} --help" for its options`);
+    }
+    if (OPTIONS[name].type === 'boolean') {
+      raw[name] = match[2] !== undefined ? match[2] : true;
+    } else if (match[2] !== undefined) {
+      raw[name] = match[2];
+    } else {
+      if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+        throw new CliError(`--${name} needs a value ${OPTIONS[name].placeholder}`);
+      }
+      raw[name] = argv[i + 1];
+      i++;
+    }
+  }
+
+  return { positional, raw };
+}
+
+/**
+ * Reads option defaults from a config file
+ * Keys are option names, in kebab-case or camelCase, e.g. { "concurrency": 5, "similarApps": 4 }
+ * @param {string} filePath - Config file path
+ * @returns {Object} Raw option values by option name
+ */
+function loadConfig(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new CliError(`Can't read config file ${filePath}: ${error.message}`, EXIT_CODES.config);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new CliError(`Config file ${filePath} must contain a JSON object`, EXIT_CODES.config);
+  }
+
+  const values = {};
+  Object.entries(config).forEach(([key, value]) => {
+    const name = key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    if (!OPTIONS[name] || ['help', 'config'].includes(name)) {
+      throw new CliError(`Unknown option "${key}" in config file ${filePath}`, EXIT_CODES.config);
+    }
+    values[name] = value;
+  });
+  return values;
+}
+
+/**
+ * Resolves a command's options from built-in defaults, the config file and the command line
+ * @param {Object} command - Command definition
+ * @param {Object} raw - Raw command line values
+ * @returns {Object} { options: typed values by name, given: names set in the config file or on the command line }
+ */
+function resolveOptions(command, raw) {
+  const configPath = raw.config || (fs.existsSync(CONFIG_FILE_NAME) ? CONFIG_FILE_NAME : null);
+  const config = configPath ? loadConfig(configPath) : {};
+
+  const options = {};
+  const given = new Set();
+  command.options.forEach(name => {
+    if (OPTIONS[name].default !== undefined) {
+      options[name] = OPTIONS[name].default;
+    }
+    // Config values are defaults for every command that takes the option; others ignore them
+    [[config, configPath && `config file ${configPath}`], [raw, null]].forEach(([source, sourceLabel]) => {
+      if (source[name] === undefined) return;
+      try {
+        options[name] = parseOptionValue(name, source[name]);
+      } catch (error) {
+        throw sourceLabel ? new CliError(`${error.message} (in ${sourceLabel})`, EXIT_CODES.config) : error;
+      }
+      given.add(name);
+    });
+  });
+
+  return { options, given };
+}
+
+/**
+ * Applies options with side effects and builds the run options passed to main.js
+ * @param {Object} command - Command definition
+ * @param {Object} options - Resolved option values
+ * @param {Set<string>} given - Options set explicitly
+ * @returns {Object} Run options ({ platform, country, lang, llm, cache, screenshotCache, ... })
+ */
+function buildRunOptions(command, options, given) {
+  const accepts = name => command.options.includes(name);
+
+  // Request scheduler options; unset values fall back to MAX_RETRIES and RATE_LIMIT_* variables
+  if (options['max-retries'] !== undefined) {
+    scheduler.configure({ maxRetries: options['max-retries'] });
+  }
+  if (options['rate-limit'] !== undefined) {
+    scheduler.configure({ services: options['rate-limit'] });
+  }
+  if (options.record && options.replay) {
+    throw new CliError('Use either --record or --replay, not both');
+  }
+  if (options.record || options.replay) {
+    const mode = options.record ? 'record' : 'replay';
+    scheduler.useFixtures(new FixtureStore(options.record || options.replay, { mode }));
+  }
+
+  let scoring;
+  if (options.scoring) {
+    try {
+      scoring = ScoringModel.load(options.scoring);
+    } catch (error) {
+      throw new CliError(error.message, EXIT_CODES.config);
+    }
+  }
+
+  // Review mining, suggestion expansion and relevance validation are opt-in since they cost extra calls
+  const reviewsRequested = REVIEW_OPTIONS.some(name => given.has(name) && options[name] !== false);
+  const expandRequested = EXPAND_OPTIONS.some(name => given.has(name) && options[name] !== false);
+  const validateRequested = VALIDATE_OPTIONS.some(name => given.has(name) && options[name] !== false);
+
+  return {
+    // The keyword field only exists on the App Store
+    platform: accepts('platform') ? options.platform : DEFAULT_PLATFORM,
+    country: options.country || 'us',
+    lang: options.lang || 'en',
+    similarApps: options['similar-apps'],
+    llm: {
+      provider: options.provider,
+      model: options.model,
+      baseUrl: options['base-url'],
+      temperature: options.temperature,
+      maxTokens: options['max-tokens'],
+      inputPrice: options['input-price'],
+      outputPrice: options['output-price']
+    },
+    usage: new LlmUsage({ maxBudget: options['max-budget'] !== undefined ? options['max-budget'] : null, dryRun: Boolean(options['dry-run']) }),
+    cache: !accepts('no-cache') || options['no-cache'] ? null : new KeywordCache({ ttlHours: options['cache-ttl'], refresh: Boolean(options.refresh) }),
+    screenshotCache: !accepts('max-screenshots') || options['no-cache'] ? null : new ScreenshotCache({ refresh: Boolean(options.refresh) }),
+    screenshotLimits: { maxCount: options['max-screenshots'], maxWidth: options['image-width'] },
+    reviews: reviewsRequested ? { pages: options['review-pages'], sort: options['review-sort'] } : null,
+    expand: expandRequested ? { depth: options['expand-depth'] } : null,
+    validate: validateRequested ? { threshold: options['relevance-threshold'], depth: options['relevance-depth'], action: options['relevance-action'] } : null,
+    scoring,
+    format: options.format || (options.output ? formatFromPath(options.output) : null),
+    // Replayed scores are fixture data, not fresh lookups
+    history: options.replay ? null : new KeywordHistory()
+  };
+}
+
+/**
+ * Formats the help of one command
+ * @param {Object} command - Command definition
+ * @returns {string} Help text
+ */
+function formatCommandHelp(command) {
+  const usage = command.args.map(arg => (arg.required ? `<${arg.name}>` : `[${arg.name}]`)).join(' ');
+  const lines = [
+    `Usage: node main.js ${command.name} ${usage} [options]`,
+    '',
+    command.description,
+    '',
+    'Options:'
+  ];
+  [...command.options, 'config', 'help'].forEach(name => {
+    const option = OPTIONS[name];
+    const flag = `--${name}${option.placeholder ? ` ${option.placeholder}` : ''}`;
+    const fallback = option.default !== undefined && option.type !== 'boolean' ? ` (default: ${option.default})` : '';
+    lines.push(`  ${flag.padEnd(24)}${option.description}${fallback}`);
+  });
+  lines.push('', 'Examples:', ...command.examples.map(example => `  node main.js ${example}`));
+  return lines.join('\n');
+}
+
+/**
+ * Formats the list of commands
+ * @returns {string} Help text
+ */
+function formatGeneralHelp() {
+  return [
+    'Usage: node main.js <command> [arguments] [options]',
+    '',
+    'Commands:',
+    ...COMMANDS.map(command => {
+      const usage = `${command.name} ${command.args.map(arg => (arg.required ? `<${arg.name}>` : `[${arg.name}]`)).join(' ')}`;
+      return `  ${usage.padEnd(28)}${command.description}`;
+    }),
+    `  ${'help [command]'.padEnd(28)}Show help for a command`,
+    '',
+    'Run "node main.js <command> --help" for the options of a command.',
+    `Option defaults can be set in ./${CONFIG_FILE_NAME} or a file passed with --config.`,
+    '',
+    'Exit codes: 0 success, 1 failed run, 2 invalid usage, 3 invalid config or scoring file, 4 over --max-budget'
+  ].join('\n');
+}
+
+/**
+ * Runs the CLI
+ * @param {Array<string>} argv - Command line arguments without "node main.js"
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv) {
+  let command;
+  try {
+    const [name, ...rest] = translateLegacyArgs(argv);
+
+    if (!name || name === 'help' || name === '--help' || name === '-h') {
+      const topic = name === 'help' && COMMANDS.find(c => c.name === rest[0]);
+      console.log(topic ? formatCommandHelp(topic) : formatGeneralHelp());
+      if (name === 'help' && rest[0] && !topic) {
+        throw new CliError(`Unknown command "${rest[0]}"`);
+      }
+      return name ? EXIT_CODES.ok : EXIT_CODES.usage;
+    }
+
+    command = COMMANDS.find(c => c.name === name);
+    if (!command) {
+      throw new CliError(`Unknown command "${name}". Run "node main.js --help" for the list of commands`);
+    }
+
+    const { positional, raw } = parseCommandLine(command, rest);
+    if (raw.help) {
+      console.log(formatCommandHelp(command));
+      return EXIT_CODES.ok;
+    }
+
+    // Positional arguments, in order
+    if (positional.length > command.args.length) {
+      throw new CliError(`Unexpected argument "${positional[command.args.length]}" for "${command.name}". Run "node main.js ${command.name} --help" for its usage`);
+    }
+    const args = {};
+    command.args.forEach((arg, i) => {
+      if (positional[i] === undefined && arg.required) {
+        throw new CliError(`Missing <${arg.name}> for "${command.name}". Run "node main.js ${command.name} --help" for its usage`);
+      }
+      args[arg.name] = positional[i];
+    });
+
+    const { options, given } = resolveOptions(command, raw);
+    const runOptions = buildRunOptions(command, options, given);
+
+    // Keep stdout clean for machine-readable output: status logs go to stderr while the command runs
+    const log = console.log;
+    if (runOptions.format) {
+      console.log = console.error;
+    }
+
+    try {
+      const exitCode = await command.run(args, options, runOptions, given);
+      return exitCode === undefined ? EXIT_CODES.ok : exitCode;
+    } finally {
+      console.log = log;
+    }
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      console.error(`🛑 ${error.message}`);
+      return EXIT_CODES.budget;
+    }
+    if (error instanceof CliError || error instanceof ValidationError) {
+      console.error(`❌ ${error.message}`);
+      return error.exitCode || EXIT_CODES.usage;
+    }
+    console.error(`❌ ${command ? command.failure : 'Command failed'}:`, error.message);
+    return EXIT_CODES.failure;
+  }
+}
+
+module.exports = {
+  run,
+  COMMANDS,
+  EXIT_CODES,
+  CONFIG_FILE_NAME
+};
@@ -1,31 +1,53 @@
-const { getAppData, getSimilarApps } = require('./services/app-store-scraper');
-const { generateKeywords } = require('./services/keyword-generator');
+// Run directly, load .env before any module reads its settings; quiet keeps stdout clean for --format output
+if (require.main === module) require('dotenv').config({ quiet: true });
+
+const { generateKeywords, estimateKeywordGeneration } = require('./services/keyword-generator');
+const { fetchReviews, mineReviews, estimateReviewMining, DEFAULT_REVIEW_PAGES } = require('./services/review-miner');
+const { BudgetExceededError, formatCost } = require('./services/llm-usage');
 const { ASOAnalyzer } = require('./services/aso-analyzer');
+const { KeywordHistory } = require('./services/keyword-history');
+const { RankTracker, DEFAULT_DEPTH } = require('./services/rank-tracker');
+const { buildKeywordGap, getOpportunityScore, rankGaps } = require('./services/keyword-gap');
+const { normalizeKeyword, dedupeKeywords, clusterKeywords } = require('./services/keyword-processing');
+const { expandKeywords } = require('./services/keyword-expansion');
+const { validateKeywords, getDefaultRelevanceThreshold } = require('./services/relevance-validator');
+const { fetchLocalizedListings } = require('./services/localization');
+const { optimizeKeywordField } = require('./services/keyword-field-optimizer');
+const { auditMetadata, AUDIT_FIELDS } = require('./services/metadata-audit');
+const { scheduler, SERVICE_NAMES } = require('./services/request-scheduler');
+const { readPortfolio, getPortfolioKey, summarizePortfolio } = require('./services/portfolio');
+const { getStore, DEFAULT_PLATFORM, PLATFORM_NAMES } = require('./services/stores');
+
+// Similar apps scraped and analyzed alongside the main app
+const DEFAULT_SIMILAR_APPS = 3;
 
 /**
  * Collects app data and similar apps, then logs the main app
+ * @param {string|number} appId - The app ID (numeric track ID, or package name on Google Play)
+ * @param {Object} storefront - Storefront options ({ platform, country, lang, similarApps, competitors })
+ * @param {number} storefront.similarApps - Number of the store's similar apps to scrape (default: 3)
+ * @param {Array<string|number>} storefront.competitors - App IDs to use instead of the store's similar apps (optional)
  */
-async function collectAppData(appId) {
-  // Validate app ID is numeric
-  const numericAppId = parseInt(appId, 10);
-  if (isNaN(numericAppId) || numericAppId <= 0) {
-    throw new Error('App ID must be a valid numeric value');
-  }
+async function collectAppData(appId, storefront = {}) {
+  const { getAppData, getSimilarApps, parseAppId } = getStore(storefront.platform).scraper;
+  const validAppId = parseAppId(appId);
 
-  console.log(`🚀 Starting analysis for app ID: ${numericAppId}`);
+  console.log(`🚀 Starting analysis for app ID: ${validAppId} (${formatStorefront(storefront)})`);
   
-  // Get app data from App Store
-  const appData = await getAppData(numericAppId);
+  // Get app data from the store
+  const appData = await getAppData(validAppId, storefront);
 
-  // Get similar apps (limit to 3)
-  const allSimilarApps = await getSimilarApps(numericAppId);
-  const top3SimilarApps = allSimilarApps.slice(0, 3);
+  // Get the top similar apps, unless the competitors are given
+  const similarAppCount = storefront.similarApps === undefined ? DEFAULT_SIMILAR_APPS : storefront.similarApps;
+  const topSimilarApps = storefront.competitors
+    ? storefront.competitors.map(id => ({ id }))
+    : (similarAppCount > 0 ? (await getSimilarApps(validAppId, storefront)).slice(0, similarAppCount) : []);
 
-  // Scrape app data for top 3 similar apps
+  // Scrape app data for the similar apps
   const similarAppsData = [];
-  for (const similarApp of top3SimilarApps) {
+  for (const similarApp of topSimilarApps) {
     try {
-      const similarAppData = await getAppData(similarApp.id);
+      const similarAppData = await getAppData(similarApp.id, storefront);
       similarAppsData.push(similarAppData);
     } catch (error) {
       console.warn(`⚠️ Failed to scrape data for similar app ${similarApp.id}: ${error.message}`);
@@ -36,28 +58,34 @@ async function collectAppData(appId) {
   console.log(`\n📋 Scraped App Data for ${appData.title}`);
   console.log(`📋 Also scraped data of ${similarAppsData.length} similar apps`);
   
-  return { appData, similarApps: similarAppsData, numericAppId };
+  return { appData, similarApps: similarAppsData, appId: validAppId };
 }
 
 /**
  * Generates keywords for main app and similar apps
+ * @param {Object} appData - Main app data
+ * @param {Array<Object>} similarApps - Similar apps data
+ * @param {Object} storefront - Storefront options ({ country, lang })
  */
-async function generateAppKeywords(appData, similarApps) {
+async function generateAppKeywords(appData, similarApps, storefront = {}) {
   console.log('\n🧠 Generating keywords for main app...');
-  const mainAppKeywords = await generateKeywords(appData);
+  const mainAppKeywords = await generateKeywords(appData, storefront);
   
   console.log(`✅ Generated keywords for ${appData.title}:`);
   console.log(mainAppKeywords.keywords.join(', '));
   
   console.log('\n🧠 Generating keywords for similar apps...');
   const similarAppKeywords = [];
+  const keywordsBySimilarApp = [];
   for (const similarApp of similarApps) {
     try {
-      const keywords = await generateKeywords(similarApp);
+      const keywords = await generateKeywords(similarApp, storefront);
       similarAppKeywords.push(...keywords.keywords);
+      keywordsBySimilarApp.push({ title: similarApp.title, keywords: keywords.keywords });
       console.log(`✅ Generated keywords for ${similarApp.title}:`);
       console.log(keywords.keywords.join(', '));
     } catch (error) {
+      if (error instanceof BudgetExceededError) throw error;
       console.warn(`⚠️ Failed to generate keywords for ${similarApp.title}: ${error.message}`);
     }
   }
@@ -65,37 +93,247 @@ async function generateAppKeywords(appData, similarApps) {
   return {
     mainAppKeywords: mainAppKeywords.keywords,
     similarAppKeywords: similarAppKeywords,
+    keywordsBySimilarApp,
     allKeywords: [...mainAppKeywords.keywords, ...similarAppKeywords]
   };
 }
 
 /**
- * Analyzes 5 random keywords with ASO metrics
+ * Fetches reviews of the main app and similar apps and mines them for user language
+ * @param {Object} appData - Main app data
+ * @param {Array<Object>} similarApps - Similar apps data
+ * @param {Object} options - Run options ({ country, lang, llm, reviews })
+ * @param {Object} options.reviews - Review options ({ pages, sort })
+ * @returns {Promise<Array<Object>>} Insights per app ({ title, isMainApp, reviewCount, keywords, phrases, featureRequests, painPoints })
  */
-async function analyzeRandomKeywords(allKeywords) {
-  // Shuffle array and take 5 random keywords
-  const shuffled = [...allKeywords].sort(() => 0.5 - Math.random());
-  const random5Keywords = shuffled.slice(0, 5);
-  
-  console.log('\n📊 Analyzing 5 random keywords with ASO...');
-  
-  const asoAnalyzer = new ASOAnalyzer('itunes');
-  const results = [];
+async function mineAppReviews(appData, similarApps, options = {}) {
+  const { pages = DEFAULT_REVIEW_PAGES, sort = 'recent' } = options.reviews || {};
+  console.log(`\n💬 Mining ${sort} reviews (${pages} page${pages === 1 ? '' : 's'} per app)...`);
   
-  for (const keyword of random5Keywords) {
+  const reviewInsights = [];
+  for (const app of [appData, ...similarApps]) {
+    const isMainApp = app === appData;
     try {
-      const analysis = await asoAnalyzer.analyzeKeyword(keyword);
-      results.push({
-        keyword,
-        traffic: analysis.trafficScore,
-        difficulty: analysis.difficultyScore
-      });
-      console.log(`- ${keyword} | traffic: ${analysis.trafficScore} | difficulty: ${analysis.difficultyScore}`);
+      const reviews = await fetchReviews(app, { ...options, pages, sort });
+      if (reviews.length === 0) {
+        console.log(`📭 No reviews found for ${app.title}`);
+        continue;
+      }
+      
+      const insights = await mineReviews(app, reviews, options);
+      reviewInsights.push({ title: app.title, isMainApp, reviewCount: reviews.length, ...insights });
+      console.log(`✅ Review keywords for ${app.title} (${reviews.length} review${reviews.length === 1 ? '' : 's'}):`);
+      console.log(insights.keywords.join(', '));
     } catch (error) {
-      console.warn(`⚠️ Failed to analyze keyword "${keyword}": ${error.message}`);
+      if (error instanceof BudgetExceededError) throw error;
+      console.warn(`⚠️ Failed to mine reviews for ${app.title}: ${error.message}`);
+    }
+  }
+  
+  // Requests and complaints about our own app are worth reading in full
+  const ours = reviewInsights.find(insights => insights.isMainApp);
+  if (ours) {
+    if (ours.featureRequests.length > 0) {
+      console.log('\n🙋 Feature requests:');
+      ours.featureRequests.forEach(request => console.log(`  - ${request}`));
+    }
+    if (ours.painPoints.length > 0) {
+      console.log('\n😣 Pain points:');
+      ours.painPoints.forEach(painPoint => console.log(`  - ${painPoint}`));
     }
   }
   
+  return reviewInsights;
+}
+
+/**
+ * Maps each store suggestion to the seed keyword it was found for
+ * @param {Array<Object>} expansions - expandKeywords results
+ * @returns {Map<string, string>} Seed by normalized suggestion
+ */
+function getSeedsBySuggestion(expansions) {
+  return new Map(expansions.map(expansion => [normalizeKeyword(expansion.keyword), expansion.seed]));
+}
+
+/**
+ * Gets the seeds a cluster's members were suggested for
+ * @param {Object} cluster - clusterKeywords result
+ * @param {Map<string, string>} seedBySuggestion - getSeedsBySuggestion result
+ * @returns {Array<string>} Seeds, empty if no member came from store suggestions
+ */
+function getClusterSeeds(cluster, seedBySuggestion) {
+  return [...new Set(cluster.members.map(member => seedBySuggestion.get(normalizeKeyword(member))).filter(Boolean))];
+}
+
+/**
+ * Clusters every generated keyword across apps into the candidates to score
+ * @param {Object} appData - Main app data
+ * @param {Object} appKeywords - generateAppKeywords result ({ mainAppKeywords, keywordsBySimilarApp }), plus
+ *   mineAppReviews results as reviewInsights and expandKeywords results as expansions
+ * @returns {Object} { candidates: [{ keyword, variants, sources, origins, seeds, fromMainApp }], generated: number of generated keywords }
+ */
+function buildKeywordCandidates(appData, { mainAppKeywords, keywordsBySimilarApp, reviewInsights = [], expansions = [] }) {
+  const sources = [
+    { title: appData.title, isMainApp: true, origin: 'metadata', keywords: mainAppKeywords },
+    ...keywordsBySimilarApp.map(app => ({ ...app, isMainApp: false, origin: 'metadata' })),
+    ...reviewInsights.map(insights => ({ title: insights.title, isMainApp: insights.isMainApp, origin: 'reviews', keywords: insights.keywords })),
+    { title: null, isMainApp: false, origin: 'suggestions', keywords: expansions.map(expansion => expansion.keyword) }
+  ];
+  const seedBySuggestion = getSeedsBySuggestion(expansions);
+  
+  // Remember every app that produced each spelling
+  const sourcesByKeyword = new Map();
+  sources.forEach(source => {
+    source.keywords.forEach(keyword => {
+      const normalized = normalizeKeyword(keyword);
+      if (!sourcesByKeyword.has(normalized)) sourcesByKeyword.set(normalized, []);
+      sourcesByKeyword.get(normalized).push(source);
+    });
+  });
+  
+  // Cluster variants across apps so each group is scored once
+  const clusters = clusterKeywords(sources.flatMap(source => source.keywords));
+  const candidates = clusters.map(cluster => {
+    const clusterSources = cluster.members.flatMap(member => sourcesByKeyword.get(normalizeKeyword(member)));
+    return {
+      keyword: cluster.representative,
+      variants: cluster.members.filter(member => member !== cluster.representative),
+      sources: [...new Set(clusterSources.map(source => source.title).filter(Boolean))],
+      origins: [...new Set(clusterSources.map(source => source.origin))],
+      seeds: getClusterSeeds(cluster, seedBySuggestion),
+      fromMainApp: clusterSources.some(source => source.isMainApp)
+    };
+  });
+  
+  return { candidates, generated: sources.reduce((sum, source) => sum + source.keywords.length, 0) };
+}
+
+/**
+ * Checks the search presence of the keyword clusters that will be scored
+ * @param {Object} appData - Main app data
+ * @param {Array<Object>} similarApps - Similar apps data
+ * @param {Object} appKeywords - Same keywords as for scoreAppKeywords
+ * @param {Object} options - Run options ({ platform, country, lang, limit, validate })
+ * @param {Object} options.validate - Relevance options ({ threshold, depth, action }), the threshold defaulting per platform
+ * @returns {Promise<Array<Object>>} validateKeywords results, with each cluster's variants and whether it's dropped
+ */
+async function validateAppKeywords(appData, similarApps, appKeywords, options = {}) {
+  const { candidates } = buildKeywordCandidates(appData, appKeywords);
+  const keywords = candidates.map(candidate => candidate.keyword);
+  
+  // Flagged keywords keep their place, so --limit only needs its clusters checked; dropping happens before --limit picks them
+  const checked = options.limit && options.validate.action !== 'drop' ? keywords.slice(0, options.limit) : keywords;
+  const threshold = options.validate.threshold !== undefined ? options.validate.threshold : getDefaultRelevanceThreshold(options.platform);
+  const results = await validateKeywords(checked, appData, similarApps, { ...options, ...options.validate, threshold });
+  const validations = results.map((validation, i) => ({
+    ...validation,
+    variants: candidates[i].variants,
+    dropped: !validation.relevant && options.validate.action === 'drop'
+  }));
+  
+  const irrelevant = validations.filter(validation => !validation.relevant);
+  console.log(`🔬 ${irrelevant.length} of ${validations.length} keywords below relevance ${threshold}`);
+  return validations;
+}
+
+/**
+ * Scores every generated keyword with ASO metrics and ranks them by opportunity
+ * Variants are clustered across apps and scored once; each result lists its variants, which apps it came from,
+ * whether it came from store metadata, reviews or store suggestions, and the seeds of its suggestions
+ * @param {Object} appData - Main app data
+ * @param {Object} appKeywords - generateAppKeywords result ({ mainAppKeywords, keywordsBySimilarApp }), plus
+ *   mineAppReviews results as reviewInsights, expandKeywords results as expansions and
+ *   validateAppKeywords results as validations
+ * @param {Object} options - Run options ({ country, lang, cache, history, concurrency, limit, sample })
+ * @param {number} options.concurrency - Number of concurrent requests per batch (default: 3)
+ * @param {number} options.limit - Only score the first N clusters (main app keywords come first)
+ * @param {number} options.sample - Only score N randomly picked clusters
+ * @returns {Promise<Array<Object>>} Scored keywords, best opportunities first
+ */
+async function scoreAppKeywords(appData, appKeywords, options = {}) {
+  const { candidates: clustered, generated } = buildKeywordCandidates(appData, appKeywords);
+  
+  // Attach search presence, and leave out irrelevant keywords if they're to be dropped
+  const validations = new Map((appKeywords.validations || []).map(validation => [validation.keyword, validation]));
+  const withRelevance = clustered.map(candidate => {
+    const validation = validations.get(candidate.keyword);
+    return validation
+      ? { ...candidate, relevanceScore: validation.relevanceScore, relevanceReason: validation.reason, relevant: validation.relevant, dropped: validation.dropped }
+      : candidate;
+  });
+  const dropped = withRelevance.filter(candidate => candidate.dropped);
+  const candidates = withRelevance.filter(candidate => !dropped.includes(candidate));
+  if (dropped.length > 0) {
+    console.log(`\n🚫 Dropped ${dropped.length} keywords without enough search presence:`);
+    dropped.forEach(candidate => console.log(`  - ${candidate.keyword}: ${candidate.relevanceReason}`));
+  }
+  
+  let selected = candidates;
+  const total = selected.length;
+  if (options.sample) {
+    selected = [...selected].sort(() => 0.5 - Math.random()).slice(0, options.sample);
+  } else if (options.limit) {
+    selected = selected.slice(0, options.limit);
+  }
+  
+  const concurrency = options.concurrency || 3;
+  console.log(`\n🧩 Grouped ${generated} generated keywords into ${total} clusters`);
+  console.log(`📊 Scoring ${selected.length} of ${total} keyword clusters with ASO (${concurrency} concurrent)...`);
+  
+  const asoAnalyzer = createAnalyzer(options);
+  const analyses = await processKeywordsBatch(selected.map(candidate => candidate.keyword), asoAnalyzer, concurrency);
+  recordHistory(options.history, 'analyze', asoAnalyzer, analyses);
+  
+  // processKeywordsBatch keeps input order, so results line up with the candidates
+  const results = analyses
+    .map((analysis, i) => ({
+      ...analysis,
+      variants: selected[i].variants,
+      sources: selected[i].sources,
+      origins: selected[i].origins,
+      seeds: selected[i].seeds,
+      fromMainApp: selected[i].fromMainApp,
+      ...(selected[i].relevanceReason ? { relevanceScore: selected[i].relevanceScore, relevanceReason: selected[i].relevanceReason, relevant: selected[i].relevant } : {})
+    }))
+    .sort((a, b) => asoAnalyzer.scoring.compare(a, b));
+  
+  console.log('\n📈 Keywords ranked by opportunity:');
+  console.log('─'.repeat(100));
+  console.log('Keyword'.padEnd(25) + 'Traffic'.padEnd(10) + 'Difficulty'.padEnd(12) + 'Opportunity'.padEnd(13) + 'Recommendation'.padEnd(16) + 'Source');
+  console.log('─'.repeat(100));
+  
+  results.forEach(result => {
+    const competitors = result.sources.filter(source => source !== appData.title);
+    const source = [
+      result.fromMainApp ? 'ours' : null,
+      ...competitors,
+      result.seeds.length > 0 ? `suggested for ${result.seeds.map(seed => `"${seed}"`).join(', ')}` : null
+    ].filter(Boolean).join(', ') +
+      (result.origins.includes('reviews') ? ' [reviews]' : '') +
+      (result.relevant === false ? ` ⚠️ low relevance ${result.relevanceScore}` : '');
+    console.log(
+      result.keyword.padEnd(25) +
+      result.trafficScore.toString().padEnd(10) +
+      result.difficultyScore.toString().padEnd(12) +
+      result.opportunityScore.toString().padEnd(13) +
+      result.recommendation.padEnd(16) +
+      source
+    );
+  });
+  
+  console.log('─'.repeat(100));
+  
+  const variantCount = results.reduce((sum, result) => sum + result.variants.length, 0);
+  if (variantCount > 0) {
+    console.log(`\nℹ️ ${variantCount} variants weren't looked up themselves and share the scores of their cluster's keyword`);
+  }
+  
+  const flagged = results.filter(result => result.relevant === false);
+  if (flagged.length > 0) {
+    console.log('\n⚠️ Low relevance, check before targeting:');
+    flagged.forEach(result => console.log(`  - ${result.keyword}: ${result.relevanceReason}`));
+  }
+  
   return results;
 }
 
@@ -113,9 +351,12 @@ async function analyzeKeywordParallel(keyword, asoAnalyzer) {
       keyword: analysis.keyword,
       trafficScore: analysis.trafficScore,
       difficultyScore: analysis.difficultyScore,
+      opportunityScore: analysis.opportunityScore,
       competitionLevel: analysis.competitionLevel,
       trafficLevel: analysis.trafficLevel,
-      recommendation: analysis.recommendation
+      recommendation: analysis.recommendation,
+      explanation: analysis.explanation,
+      ...(analysis.fromCache ? { fromCache: true } : {})
     };
   } catch (error) {
     console.warn(`⚠️ Failed to analyze keyword "${keyword}": ${error.message}`);
@@ -123,9 +364,11 @@ async function analyzeKeywordParallel(keyword, asoAnalyzer) {
       keyword,
       trafficScore: 0,
       difficultyScore: 0,
+      opportunityScore: 0,
       competitionLevel: 'unknown',
       trafficLevel: 'unknown',
       recommendation: 'analysis_failed',
+      explanation: `analysis_failed: ${error.message}`,
       error: error.message
     };
   }
@@ -150,42 +393,167 @@ async function processKeywordsBatch(keywords, asoAnalyzer, batchSize = 3) {
     const batchResults = await Promise.all(batchPromises);
     
     results.push(...batchResults);
-    
-    // Small delay between batches to be respectful to the API
-    if (i + batchSize < keywords.length) {
-      console.log('⏳ Waiting 1 second before next batch...');
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
   }
   
   return results;
 }
 
 /**
- * Searches and analyzes comma-separated keywords with ASO metrics (parallelized)
+ * Splits a comma-separated keyword string into trimmed, non-empty keywords
  * @param {string} keywordsString - Comma-separated keywords string
- * @param {number} concurrency - Number of concurrent requests per batch (default: 3)
+ * @returns {Array<string>} Keywords
  */
-async function searchKeywords(keywordsString, concurrency = 3) {
-  // Parse comma-separated keywords and clean them
-  const keywords = keywordsString
+function parseKeywordList(keywordsString) {
+  return keywordsString
     .split(',')
     .map(keyword => keyword.trim())
     .filter(keyword => keyword.length > 0);
+}
+
+/**
+ * Formats a storefront for log output, e.g. "itunes US/en"
+ * @param {Object} storefront - Storefront options ({ platform, country, lang })
+ * @returns {string} Storefront label
+ */
+function formatStorefront({ platform = DEFAULT_PLATFORM, country = 'us', lang = 'en' } = {}) {
+  return `${platform} ${country.toUpperCase()}/${lang}`;
+}
+
+/**
+ * Creates an ASO analyzer for the run's store
+ * @param {Object} options - Run options ({ platform, country, cache, scoring })
+ * @param {string} country - Storefront country (default: options.country)
+ * @returns {ASOAnalyzer} Analyzer
+ */
+function createAnalyzer(options, country = options.country) {
+  return new ASOAnalyzer(options.platform || DEFAULT_PLATFORM, { country, cache: options.cache, scoring: options.scoring });
+}
+
+/**
+ * Logs keyword cache hit/miss counts
+ * @param {KeywordCache|null} cache - Keyword cache, if enabled
+ */
+function logCacheStats(cache) {
+  if (!cache) {
+    console.log('💾 Keyword cache disabled');
+    return;
+  }
+  const { hits, misses } = cache.getStats();
+  console.log(`💾 Keyword cache: ${hits} hits, ${misses} misses`);
+}
+
+/**
+ * Logs how many screenshots were reused as extracted text, read from disk or downloaded
+ * @param {ScreenshotCache|null} screenshotCache - Screenshot cache, if enabled
+ */
+function logScreenshotStats(screenshotCache) {
+  if (!screenshotCache) return;
+  const { imageHits, imageMisses, extractionHits } = screenshotCache.getStats();
+  console.log(`🖼️ Screenshots: ${extractionHits} reused as text, ${imageHits} from cache, ${imageMisses} downloaded`);
+}
+
+/**
+ * Logs request, retry and failure counts of the shared request scheduler
+ */
+function logRequestStats() {
+  const { requests, retries, failures, services } = scheduler.getStats();
+  const retried = SERVICE_NAMES
+    .filter(name => services[name].retries > 0)
+    .map(name => `${name} ${services[name].retries}`);
+  console.log(`🔁 Requests: ${requests}, retries: ${retries}${retried.length ? ` (${retried.join(', ')})` : ''}, failed: ${failures}`);
+}
+
+/**
+ * Logs LLM token usage and cost per app, then for the whole run
+ * @param {LlmUsage|null} usage - Usage of the run, if tracked
+ * @param {Array<string>} apps - Titles of the apps to list (default: every app)
+ */
+function logUsageStats(usage, apps = null) {
+  if (!usage) return;
+  const summary = usage.summarize();
+  const label = summary.estimated ? 'estimated, output at max tokens' : 'from LLM responses';
+  
+  console.log(`🪙 LLM usage (${label}):`);
+  summary.apps
+    .filter(app => !apps || apps.includes(app.app))
+    .forEach(app => {
+      console.log(`  ${app.app.slice(0, 28).padEnd(30)}${app.inputTokens} in / ${app.outputTokens} out tokens, ${formatCost(app.cost)}`);
+    });
+  const budget = usage.maxBudget !== null ? ` of ${formatCost(usage.maxBudget)} budget` : '';
+  console.log(`🪙 Run total: ${summary.calls} calls, ${summary.inputTokens} in / ${summary.outputTokens} out tokens, ${formatCost(summary.cost)}${budget}`);
+  if (summary.estimated && usage.maxBudget !== null && summary.cost > usage.maxBudget) {
+    console.log(`⚠️ The estimate is over the ${formatCost(usage.maxBudget)} budget; the run would stop before the call that goes over it`);
+  }
+}
+
+/**
+ * Saves analysis results to the history store and logs recommendation changes since the last run
+ * @param {KeywordHistory|null} history - History store, if enabled
+ * @param {string} source - Command that produced the results
+ * @param {ASOAnalyzer} asoAnalyzer - Analyzer the results came from
+ * @param {Array<Object>} results - Analysis results
+ */
+function recordHistory(history, source, asoAnalyzer, results) {
+  if (!history) return;
+  
+  const changes = history.recordRun({
+    source,
+    platform: asoAnalyzer.platform,
+    country: asoAnalyzer.country,
+    results
+  });
+  
+  if (changes.length > 0) {
+    console.log('\n🔔 Recommendation changes since last run:');
+    changes.forEach(change => {
+      console.log(`  - ${change.keyword}: ${change.from.recommendation} → ${change.to.recommendation}`);
+    });
+  }
+}
+
+/**
+ * Searches and analyzes comma-separated keywords with ASO metrics (parallelized)
+ * @param {string} keywordsString - Comma-separated keywords string
+ * @param {number} concurrency - Number of concurrent requests per batch (default: 3)
+ * @param {Object} options - Run options ({ country, lang, cache, history, expand })
+ * @param {Object} options.expand - Add store suggestions for the keywords ({ depth }), off when unset
+ */
+async function searchKeywords(keywordsString, concurrency = 3, options = {}) {
+  // Parse comma-separated keywords and clean them
+  const keywords = parseKeywordList(keywordsString);
   
   if (keywords.length === 0) {
     console.error('❌ No valid keywords provided');
     return [];
   }
   
-  console.log(`🔍 Searching and analyzing ${keywords.length} keywords on itunes (${concurrency} concurrent):`);
-  keywords.forEach(keyword => console.log(`  - "${keyword}"`));
+  // Store suggestions for the keywords are scored with them, remembering which seed they came from
+  const expansions = options.expand ? await expandKeywords(keywords, { ...options, ...options.expand }) : [];
+  const seedBySuggestion = getSeedsBySuggestion(expansions);
+  keywords.push(...expansions.map(expansion => expansion.keyword));
+  
+  // Variants of the same keyword are scored once, under their representative spelling
+  const clusters = clusterKeywords(keywords);
   
-  const asoAnalyzer = new ASOAnalyzer('itunes');
+  console.log(`🔍 Searching and analyzing ${clusters.length} keywords on ${formatStorefront(options)} (${concurrency} concurrent):`);
+  clusters.forEach(cluster => {
+    const variants = cluster.members.filter(member => member !== cluster.representative);
+    console.log(`  - "${cluster.representative}"${variants.length ? ` (scores shared with variants: ${variants.join(', ')})` : ''}`);
+  });
+  if (clusters.length < keywords.length) {
+    console.log(`🧩 Saved ${keywords.length - clusters.length} duplicate lookups by clustering variants`);
+  }
+  
+  const asoAnalyzer = createAnalyzer(options);
   const startTime = Date.now();
   
-  // Process keywords in parallel batches
-  const results = await processKeywordsBatch(keywords, asoAnalyzer, concurrency);
+  // Process keywords in parallel batches; results keep input order, so they line up with the clusters
+  const analyses = await processKeywordsBatch(clusters.map(cluster => cluster.representative), asoAnalyzer, concurrency);
+  const results = analyses.map((analysis, i) => ({
+    ...analysis,
+    variants: clusters[i].members.filter(member => member !== clusters[i].representative),
+    seeds: getClusterSeeds(clusters[i], seedBySuggestion)
+  }));
   
   const endTime = Date.now();
   const duration = ((endTime - startTime) / 1000).toFixed(1);
@@ -198,47 +566,647 @@ async function searchKeywords(keywordsString, concurrency = 3) {
     return a.difficultyScore - b.difficultyScore; // Lower difficulty first
   });
   
-  // Display sorted results
+  // Display sorted results, with the seed of each store suggestion when expanding
+  const tableWidth = expansions.length > 0 ? 100 : 80;
   console.log('\n📈 Results sorted by traffic score (desc) → difficulty score (asc):');
-  console.log('─'.repeat(80));
-  console.log('Keyword'.padEnd(25) + 'Traffic'.padEnd(10) + 'Difficulty'.padEnd(12) + 'Recommendation');
-  console.log('─'.repeat(80));
+  console.log('─'.repeat(tableWidth));
+  console.log('Keyword'.padEnd(25) + 'Traffic'.padEnd(10) + 'Difficulty'.padEnd(12) + 'Opportunity'.padEnd(13) + (expansions.length > 0 ? 'Recommendation'.padEnd(16) + 'Suggested for' : 'Recommendation'));
+  console.log('─'.repeat(tableWidth));
   
   results.forEach(result => {
     const keyword = result.keyword.padEnd(25);
     const traffic = result.trafficScore.toString().padEnd(10);
     const difficulty = result.difficultyScore.toString().padEnd(12);
-    const recommendation = result.recommendation;
-    console.log(`${keyword}${traffic}${difficulty}${recommendation}`);
+    const score = result.opportunityScore.toString().padEnd(13);
+    const recommendation = result.seeds.length > 0 ? result.recommendation.padEnd(16) + result.seeds.join(', ') : result.recommendation;
+    console.log(`${keyword}${traffic}${difficulty}${score}${recommendation}`);
   });
   
-  console.log('─'.repeat(80));
+  console.log('─'.repeat(tableWidth));
   console.log(`\n✅ Analysis complete! Analyzed ${results.length} keywords in ${duration}s`);
+  logCacheStats(options.cache);
+  logRequestStats();
+  recordHistory(options.history, 'search', asoAnalyzer, results);
   
   return results;
 }
 
+/**
+ * Analyzes one keyword list against several storefronts and prints scores side by side
+ * @param {string} keywordsString - Comma-separated keywords string
+ * @param {Array<string>} countries - Two-letter country codes to compare
+ * @param {number} concurrency - Number of concurrent requests per batch (default: 3)
+ * @param {Object} options - Run options ({ cache, history })
+ * @returns {Promise<Object>} Results keyed by keyword, then by country
+ */
+async function searchKeywordsMultiStorefront(keywordsString, countries, concurrency = 3, options = {}) {
+  const keywords = dedupeKeywords(parseKeywordList(keywordsString));
+  
+  if (keywords.length === 0) {
+    console.error('❌ No valid keywords provided');
+    return {};
+  }
+  
+  console.log(`🌍 Comparing ${keywords.length} keywords across ${countries.length} storefronts: ${countries.map(c => c.toUpperCase()).join(', ')}`);
+  
+  const startTime = Date.now();
+  const resultsByKeyword = {};
+  keywords.forEach(keyword => { resultsByKeyword[keyword] = {}; });
+  
+  for (const country of countries) {
+    console.log(`\n🏬 Storefront: ${country.toUpperCase()}`);
+    const asoAnalyzer = createAnalyzer(options, country);
+    const results = await processKeywordsBatch(keywords, asoAnalyzer, concurrency);
+    results.forEach(result => { resultsByKeyword[result.keyword][country] = result; });
+    recordHistory(options.history, 'search', asoAnalyzer, results);
+  }
+  
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  const columnWidth = 12;
+  const tableWidth = 25 + countries.length * columnWidth;
+  
+  // Display traffic/difficulty per storefront, one column per country
+  console.log('\n📈 Traffic / difficulty per storefront:');
+  console.log('─'.repeat(tableWidth));
+  console.log('Keyword'.padEnd(25) + countries.map(c => c.toUpperCase().padEnd(columnWidth)).join(''));
+  console.log('─'.repeat(tableWidth));
+  
+  keywords.forEach(keyword => {
+    const cells = countries.map(country => {
+      const result = resultsByKeyword[keyword][country];
+      return `${result.trafficScore}/${result.difficultyScore}`.padEnd(columnWidth);
+    });
+    console.log(keyword.padEnd(25) + cells.join(''));
+  });
+  
+  console.log('─'.repeat(tableWidth));
+  console.log(`\n✅ Analysis complete! Analyzed ${keywords.length} keywords in ${countries.length} storefronts in ${duration}s`);
+  logCacheStats(options.cache);
+  logRequestStats();
+  
+  return resultsByKeyword;
+}
+
+/**
+ * Scores one keyword list on the App Store and Google Play and prints them side by side
+ * @param {string} keywordsString - Comma-separated keywords string
+ * @param {number} concurrency - Number of concurrent requests per batch (default: 3)
+ * @param {Object} options - Run options ({ country, lang, cache, history })
+ * @returns {Promise<Object>} Results keyed by keyword, then by platform
+ */
+async function compareKeywordsAcrossStores(keywordsString, concurrency = 3, options = {}) {
+  const keywords = dedupeKeywords(parseKeywordList(keywordsString));
+  
+  if (keywords.length === 0) {
+    console.error('❌ No valid keywords provided');
+    return {};
+  }
+  
+  const storeNames = PLATFORM_NAMES.map(platform => getStore(platform).name);
+  console.log(`⚖️ Comparing ${keywords.length} keywords on ${storeNames.join(' and ')} (${(options.country || 'us').toUpperCase()})`);
+  
+  const startTime = Date.now();
+  const resultsByKeyword = {};
+  keywords.forEach(keyword => { resultsByKeyword[keyword] = {}; });
+  
+  for (const platform of PLATFORM_NAMES) {
+    console.log(`\n🏬 Store: ${getStore(platform).name}`);
+    const asoAnalyzer = createAnalyzer({ ...options, platform });
+    const results = await processKeywordsBatch(keywords, asoAnalyzer, concurrency);
+    results.forEach(result => { resultsByKeyword[result.keyword][platform] = result; });
+    recordHistory(options.history, 'search', asoAnalyzer, results);
+  }
+  
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  const columnWidth = 14;
+  const tableWidth = 25 + (PLATFORM_NAMES.length + 1) * columnWidth;
+  
+  // Display traffic/difficulty per store and where the keyword is the better opportunity
+  console.log('\n📈 Traffic / difficulty per store:');
+  console.log('─'.repeat(tableWidth));
+  console.log('Keyword'.padEnd(25) + storeNames.map(name => name.padEnd(columnWidth)).join('') + 'Better on');
+  console.log('─'.repeat(tableWidth));
+  
+  keywords.forEach(keyword => {
+    const results = PLATFORM_NAMES.map(platform => resultsByKeyword[keyword][platform]);
+    const cells = results.map(result => `${result.trafficScore}/${result.difficultyScore}`.padEnd(columnWidth));
+    const scores = results.map(getOpportunityScore);
+    const best = Math.max(...scores);
+    const betterOn = scores.filter(score => score === best).length > 1 ? 'tie' : storeNames[scores.indexOf(best)];
+    console.log(keyword.padEnd(25) + cells.join('') + betterOn);
+  });
+  
+  console.log('─'.repeat(tableWidth));
+  console.log(`\n✅ Analysis complete! Analyzed ${keywords.length} keywords on ${PLATFORM_NAMES.length} stores in ${duration}s`);
+  logCacheStats(options.cache);
+  logRequestStats();
+  
+  return resultsByKeyword;
+}
+
+/**
+ * Shows how keyword scores and recommendations changed over saved runs
+ * @param {string} keywordsString - Comma-separated keywords (empty for every tracked keyword)
+ * @param {Object} options - Run options ({ country, history })
+ * @returns {Object} History entries keyed by keyword
+ */
+function showKeywordHistory(keywordsString, options = {}) {
+  const history = options.history || new KeywordHistory();
+  const storefront = { platform: options.platform || DEFAULT_PLATFORM, country: options.country || 'us' };
+  const keywords = keywordsString ? parseKeywordList(keywordsString) : history.getTrackedKeywords(storefront);
+  
+  if (keywords.length === 0) {
+    console.log(`📭 No keyword history saved for ${formatStorefront(options)} yet`);
+    return {};
+  }
+  
+  console.log(`📜 Keyword history on ${formatStorefront(options)}:`);
+  
+  const historyByKeyword = {};
+  const moved = [];
+  
+  keywords.forEach(keyword => {
+    const entries = history.getKeywordHistory(keyword, storefront);
+    historyByKeyword[keyword] = entries;
+    
+    console.log(`\n🔑 ${keyword}`);
+    if (entries.length === 0) {
+      console.log('  No saved runs');
+      return;
+    }
+    
+    console.log('  ' + 'Date'.padEnd(22) + 'Traffic'.padEnd(10) + 'Difficulty'.padEnd(12) + 'Recommendation');
+    entries.forEach((entry, index) => {
+      const previous = entries[index - 1];
+      const trafficDelta = previous ? formatDelta(entry.trafficScore - previous.trafficScore) : '';
+      const difficultyDelta = previous ? formatDelta(entry.difficultyScore - previous.difficultyScore) : '';
+      console.log('  ' +
+        entry.timestamp.slice(0, 16).replace('T', ' ').padEnd(22) +
+        `${entry.trafficScore}${trafficDelta}`.padEnd(10) +
+        `${entry.difficultyScore}${difficultyDelta}`.padEnd(12) +
+        entry.recommendation);
+    });
+    
+    // Flag keywords whose recommendation moved since the previous run
+    const [previous, latest] = entries.slice(-2);
+    if (latest && previous.recommendation !== latest.recommendation) {
+      moved.push({ keyword, from: previous.recommendation, to: latest.recommendation });
+    }
+  });
+  
+  if (moved.length > 0) {
+    console.log('\n🔔 Recommendation changed since last run:');
+    moved.forEach(change => console.log(`  - ${change.keyword}: ${change.from} → ${change.to}`));
+  } else {
+    console.log('\n✅ No recommendation changes since last run');
+  }
+  
+  return historyByKeyword;
+}
+
+/**
+ * Formats a score change for display, e.g. " (+5)"
+ * @param {number} delta - Score difference
+ * @returns {string} Formatted change, empty when unchanged
+ */
+function formatDelta(delta) {
+  if (delta === 0) return '';
+  return delta > 0 ? ` (+${delta})` : ` (${delta})`;
+}
+
+/**
+ * Reports where an app ranks in search results for each keyword, with movement since the last run
+ * @param {string|number} appId - The app ID (numeric track ID, or package name on Google Play)
+ * @param {string} keywordsString - Comma-separated keywords (empty to generate them from the app's metadata)
+ * @param {Object} options - Run options ({ country, lang, depth })
+ * @returns {Promise<Array<Object>>} Rank results
+ */
+async function trackAppRanks(appId, keywordsString, options = {}) {
+  const { getAppData, parseAppId } = getStore(options.platform).scraper;
+  const validAppId = parseAppId(appId);
+  
+  let keywords = keywordsString ? parseKeywordList(keywordsString) : [];
+  
+  // Fall back to the keywords generated from the app's own metadata
+  if (keywords.length === 0) {
+    console.log(`🧠 No keywords given, generating them for app ID: ${validAppId}...`);
+    const appData = await getAppData(validAppId, options);
+    keywords = (await generateKeywords(appData, options)).keywords;
+  }
+  
+  const tracker = new RankTracker({ depth: options.depth || DEFAULT_DEPTH });
+  console.log(`\n📍 Checking ranks for app ID ${validAppId} on ${formatStorefront(options)} (top ${tracker.depth}) for ${keywords.length} keywords...`);
+  
+  const results = await tracker.trackKeywords(validAppId, keywords, options);
+  
+  console.log('\n📈 Search ranks:');
+  console.log('─'.repeat(60));
+  console.log('Keyword'.padEnd(30) + 'Rank'.padEnd(16) + 'Change');
+  console.log('─'.repeat(60));
+  
+  results.forEach(result => {
+    const rank = result.error ? 'error' : (result.rank === null ? `not in top ${tracker.depth}` : `#${result.rank}`);
+    console.log(result.keyword.padEnd(30) + rank.padEnd(16) + formatRankChange(result.change));
+  });
+  
+  console.log('─'.repeat(60));
+  
+  const ranked = results.filter(result => result.rank !== null).length;
+  console.log(`\n✅ Ranked in top ${tracker.depth} for ${ranked}/${results.length} keywords`);
+  logUsageStats(options.usage);
+  logRequestStats();
+  
+  return results;
+}
+
+/**
+ * Formats rank movement for display
+ * @param {string|number|null} change - Movement from RankTracker.getRankChange
+ * @returns {string} e.g. "▲ 3", "▼ 2", "new", "–"
+ */
+function formatRankChange(change) {
+  if (change === null || change === undefined) return '–';
+  if (change === 'new') return '🆕 entered';
+  if (change === 'dropped') return '⬇️ dropped out';
+  if (change > 0) return `▲ ${change}`;
+  if (change < 0) return `▼ ${-change}`;
+  return '=';
+}
+
+/**
+ * Builds a competitor keyword gap report for an app
+ * Lists keywords competitors target that our metadata doesn't cover, keywords we share
+ * and keywords only we cover, all scored with ASO metrics and gaps ranked by opportunity
+ * @param {string|number} appId - The app ID (numeric track ID, or package name on Google Play)
+ * @param {number} concurrency - Number of concurrent requests per batch (default: 3)
+ * @param {Object} options - Run options ({ country, lang, cache, history })
+ * @returns {Promise<Object>} { gaps, shared, uniqueToUs } with scored keywords
+ */
+async function analyzeKeywordGap(appId, concurrency = 3, options = {}) {
+  const { appData, similarApps } = await collectAppData(appId, options);
+  const { mainAppKeywords, keywordsBySimilarApp } = await generateAppKeywords(appData, similarApps, options);
+  
+  const gap = buildKeywordGap(appData, mainAppKeywords, keywordsBySimilarApp);
+  const entries = [...gap.gaps, ...gap.shared, ...gap.uniqueToUs];
+  
+  console.log(`\n🕳️ Found ${gap.gaps.length} gaps, ${gap.shared.length} shared and ${gap.uniqueToUs.length} unique keywords, scoring ${entries.length} keywords...`);
+  
+  const asoAnalyzer = createAnalyzer(options);
+  const analyses = await processKeywordsBatch(entries.map(entry => entry.keyword), asoAnalyzer, concurrency);
+  recordHistory(options.history, 'gap', asoAnalyzer, analyses);
+  
+  // Attach scores to each keyword entry
+  const scored = new Map(analyses.map(analysis => [analysis.keyword, analysis]));
+  const withScores = list => list.map(entry => {
+    const analysis = scored.get(entry.keyword);
+    return { ...entry, ...analysis, opportunityScore: getOpportunityScore(analysis) };
+  });
+  
+  const report = {
+    appTitle: appData.title,
+    gaps: rankGaps(withScores(gap.gaps)),
+    shared: rankGaps(withScores(gap.shared)),
+    uniqueToUs: rankGaps(withScores(gap.uniqueToUs))
+  };
+  
+  const printSection = (title, list, showCompetitors) => {
+    console.log(`\n${title} (${list.length})`);
+    console.log('─'.repeat(100));
+    console.log('Keyword'.padEnd(25) + 'Opportunity'.padEnd(13) + 'Traffic'.padEnd(10) + 'Difficulty'.padEnd(12) + 'Recommendation'.padEnd(16) + (showCompetitors ? 'Competitors' : ''));
+    console.log('─'.repeat(100));
+    list.forEach(entry => {
+      console.log(
+        entry.keyword.padEnd(25) +
+        entry.opportunityScore.toString().padEnd(13) +
+        entry.trafficScore.toString().padEnd(10) +
+        entry.difficultyScore.toString().padEnd(12) +
+        entry.recommendation.padEnd(16) +
+        (showCompetitors ? entry.competitors.join(', ') : '')
+      );
+    });
+  };
+  
+  printSection(`🎯 Gaps: competitor keywords ${appData.title} doesn't cover, best opportunities first`, report.gaps, true);
+  printSection('🤝 Shared keywords', report.shared, true);
+  printSection(`⭐ Keywords only ${appData.title} covers`, report.uniqueToUs, false);
+  
+  console.log('\n✅ Gap analysis complete!');
+  logCacheStats(options.cache);
+  logUsageStats(options.usage);
+  logRequestStats();
+  
+  return report;
+}
+
+/**
+ * Scores keywords and lists the best opportunities among them, ranked by the scoring model
+ * @param {string} keywordsString - Comma-separated keywords string
+ * @param {number} topN - Number of keywords to list (default: 10)
+ * @param {Object} options - Run options ({ platform, country, cache, history, scoring })
+ * @returns {Promise<Object>} findKeywordOpportunities result ({ totalAnalyzed, topOpportunities, summary })
+ */
+async function showKeywordOpportunities(keywordsString, topN = 10, options = {}) {
+  const keywords = dedupeKeywords(parseKeywordList(keywordsString));
+  const asoAnalyzer = createAnalyzer(options);
+  const analyses = await asoAnalyzer.analyzeKeywords(keywords);
+  recordHistory(options.history, 'opportunities', asoAnalyzer, analyses);
+  const opportunities = asoAnalyzer.rankOpportunities(analyses, topN);
+  
+  console.log(`\n🎯 Top ${opportunities.topOpportunities.length} of ${opportunities.totalAnalyzed} keywords on ${formatStorefront(options)}:`);
+  console.log('─'.repeat(80));
+  console.log('Keyword'.padEnd(25) + 'Traffic'.padEnd(10) + 'Difficulty'.padEnd(12) + 'Opportunity'.padEnd(13) + 'Recommendation');
+  console.log('─'.repeat(80));
+  opportunities.topOpportunities.forEach(result => {
+    console.log(
+      result.keyword.padEnd(25) +
+      result.trafficScore.toString().padEnd(10) +
+      result.difficultyScore.toString().padEnd(12) +
+      result.opportunityScore.toString().padEnd(13) +
+      result.recommendation
+    );
+  });
+  console.log('─'.repeat(80));
+  
+  const counts = Object.entries(opportunities.summary).map(([name, count]) => `${count} ${name}`);
+  console.log(`\n✅ ${counts.join(', ')}`);
+  logCacheStats(options.cache);
+  logRequestStats();
+  
+  return opportunities;
+}
+
+/**
+ * Scores keywords and builds the iOS keyword field from them
+ * @param {string} keywordsString - Comma-separated keywords string
+ * @param {number} concurrency - Number of concurrent requests per batch (default: 3)
+ * @param {Object} options - Run options ({ country, lang, cache, history, title, subtitle })
+ * @returns {Promise<Object>} Optimized keyword field with selected and excluded words
+ */
+async function buildKeywordField(keywordsString, concurrency = 3, options = {}) {
+  const analyses = await searchKeywords(keywordsString, concurrency, options);
+  const optimized = optimizeKeywordField(analyses, { title: options.title, subtitle: options.subtitle });
+  
+  console.log('\n🔤 Optimized keyword field:');
+  console.log(optimized.field);
+  console.log(`(${optimized.length}/100 characters, total opportunity score ${optimized.totalScore})`);
+  
+  console.log('\n✅ Included words:');
+  optimized.words.forEach(word => {
+    console.log(`  - ${word.word} (score ${word.score}, from: ${word.sources.join(', ')})`);
+  });
+  
+  if (optimized.excluded.length > 0) {
+    console.log('\n🚫 Left out:');
+    optimized.excluded.forEach(entry => console.log(`  - ${entry.word}: ${entry.reason}`));
+  }
+  
+  return optimized;
+}
+
+/**
+ * Audits how well an app's metadata covers its keywords
+ * Reports for each keyword whether it appears in the title, subtitle, description or only in
+ * screenshots (as the model saw them), plus a traffic-weighted coverage score per field
+ * @param {string|number} appId - The app ID (numeric track ID, or package name on Google Play)
+ * @param {string} keywordsString - Comma-separated keywords (empty to use the generated keywords)
+ * @param {Object} options - Run options ({ country, lang, cache, history, concurrency })
+ * @param {number} options.concurrency - Number of concurrent requests per batch (default: 3)
+ * @returns {Promise<Object>} Audit with per-keyword fields and per-field coverage
+ */
+async function auditAppMetadata(appId, keywordsString, options = {}) {
+  const { getAppData, parseAppId } = getStore(options.platform).scraper;
+  const validAppId = parseAppId(appId);
+  
+  console.log(`🔎 Auditing metadata for app ID: ${validAppId} (${formatStorefront(options)})`);
+  const appData = await getAppData(validAppId, options);
+  
+  // Keyword generation also reports what the model saw in the screenshots
+  console.log(`\n🧠 Reading screenshots and generating keywords for ${appData.title}...`);
+  const generated = await generateKeywords(appData, options);
+  const keywords = keywordsString ? parseKeywordList(keywordsString) : generated.keywords;
+  
+  const concurrency = options.concurrency || 3;
+  console.log(`\n📊 Scoring ${keywords.length} keywords (${concurrency} concurrent)...`);
+  const asoAnalyzer = createAnalyzer(options);
+  const analyses = await processKeywordsBatch(keywords, asoAnalyzer, concurrency);
+  recordHistory(options.history, 'audit', asoAnalyzer, analyses);
+  
+  const audit = auditMetadata(appData, generated.screenshotText, analyses);
+  const mark = covered => (covered === null ? '?' : covered ? '✓' : '·');
+  
+  console.log(`\n📋 Metadata coverage for ${appData.title}${appData.subtitle ? ` (${appData.subtitle})` : ''}:`);
+  console.log('─'.repeat(90));
+  console.log('Keyword'.padEnd(30) + 'Traffic'.padEnd(10) + 'Title'.padEnd(8) + 'Subtitle'.padEnd(10) + 'Descr.'.padEnd(8) + 'Shots'.padEnd(8) + 'Strongest in');
+  console.log('─'.repeat(90));
+  
+  audit.keywords.forEach(entry => {
+    console.log(
+      entry.keyword.padEnd(30) +
+      entry.trafficScore.toString().padEnd(10) +
+      mark(entry.fields.title).padEnd(8) +
+      mark(entry.fields.subtitle).padEnd(10) +
+      mark(entry.fields.description).padEnd(8) +
+      mark(entry.fields.screenshots).padEnd(8) +
+      (entry.screenshotsOnly ? 'screenshots only' : entry.bestField)
+    );
+  });
+  
+  console.log('─'.repeat(90));
+  console.log('\n📐 Coverage per field (keywords / traffic-weighted):');
+  AUDIT_FIELDS.forEach(field => {
+    const coverage = audit.coverage[field];
+    if (!coverage) {
+      console.log(`  ${field.padEnd(12)} unknown, the store page had no readable ${field}`);
+      return;
+    }
+    console.log(`  ${field.padEnd(12)} ${`${coverage.percent}%`.padEnd(6)} / ${coverage.weightedPercent}%`);
+  });
+  
+  // High-traffic keywords that neither title nor subtitle carry
+  const underused = audit.keywords.filter(entry => entry.trafficScore >= 40 && !entry.fields.title && !entry.fields.subtitle);
+  if (underused.length > 0) {
+    console.log('\n💡 High-traffic keywords missing from title and subtitle:');
+    underused.forEach(entry => console.log(`  - ${entry.keyword} (traffic ${entry.trafficScore}, found in: ${entry.bestField})`));
+  }
+  
+  logUsageStats(options.usage);
+  logRequestStats();
+  
+  return { appData, screenshotText: generated.screenshotText, ...audit };
+}
+
+/**
+ * Generates keywords natively for target markets and scores each locale's keywords in its own storefront
+ * The app's localized listing is used where the store has one; keywords aren't translated from the source listing
+ * @param {string|number} appId - The app ID (numeric track ID, or package name on Google Play)
+ * @param {Array<Object>} locales - Target locales ({ locale, country, lang }), from parseLocale
+ * @param {number} concurrency - Number of concurrent requests per batch (default: 3)
+ * @param {Object} options - Run options ({ platform, country, lang, cache, history, llm, usage }); country and lang pick the source listing
+ * @returns {Promise<Object>} { appData, sourceKeywords, locales: [{ locale, country, lang, localized, keywords: scored keywords }] }
+ */
+async function localizeAppKeywords(appId, locales, concurrency = 3, options = {}) {
+  const { getAppData, parseAppId } = getStore(options.platform).scraper;
+  const validAppId = parseAppId(appId);
+  
+  console.log(`🌍 Localizing keywords for app ID: ${validAppId} (${formatStorefront(options)}) into ${locales.map(target => target.locale).join(', ')}`);
+  const appData = await getAppData(validAppId, options);
+  const listings = await fetchLocalizedListings(appData, locales);
+  
+  console.log(`\n🧠 Generating keywords for ${appData.title} in ${locales.length} locales...`);
+  const generated = await generateKeywords(appData, { ...options, locales: listings });
+  
+  const results = [];
+  for (const [i, { locale, country, lang, keywords }] of generated.keywordsByLocale.entries()) {
+    const unique = dedupeKeywords(keywords);
+    console.log(`\n📊 Scoring ${unique.length} ${locale} keywords in the ${country.toUpperCase()} storefront...`);
+    const asoAnalyzer = createAnalyzer(options, country);
+    const analyses = await processKeywordsBatch(unique, asoAnalyzer, concurrency);
+    recordHistory(options.history, 'localize', asoAnalyzer, analyses);
+    
+    results.push({
+      locale,
+      country,
+      lang,
+      localized: Boolean(listings[i].listing),
+      keywords: analyses.sort((a, b) => asoAnalyzer.scoring.compare(a, b))
+    });
+  }
+  
+  results.forEach(result => {
+    console.log(`\n🌐 ${result.locale} (${result.localized ? 'localized listing' : 'source listing'}), best opportunities first:`);
+    console.log('─'.repeat(80));
+    console.log('Keyword'.padEnd(30) + 'Traffic'.padEnd(10) + 'Difficulty'.padEnd(12) + 'Opportunity'.padEnd(13) + 'Recommendation');
+    console.log('─'.repeat(80));
+    result.keywords.forEach(entry => {
+      console.log(
+        entry.keyword.padEnd(30) +
+        entry.trafficScore.toString().padEnd(10) +
+        entry.difficultyScore.toString().padEnd(12) +
+        entry.opportunityScore.toString().padEnd(13) +
+        entry.recommendation
+      );
+    });
+    console.log('─'.repeat(80));
+  });
+  
+  console.log(`\n✅ Localized ${results.reduce((sum, result) => sum + result.keywords.length, 0)} keywords into ${results.length} locales`);
+  logCacheStats(options.cache);
+  logUsageStats(options.usage);
+  logRequestStats();
+  
+  return { appData, sourceKeywords: generated.keywords, locales: results };
+}
+
+/**
+ * Estimates the LLM calls of an app analysis without sending any of them
+ * Stages already saved in the app's checkpoint cost nothing and are left out
+ * @param {Object} appData - Main app data
+ * @param {Array<Object>} similarApps - Similar apps data
+ * @param {Object} options - Run options, as for analyzeApp, with options.usage in dry-run mode
+ */
+async function estimateAppUsage(appData, similarApps, options = {}) {
+  const saved = stage => Boolean(options.checkpoint && options.checkpoint.get(stage));
+  console.log('\n🧪 Dry run: estimating LLM usage, nothing is sent to the LLM');
+  
+  for (const app of [appData, ...similarApps]) {
+    if (!saved('generate')) {
+      estimateKeywordGeneration(app, options);
+    }
+    if (options.reviews && !saved('reviews')) {
+      try {
+        const reviews = await fetchReviews(app, { ...options, ...options.reviews });
+        if (reviews.length > 0) {
+          estimateReviewMining(app, reviews, options);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Failed to fetch reviews for ${app.title}: ${error.message}`);
+      }
+    }
+  }
+}
+
 /**
  * Main entry function for app analysis
- * @param {string|number} appId - The app ID (must be numeric)
+ * @param {string|number} appId - The app ID (numeric track ID, or package name on Google Play)
+ * @param {Object} options - Run options ({ country, lang, cache, history, concurrency, limit, sample, reviews, expand, onProgress })
+ * @param {Object} options.reviews - Mine reviews of every app for extra keywords ({ pages, sort }), off when unset
+ * @param {Object} options.expand - Add store suggestions for the main app's keywords ({ depth }), off when unset
+ * @param {Object} options.validate - Check search presence and flag or drop irrelevant keywords ({ threshold, depth, action }), off when unset
+ * @param {Function} options.onProgress - Called with the stage name ('scrape', 'generate', 'reviews', 'expand', 'validate', 'score') as each stage starts
+ * @param {Object} options.checkpoint - Resumes finished stages and saves new ones ({ get(stage), save(stage, result) }), optional
+ * @param {LlmUsage} options.usage - Records token usage and enforces the budget; in dry-run mode the analysis stops after estimating the LLM calls
  */
-async function analyzeApp(appId) {
+async function analyzeApp(appId, options = {}) {
+  const reportProgress = options.onProgress || (() => {});
+  const dryRun = Boolean(options.usage && options.usage.dryRun);
+  
+  // Stages saved by an earlier, interrupted run are reused instead of being run again
+  const runStage = async (stage, run) => {
+    reportProgress(stage);
+    const saved = options.checkpoint && options.checkpoint.get(stage);
+    if (saved) {
+      console.log(`⏭️ Resuming ${stage} stage from checkpoint`);
+      return saved;
+    }
+    const result = await run();
+    if (options.checkpoint && !dryRun) {
+      options.checkpoint.save(stage, result);
+    }
+    return result;
+  };
+  
   try {
     // Step 1: Collect app data and similar apps, then log
-    const { appData, similarApps } = await collectAppData(appId);
+    const { appData, similarApps } = await runStage('scrape', () => collectAppData(appId, options));
+    const appTitles = [appData, ...similarApps].map(app => app.title);
+    
+    // A dry run only scrapes, then estimates what the LLM stages would cost
+    if (dryRun) {
+      await estimateAppUsage(appData, similarApps, options);
+      logUsageStats(options.usage, appTitles);
+      return { appData, similarApps, mainAppKeywords: [], similarAppKeywords: [], keywordsBySimilarApp: [], allKeywords: [], reviewInsights: [], expansions: [], validations: [], keywordAnalysis: [] };
+    }
 
     // Step 2: Generate keywords for main app and similar apps
-    const { mainAppKeywords, similarAppKeywords, allKeywords } = await generateAppKeywords(appData, similarApps);
+    const appKeywords = await runStage('generate', () => generateAppKeywords(appData, similarApps, options));
+    const { mainAppKeywords, similarAppKeywords, keywordsBySimilarApp, allKeywords } = appKeywords;
 
-    // Step 3: Analyze 5 random keywords from all keywords with ASO
-    const keywordAnalysis = await analyzeRandomKeywords(allKeywords);
+    // Optional: mine reviews for the words users actually use
+    let reviewInsights = [];
+    if (options.reviews) {
+      reviewInsights = await runStage('reviews', () => mineAppReviews(appData, similarApps, options));
+    }
+
+    // Optional: add store suggestions for our generated keywords
+    let expansions = [];
+    if (options.expand) {
+      const known = [...allKeywords, ...reviewInsights.flatMap(insights => insights.keywords)];
+      expansions = await runStage('expand', () => expandKeywords(mainAppKeywords, { ...options, ...options.expand, exclude: known }));
+    }
+
+    // Optional: check that the keywords have real search presence before they're scored
+    let validations = [];
+    if (options.validate) {
+      validations = await runStage('validate', () => validateAppKeywords(appData, similarApps, { ...appKeywords, reviewInsights, expansions }, options));
+    }
+
+    // Step 3: Score every generated, review-derived and suggested keyword with ASO and rank by opportunity
+    const keywordAnalysis = await runStage('score', () => scoreAppKeywords(appData, { ...appKeywords, reviewInsights, expansions, validations }, options));
+    logCacheStats(options.cache);
+    logScreenshotStats(options.screenshotCache);
+    logUsageStats(options.usage, appTitles);
+    logRequestStats();
 
     return {
       appData,
       similarApps,
       mainAppKeywords,
       similarAppKeywords,
+      keywordsBySimilarApp,
       allKeywords,
+      reviewInsights,
+      expansions,
+      validations,
       keywordAnalysis
     };
 
@@ -248,70 +1216,89 @@ async function analyzeApp(appId) {
   }
 }
 
+/**
+ * Runs analyzeApp for every app in a batch file, saving a checkpoint after each stage
+ * An interrupted batch resumes at the first unfinished stage; apps that fail are reported and skipped
+ * @param {string} filePath - JSON batch file (see readPortfolio)
+ * @param {number} concurrency - Number of concurrent requests per batch of keywords (default: 3)
+ * @param {Object} options - Run options, as for analyzeApp
+ * @param {CheckpointStore} options.checkpoints - Where stage results are saved
+ * @returns {Promise<Object>} summarizePortfolio result, also saved as summary.json next to the checkpoints
+ */
+async function analyzePortfolio(filePath, concurrency = 3, options = {}) {
+  const entries = readPortfolio(filePath, { platform: DEFAULT_PLATFORM, country: 'us', lang: 'en', ...options });
+  const { checkpoints } = options;
+  console.log(`📦 Analyzing ${entries.length} apps from ${filePath} (checkpoints in ${checkpoints.dir})`);
+  
+  const runs = [];
+  for (const [i, entry] of entries.entries()) {
+    console.log(`\n📦 App ${i + 1}/${entries.length}: ${entry.appId} (${formatStorefront(entry)})`);
+    try {
+      const analysis = await analyzeApp(entry.appId, {
+        ...options,
+        ...entry,
+        concurrency,
+        checkpoint: checkpoints.forApp(getPortfolioKey(entry, options))
+      });
+      runs.push({ entry, analysis });
+    } catch (error) {
+      runs.push({ entry, error: error.message });
+      // The budget covers the whole batch, so later apps can't run either
+      if (error instanceof BudgetExceededError) {
+        console.error(`🛑 ${error.message}; skipping the remaining ${entries.length - i - 1} apps`);
+        break;
+      }
+    }
+  }
+  
+  // A dry run's empty analyses must not replace the summary of a real run
+  const summary = summarizePortfolio(runs, options.scoring);
+  if (!(options.usage && options.usage.dryRun)) {
+    checkpoints.saveSummary(summary);
+  }
+  
+  console.log('\n📦 Portfolio summary:');
+  console.log('─'.repeat(100));
+  console.log('App'.padEnd(30) + 'Storefront'.padEnd(16) + 'Keywords'.padEnd(10) + 'Top keyword');
+  console.log('─'.repeat(100));
+  summary.apps.forEach(app => {
+    const top = app.status === 'completed' && app.topKeywords.length > 0
+      ? `${app.topKeywords[0].keyword} (${app.topKeywords[0].opportunityScore})`
+      : '';
+    console.log(
+      (app.title || String(app.appId)).slice(0, 28).padEnd(30) +
+      formatStorefront(app).padEnd(16) +
+      (app.status === 'completed' ? app.keywordsScored.toString() : 'failed').padEnd(10) +
+      (app.error || top)
+    );
+  });
+  console.log('─'.repeat(100));
+  console.log(`\n✅ Batch complete! ${summary.totals.completed} of ${summary.totals.apps} apps analyzed, ${summary.totals.failed} failed`);
+  logUsageStats(options.usage);
+  
+  return summary;
+}
+
 // Export for use in other modules
 module.exports = {
   analyzeApp,
-  searchKeywords
+  analyzePortfolio,
+  searchKeywords,
+  searchKeywordsMultiStorefront,
+  compareKeywordsAcrossStores,
+  showKeywordHistory,
+  trackAppRanks,
+  analyzeKeywordGap,
+  buildKeywordField,
+  auditAppMetadata,
+  localizeAppKeywords,
+  showKeywordOpportunities,
+  DEFAULT_SIMILAR_APPS
 };
 
-// If run directly, handle command line arguments
+// If run directly, hand the command line to the CLI
 if (require.main === module) {
-  const args = process.argv.slice(2);
-  
-  if (args.length === 0) {
-    console.error('❌ Please provide arguments');
-    console.log('Usage:');
-    console.log('  node main.js <appId>                    - Analyze an app');
-    console.log('  node main.js -search "keyword1,keyword2" - Search keywords');
-    console.log('');
-    console.log('Examples:');
-    console.log('  node main.js 310633997');
-    console.log('  node main.js -search "AI photo editor,AI image editor,photo editor,photo editing"');
-    process.exit(1);
-  }
-  
-  // Handle -search command
-  if (args[0] === '-search') {
-    if (!args[1]) {
-      console.error('❌ Please provide keywords after -search');
-      console.log('Usage: node main.js -search "keyword1,keyword2,keyword3" [concurrency]');
-      console.log('Examples:');
-      console.log('  node main.js -search "AI photo editor,AI image editor,photo editor,photo editing"');
-      console.log('  node main.js -search "keywords..." 5');
-      console.log('  node main.js -search "keywords..." 10');
-      process.exit(1);
-    }
-    
-    const keywordsString = args[1];
-    const concurrency = parseInt(args[2]) || 3; // Optional concurrency parameter
-    
-    // Validate concurrency
-    if (concurrency < 1 || concurrency > 20) {
-      console.error('❌ Concurrency must be between 1 and 20');
-      process.exit(1);
-    }
-    
-    searchKeywords(keywordsString, concurrency).catch(error => {
-      console.error('❌ Search failed:', error.message);
-      process.exit(1);
-    });
-  }
-  // Handle regular app analysis
-  else {
-    const appId = args[0];
-    
-    // Validate app ID is numeric
-    const numericAppId = parseInt(appId, 10);
-    if (isNaN(numericAppId) || numericAppId <= 0) {
-      console.error('❌ App ID must be a valid numeric value');
-      console.log('Usage: node main.js <appId>');
-      console.log('Example: node main.js 310633997');
-      process.exit(1);
-    }
-
-    analyzeApp(appId).catch(error => {
-      console.error('❌ Analysis failed:', error.message);
-      process.exit(1);
-    });
-  }
-}
\ No newline at end of file
+  require('./cli').run(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
@@ -0,0 +1,347 @@
+// Run directly, load .env before any module reads its settings
+if (require.main === module) require('dotenv').config({ quiet: true });
+
+const http = require('http');
+const { analyzeApp, searchKeywords } = require('./main');
+const { ASOAnalyzer } = require('./services/aso-analyzer');
+const { ScoringModel } = require('./services/scoring-model');
+const { KeywordCache } = require('./services/keyword-cache');
+const { KeywordHistory } = require('./services/keyword-history');
+const { ScreenshotCache } = require('./services/screenshot-cache');
+const { JobQueue, DEFAULT_MAX_CONCURRENT } = require('./services/job-queue');
+const { scheduler } = require('./services/request-scheduler');
+const { getStore, DEFAULT_PLATFORM, PLATFORM_NAMES } = require('./services/stores');
+const { REVIEW_SORTS, DEFAULT_REVIEW_PAGES } = require('./services/review-miner');
+const { DEFAULT_EXPANSION_DEPTH, MAX_EXPANSION_DEPTH } = require('./services/keyword-expansion');
+const { RELEVANCE_ACTIONS, DEFAULT_RELEVANCE_OPTIONS } = require('./services/relevance-validator');
+
+const DEFAULT_PORT = 3000;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Error with an HTTP status code, sent to the client as { error }
+ */
+class HttpError extends Error {
+  constructor(statusCode, message, headers = {}) {
+    super(message);
+    this.statusCode = statusCode;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response body
+ * @param {Object} headers - Extra response headers (optional)
+ */
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body (empty object when there is none)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let bytes = 0;
+
+    req.on('data', chunk => {
+      bytes += chunk.length;
+      chunks.push(chunk);
+      if (bytes > MAX_BODY_BYTES) {
+        // Stop reading but keep the socket, so the 413 reaches the client; Connection: close ends it after
+        req.removeAllListeners('data');
+        req.pause();
+        reject(new HttpError(413, 'Request body too large', { Connection: 'close' }));
+      }
+    });
+
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      if (!body) return resolve({});
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new HttpError(400, 'Request body must be valid JSON'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Validates storefront and concurrency fields shared by every endpoint
+ * @param {Object} body - Request body
+ * @returns {Object} { platform, country, lang, concurrency }
+ */
+function parseRunOptions(body) {
+  const platform = String(body.platform || DEFAULT_PLATFORM).toLowerCase();
+  const country = (body.country || 'us').toLowerCase();
+  const lang = (body.lang || 'en').toLowerCase();
+  const concurrency = body.concurrency === undefined ? 3 : parseInt(body.concurrency, 10);
+
+  if (!PLATFORM_NAMES.includes(platform)) {
+    throw new HttpError(400, `platform must be one of: ${PLATFORM_NAMES.join(', ')}`);
+  }
+  if (!/^[a-z]{2}$/.test(country)) {
+    throw new HttpError(400, 'country must be a two-letter code, e.g. us, de, jp');
+  }
+  if (isNaN(concurrency) || concurrency < 1 || concurrency > 20) {
+    throw new HttpError(400, 'concurrency must be between 1 and 20');
+  }
+
+  return { platform, country, lang, concurrency };
+}
+
+/**
+ * Validates the optional review mining field of an analysis request
+ * @param {Object} body - Request body with reviews as true or { pages?, sort? }
+ * @returns {Object|null} Review options ({ pages, sort }), or null when reviews aren't mined
+ */
+function parseReviewOptions(body) {
+  if (!body.reviews) return null;
+
+  const { pages = DEFAULT_REVIEW_PAGES, sort = 'recent' } = body.reviews === true ? {} : body.reviews;
+  const reviewPages = parseInt(pages, 10);
+  if (isNaN(reviewPages) || reviewPages < 1 || reviewPages > 10) {
+    throw new HttpError(400, 'reviews.pages must be between 1 and 10');
+  }
+  if (!REVIEW_SORTS.includes(sort)) {
+    throw new HttpError(400, `reviews.sort must be one of: ${REVIEW_SORTS.join(', ')}`);
+  }
+
+  return { pages: reviewPages, sort };
+}
+
+/**
+ * Validates the optional suggestion expansion field of an analysis or search request
+ * @param {Object} body - Request body with expand as true or { depth? }
+ * @returns {Object|null} Expansion options ({ depth }), or null when keywords aren't expanded
+ */
+function parseExpandOptions(body) {
+  if (!body.expand) return null;
+
+  const { depth = DEFAULT_EXPANSION_DEPTH } = body.expand === true ? {} : body.expand;
+  const expansionDepth = parseInt(depth, 10);
+  if (isNaN(expansionDepth) || expansionDepth < 1 || expansionDepth > MAX_EXPANSION_DEPTH) {
+    throw new HttpError(400, `expand.depth must be between 1 and ${MAX_EXPANSION_DEPTH}`);
+  }
+
+  return { depth: expansionDepth };
+}
+
+/**
+ * Validates the optional relevance validation field of an analysis request
+ * @param {Object} body - Request body with validate as true or { threshold?, depth?, action? }
+ * @returns {Object|null} Relevance options ({ threshold, depth, action }), or null when keywords aren't validated
+ */
+function parseValidateOptions(body) {
+  if (!body.validate) return null;
+
+  const options = { ...DEFAULT_RELEVANCE_OPTIONS, ...(body.validate === true ? {} : body.validate) };
+  // Left unset, the threshold defaults per platform
+  const threshold = options.threshold === undefined ? undefined : parseInt(options.threshold, 10);
+  const depth = parseInt(options.depth, 10);
+  if (threshold !== undefined && (isNaN(threshold) || threshold < 0 || threshold > 100)) {
+    throw new HttpError(400, 'validate.threshold must be between 0 and 100');
+  }
+  if (isNaN(depth) || depth < 1 || depth > 200) {
+    throw new HttpError(400, 'validate.depth must be between 1 and 200');
+  }
+  if (!RELEVANCE_ACTIONS.includes(options.action)) {
+    throw new HttpError(400, `validate.action must be one of: ${RELEVANCE_ACTIONS.join(', ')}`);
+  }
+
+  return { threshold, depth, action: options.action };
+}
+
+/**
+ * Reads the keyword list from a request body (array or comma-separated string)
+ * @param {Object} body - Request body
+ * @returns {Array<string>} Keywords
+ */
+function parseKeywords(body) {
+  const keywords = (Array.isArray(body.keywords) ? body.keywords : String(body.keywords || '').split(','))
+    .map(keyword => String(keyword).trim())
+    .filter(keyword => keyword.length > 0);
+
+  if (keywords.length === 0) {
+    throw new HttpError(400, 'keywords must be a non-empty array or comma-separated string');
+  }
+
+  return keywords;
+}
+
+/**
+ * Creates the HTTP API server
+ * Long app analyses run as background jobs; keyword search and opportunities answer directly.
+ * Everything that touches the store or the LLM shares one concurrency limit.
+ *
+ *   POST /api/analyze           { appId, platform?, concurrency?, limit?, reviews?, expand?, validate?, country?, lang? } → 202 job
+ *   GET  /api/jobs                                                                                                       → jobs
+ *   GET  /api/jobs/:id                                                                                                   → job status and progress
+ *   GET  /api/jobs/:id/result                                                                                            → analysis result
+ *   POST /api/search            { keywords, platform?, concurrency?, expand?, country?, lang? }                          → scored keywords
+ *   POST /api/opportunities     { keywords, platform?, topN?, country? }                                                 → opportunity summary
+ *   GET  /api/health                                                                                                     → queue and request stats
+ *
+ * @param {Object} options - Server options
+ * @param {number} options.maxConcurrent - Analyses and searches allowed at once (default: 2)
+ * @param {ScoringModel} options.scoring - Score bands, weights and recommendation rules (default: DEFAULT_SCORING_MODEL)
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createServer({ maxConcurrent = DEFAULT_MAX_CONCURRENT, scoring } = {}) {
+  const queue = new JobQueue({ maxConcurrent });
+  const cache = new KeywordCache();
+  const history = new KeywordHistory();
+  const screenshotCache = new ScreenshotCache();
+
+  const routes = [
+    {
+      method: 'GET',
+      path: /^\/api\/health$/,
+      handler: () => [200, { status: 'ok', running: queue.running, maxConcurrent: queue.maxConcurrent, requests: scheduler.getStats() }]
+    },
+    {
+      method: 'POST',
+      path: /^\/api\/analyze$/,
+      handler: async (req) => {
+        const body = await readJsonBody(req);
+        const { platform, country, lang, concurrency } = parseRunOptions(body);
+
+        let appId;
+        try {
+          appId = getStore(platform).scraper.parseAppId(body.appId);
+        } catch (error) {
+          throw new HttpError(400, error.message.replace(/^App ID/, 'appId'));
+        }
+
+        const limit = body.limit === undefined ? undefined : parseInt(body.limit, 10);
+        if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+          throw new HttpError(400, 'limit must be a positive number');
+        }
+        const reviews = parseReviewOptions(body);
+        const expand = parseExpandOptions(body);
+        const validate = parseValidateOptions(body);
+
+        const job = queue.enqueue('analyze', { appId, platform, country, lang, concurrency, limit, reviews, expand, validate }, onProgress =>
+          analyzeApp(appId, {
+            platform, country, lang, concurrency, limit, reviews, expand, validate, history, scoring, onProgress,
+            // Each job logs its own cache hits and misses
+            cache: cache.withOwnStats(),
+            screenshotCache: screenshotCache.withOwnStats()
+          }));
+
+        return [202, job];
+      }
+    },
+    {
+      method: 'GET',
+      path: /^\/api\/jobs$/,
+      handler: () => [200, { jobs: queue.list() }]
+    },
+    {
+      method: 'GET',
+      path: /^\/api\/jobs\/([\w-]+)$/,
+      handler: (req, match) => {
+        const job = queue.get(match[1]);
+        if (!job) throw new HttpError(404, 'Job not found');
+        return [200, queue.toStatus(job)];
+      }
+    },
+    {
+      method: 'GET',
+      path: /^\/api\/jobs\/([\w-]+)\/result$/,
+      handler: (req, match) => {
+        const job = queue.get(match[1]);
+        if (!job) throw new HttpError(404, 'Job not found');
+        // A failed job is the job's outcome, not a server error
+        if (job.status === 'failed') throw new HttpError(409, `Job failed: ${job.error}`);
+        if (job.status !== 'completed') throw new HttpError(409, `Job is ${job.status}, result not ready`);
+        return [200, job.result];
+      }
+    },
+    {
+      method: 'POST',
+      path: /^\/api\/search$/,
+      handler: async (req) => {
+        const body = await readJsonBody(req);
+        const keywords = parseKeywords(body);
+        const { platform, country, lang, concurrency } = parseRunOptions(body);
+        const expand = parseExpandOptions(body);
+
+        const results = await queue.run(() =>
+          searchKeywords(keywords.join(','), concurrency, { platform, country, lang, expand, cache: cache.withOwnStats(), history, scoring }));
+
+        return [200, { platform, country, results }];
+      }
+    },
+    {
+      method: 'POST',
+      path: /^\/api\/opportunities$/,
+      handler: async (req) => {
+        const body = await readJsonBody(req);
+        const keywords = parseKeywords(body);
+        const { platform, country } = parseRunOptions(body);
+        const topN = body.topN === undefined ? 10 : parseInt(body.topN, 10);
+        if (isNaN(topN) || topN < 1) {
+          throw new HttpError(400, 'topN must be a positive number');
+        }
+
+        const asoAnalyzer = new ASOAnalyzer(platform, { country, cache, scoring });
+        const analyses = await queue.run(() => asoAnalyzer.analyzeKeywords(keywords));
+        history.recordRun({ source: 'opportunities', platform, country, results: analyses });
+        const opportunities = asoAnalyzer.rankOpportunities(analyses, topN);
+
+        return [200, opportunities];
+      }
+    }
+  ];
+
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      const matching = routes.filter(route => route.path.test(pathname));
+      if (matching.length === 0) {
+        throw new HttpError(404, 'Not found');
+      }
+
+      const route = matching.find(r => r.method === req.method);
+      if (!route) {
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+      }
+
+      const [statusCode, body] = await route.handler(req, pathname.match(route.path));
+      sendJson(res, statusCode, body);
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      if (statusCode === 500) {
+        console.error(`❌ ${req.method} ${pathname} failed:`, error.message);
+      }
+      sendJson(res, statusCode, { error: error.message }, error.headers);
+    }
+  });
+}
+
+module.exports = {
+  createServer
+};
+
+// If run directly, start listening
+if (require.main === module) {
+  const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+  const maxConcurrent = parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || DEFAULT_MAX_CONCURRENT;
+  const scoring = process.env.SCORING_CONFIG ? ScoringModel.load(process.env.SCORING_CONFIG) : undefined;
+
+  createServer({ maxConcurrent, scoring }).listen(port, () => {
+    console.log(`🌐 ASO API listening on http://localhost:${port} (${maxConcurrent} concurrent jobs)`);
+  });
+}
@@ -1,10 +1,32 @@
 const store = require('app-store-scraper');
+const { scheduler, RequestError } = require('./request-scheduler');
+const { ValidationError } = require('./validation-error');
+
+// The subtitle sits in an <h2> whose class names it, e.g. "product-header__subtitle"
+const SUBTITLE_PATTERN = /<h2[^>]*class="[^"]*subtitle[^"]*"[^>]*>([^<]+)</;
+
+/**
+ * Validates an App Store track ID
+ * @param {string|number} appId - App Store track ID
+ * @returns {number} Numeric track ID
+ */
+function parseAppId(appId) {
+  const numericAppId = parseInt(appId, 10);
+  if (isNaN(numericAppId) || numericAppId <= 0) {
+    throw new ValidationError('App ID must be a valid numeric value');
+  }
+  return numericAppId;
+}
 
 /**
  * Simple app store scraper service
  * Fetches app data by track ID from App Store
+ * @param {string|number} trackId - App Store track ID
+ * @param {Object} storefront - Storefront to query
+ * @param {string} storefront.country - Two-letter country code (default: 'us')
+ * @param {string} storefront.lang - Language code (default: 'en')
  */
-async function getAppData(trackId) {
+async function getAppData(trackId, { country = 'us', lang = 'en' } = {}) {
   try {
     // Validate trackId is numeric
     const numericTrackId = parseInt(trackId, 10);
@@ -13,14 +35,35 @@ async function getAppData(trackId) {
     }
 
     // Fetch app data from app-store-scraper
-    const appData = await store.app({ id: numericTrackId });
+    const appData = await scheduler.schedule('scraper', () => store.app({ id: numericTrackId, country, lang }), `app ${numericTrackId} (${country}/${lang})`);
+    
+    // The lookup API has no subtitle, so it's read from the store page (null if it can't be)
+    const subtitle = await fetchSubtitle(appData.url);
     
-    // Return structured data with title, description, and screenshots
+    // Return structured app model with metadata, ratings and screenshots
     return {
+      id: appData.id,
+      bundleId: appData.appId,
+      platform: 'itunes',
+      url: appData.url,
+      icon: appData.icon,
       title: appData.title,
+      subtitle,
       description: appData.description,
+      releaseNotes: appData.releaseNotes || '',
+      version: appData.version,
+      updated: appData.updated,
+      developer: appData.developer,
       genres: appData.genres || [],
-      screenshots: appData.screenshots || []
+      primaryGenre: appData.primaryGenre,
+      contentRating: appData.contentRating,
+      languages: appData.languages || [],
+      price: appData.price,
+      free: appData.free,
+      rating: appData.score,
+      ratingCount: appData.reviews,
+      screenshots: appData.screenshots || [],
+      ipadScreenshots: appData.ipadScreenshots || []
     };
     
   } catch (error) {
@@ -31,10 +74,51 @@ async function getAppData(trackId) {
   }
 }
 
+/**
+ * Reads the subtitle from an app's App Store page
+ * The page markup isn't an API, so a page without the expected subtitle element gives null
+ * (unknown) rather than an empty subtitle
+ * @param {string} url - App Store page URL
+ * @returns {Promise<string|null>} Subtitle, or null if it couldn't be read
+ */
+async function fetchSubtitle(url) {
+  if (!url) return null;
+
+  let html;
+  try {
+    html = await scheduler.schedule('scraper', async () => {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw RequestError.fromResponse(response, `status ${response.status}`);
+      }
+      return response.text();
+    }, `subtitle ${url}`);
+  } catch (error) {
+    console.warn(`⚠️ Failed to fetch subtitle from ${url}: ${error.message}`);
+    return null;
+  }
+
+  const match = html.match(SUBTITLE_PATTERN);
+  if (!match) {
+    console.warn(`⚠️ No subtitle found on ${url}, the page layout may have changed; treating the subtitle as unknown`);
+    return null;
+  }
+
+  return match[1]
+    .replace(/&amp;/g, '&')
+    .replace(/&#39;|&#x27;/g, "'")
+    .replace(/&quot;/g, '"')
+    .trim();
+}
+
 /**
  * Get similar apps by track ID
+ * @param {string|number} trackId - App Store track ID
+ * @param {Object} storefront - Storefront to query
+ * @param {string} storefront.country - Two-letter country code (default: 'us')
+ * @param {string} storefront.lang - Language code (default: 'en')
  */
-async function getSimilarApps(trackId) {
+async function getSimilarApps(trackId, { country = 'us', lang = 'en' } = {}) {
   try {
     // Validate trackId is numeric
     const numericTrackId = parseInt(trackId, 10);
@@ -43,7 +127,7 @@ async function getSimilarApps(trackId) {
     }
 
     // Fetch similar apps data from app-store-scraper
-    const similarApps = await store.similar({ id: numericTrackId });
+    const similarApps = await scheduler.schedule('scraper', () => store.similar({ id: numericTrackId, country, lang }), `similar apps of ${numericTrackId} (${country}/${lang})`);
     
     return similarApps;
     
@@ -55,7 +139,105 @@ async function getSimilarApps(trackId) {
   }
 }
 
+/**
+ * Searches the App Store and returns the ranked app IDs for a term
+ * @param {string} term - Search term
+ * @param {Object} options - Search options
+ * @param {string} options.country - Two-letter country code (default: 'us')
+ * @param {string} options.lang - Language code (default: 'en')
+ * @param {number} options.num - Number of results to fetch (default: 100)
+ * @returns {Promise<Array<string>>} App IDs in search result order
+ */
+async function searchAppIds(term, { country = 'us', lang = 'en', num = 100 } = {}) {
+  try {
+    const ids = await scheduler.schedule('scraper', () => store.search({ term, country, lang, num, idsOnly: true }), `search "${term}" (${country}/${lang}, top ${num})`);
+    return ids.map(id => String(id));
+  } catch (error) {
+    throw new Error(`Failed to search for "${term}": ${error.message}`);
+  }
+}
+
+/**
+ * Searches the App Store and returns the top apps for a term with their genres
+ * @param {string} term - Search term
+ * @param {Object} options - Search options
+ * @param {string} options.country - Two-letter country code (default: 'us')
+ * @param {string} options.lang - Language code (default: 'en')
+ * @param {number} options.num - Number of results to fetch (default: 20)
+ * @returns {Promise<Array<Object>>} Apps in search result order as { id, title, genres }
+ */
+async function searchApps(term, { country = 'us', lang = 'en', num = 20 } = {}) {
+  try {
+    const apps = await scheduler.schedule('scraper', () => store.search({ term, country, lang, num }), `search apps "${term}" (${country}/${lang}, top ${num})`);
+    return apps.map(app => ({ id: String(app.id), title: app.title, genres: app.genres || [] }));
+  } catch (error) {
+    throw new Error(`Failed to search for "${term}": ${error.message}`);
+  }
+}
+
+/**
+ * Gets the App Store search autocomplete suggestions for a term
+ * @param {string} term - Partial or full search term
+ * @param {Object} options - Suggestion options
+ * @param {string} options.country - Two-letter country code (default: 'us')
+ * @returns {Promise<Array<string>>} Suggested search terms, most popular first
+ */
+async function getSuggestions(term, { country = 'us' } = {}) {
+  try {
+    const suggestions = await scheduler.schedule('scraper', () => store.suggest({ term, country }), `suggest "${term}" (${country})`);
+    return suggestions.map(suggestion => suggestion.term);
+  } catch (error) {
+    throw new Error(`Failed to get suggestions for "${term}": ${error.message}`);
+  }
+}
+
+// Review sort orders accepted by the customer reviews feed
+const REVIEW_SORTS = {
+  recent: store.sort.RECENT,
+  helpful: store.sort.HELPFUL
+};
+
+/**
+ * Fetches customer reviews, 50 per page, stopping early when a page comes back empty
+ * @param {string|number} trackId - App Store track ID
+ * @param {Object} options - Review options
+ * @param {string} options.country - Two-letter country code (default: 'us')
+ * @param {string} options.sort - 'recent' or 'helpful' (default: 'recent')
+ * @param {number} options.pages - Pages to fetch, at most 10 (default: 1)
+ * @returns {Promise<Array<Object>>} Reviews as { id, title, text, rating, version, date }
+ */
+async function getReviews(trackId, { country = 'us', sort = 'recent', pages = 1 } = {}) {
+  try {
+    const numericTrackId = parseAppId(trackId);
+    const reviews = [];
+
+    for (let page = 1; page <= Math.min(pages, 10); page++) {
+      const pageReviews = await scheduler.schedule('scraper', () => store.reviews({ id: numericTrackId, country, sort: REVIEW_SORTS[sort], page }), `reviews of ${numericTrackId} (${country}, ${sort}, page ${page})`);
+      if (pageReviews.length === 0) break;
+
+      reviews.push(...pageReviews.map(review => ({
+        id: review.id,
+        title: review.title || '',
+        text: review.text || '',
+        rating: review.score,
+        version: review.version,
+        date: review.updated
+      })));
+    }
+
+    return reviews;
+
+  } catch (error) {
+    throw new Error(`Failed to fetch reviews: ${error.message}`);
+  }
+}
+
 module.exports = {
+  parseAppId,
   getAppData,
-  getSimilarApps
+  getSimilarApps,
+  searchAppIds,
+  searchApps,
+  getSuggestions,
+  getReviews
 };
\ No newline at end of file
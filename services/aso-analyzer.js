@@ -1,13 +1,25 @@
 const { ASO } = require('aso-v2');
+const { scheduler } = require('./request-scheduler');
+const { DEFAULT_SCORING_MODEL } = require('./scoring-model');
 
 /**
  * ASO keyword analysis service using aso-v2
  */
 class ASOAnalyzer {
-  constructor(platform = 'gplay') {
-    // Initialize ASO for specified platform ('gplay' or 'itunes')
-    this.aso = new ASO(platform);
+  /**
+   * @param {string} platform - 'gplay' or 'itunes' (default: 'gplay')
+   * @param {Object} options - Analyzer options
+   * @param {string} options.country - Two-letter storefront country code (default: 'us')
+   * @param {KeywordCache} options.cache - Optional keyword cache shared between analyzers
+   * @param {ScoringModel} options.scoring - Bands, weights and recommendation rules (default: DEFAULT_SCORING_MODEL)
+   */
+  constructor(platform = 'gplay', { country = 'us', cache = null, scoring = DEFAULT_SCORING_MODEL } = {}) {
+    // Initialize ASO for specified platform ('gplay' or 'itunes') and storefront
+    this.aso = new ASO(platform, { country });
     this.platform = platform;
+    this.country = country;
+    this.cache = cache;
+    this.scoring = scoring;
   }
 
   /**
@@ -16,54 +28,65 @@ class ASOAnalyzer {
    * @returns {Promise<Object>} Analysis results with traffic and difficulty scores
    */
   async analyzeKeyword(keyword) {
+    // Serve from the cache when a fresh result exists, re-scored in case the scoring model changed.
+    // The cache ignores case, so the result keeps the spelling that was asked for
+    const cached = this.cache && this.cache.get(keyword, this.platform, this.country);
+    if (cached) {
+      console.log(`Using cached analysis for "${keyword}" on ${this.platform} (${this.country})`);
+      const rescored = cached.rawData ? this.scoring.score(cached.rawData) : {};
+      return { ...cached, ...rescored, keyword, fromCache: true };
+    }
+
     try {
-      console.log(`Analyzing keyword: "${keyword}" on ${this.platform}...`);
+      console.log(`Analyzing keyword: "${keyword}" on ${this.platform} (${this.country})...`);
       
       // Get keyword analysis from ASO-V2
-      const analysis = await this.aso.analyzeKeyword(keyword);
-      
-      // Extract scores from the correct properties
-      const trafficScore = analysis.traffic?.score || 0;
-      const difficultyScore = analysis.difficulty?.score || 0;
+      const analysis = await scheduler.schedule('aso', () => this.aso.analyzeKeyword(keyword), `keyword "${keyword}" (${this.platform}/${this.country})`);
       
-      // Convert to 0-100 scale (ASO-V2 seems to use 0-10 scale)
-      const trafficScore100 = Math.round(trafficScore * 10);
-      const difficultyScore100 = Math.round(difficultyScore * 10);
+      // Scale to 0-100 and apply the scoring model's bands and rules
+      const scored = this.scoring.score(analysis);
       
-      return {
+      const result = {
         keyword: keyword,
         platform: this.platform,
-        trafficScore: trafficScore100,
-        difficultyScore: difficultyScore100,
-        competitionLevel: this.getCompetitionLevel(difficultyScore100),
-        trafficLevel: this.getTrafficLevel(trafficScore100),
-        recommendation: this.getRecommendation(trafficScore100, difficultyScore100),
+        country: this.country,
+        ...scored,
         rawData: analysis,
         // Include detailed breakdown
         details: {
           traffic: {
-            original: trafficScore,
-            scaled: trafficScore100,
+            original: analysis.traffic?.score || 0,
+            scaled: scored.trafficScore,
             breakdown: analysis.traffic
           },
           difficulty: {
-            original: difficultyScore,
-            scaled: difficultyScore100,
+            original: analysis.difficulty?.score || 0,
+            scaled: scored.difficultyScore,
             breakdown: analysis.difficulty
           }
         }
       };
+
+      // Only successful analyses are cached so failures get retried next run
+      if (this.cache) {
+        this.cache.set(keyword, this.platform, this.country, result);
+      }
+
+      return result;
       
     } catch (error) {
       console.error(`Error analyzing keyword "${keyword}":`, error.message);
       return {
         keyword: keyword,
         platform: this.platform,
+        country: this.country,
         trafficScore: 0,
         difficultyScore: 0,
+        opportunityScore: 0,
         competitionLevel: 'unknown',
         trafficLevel: 'unknown',
         recommendation: 'analysis_failed',
+        explanation: `analysis_failed: ${error.message}`,
         error: error.message
       };
     }
@@ -75,17 +98,14 @@ class ASOAnalyzer {
    * @returns {Promise<Array<Object>>} Array of analysis results
    */
   async analyzeKeywords(keywords) {
-    console.log(`Analyzing ${keywords.length} keywords on ${this.platform}...`);
+    console.log(`Analyzing ${keywords.length} keywords on ${this.platform} (${this.country})...`);
     
     const results = [];
     
-    // Process keywords with delay to avoid rate limiting
+    // Process keywords one by one (the request scheduler paces calls to the store)
     for (const keyword of keywords) {
       const analysis = await this.analyzeKeyword(keyword);
       results.push(analysis);
-      
-      // Add small delay between requests
-      await this.delay(500);
     }
     
     return results;
@@ -97,11 +117,7 @@ class ASOAnalyzer {
    * @returns {string} Competition level description
    */
   getCompetitionLevel(difficultyScore) {
-    if (difficultyScore >= 80) return 'very_high';
-    if (difficultyScore >= 60) return 'high';
-    if (difficultyScore >= 40) return 'medium';
-    if (difficultyScore >= 20) return 'low';
-    return 'very_low';
+    return this.scoring.getCompetitionLevel(difficultyScore);
   }
 
   /**
@@ -110,11 +126,7 @@ class ASOAnalyzer {
    * @returns {string} Traffic level description
    */
   getTrafficLevel(trafficScore) {
-    if (trafficScore >= 80) return 'very_high';
-    if (trafficScore >= 60) return 'high';
-    if (trafficScore >= 40) return 'medium';
-    if (trafficScore >= 20) return 'low';
-    return 'very_low';
+    return this.scoring.getTrafficLevel(trafficScore);
   }
 
   /**
@@ -124,28 +136,8 @@ class ASOAnalyzer {
    * @returns {string} Recommendation
    */
   getRecommendation(trafficScore, difficultyScore) {
-    // High traffic, low difficulty = excellent
-    if (trafficScore >= 60 && difficultyScore <= 40) return 'excellent';
-    
-    // Medium traffic, low difficulty = good
-    if (trafficScore >= 40 && difficultyScore <= 50) return 'good';
-    
-    // High traffic, high difficulty = challenging
-    if (trafficScore >= 60 && difficultyScore >= 70) return 'challenging';
-    
-    // Low traffic, high difficulty = avoid
-    if (trafficScore <= 30 && difficultyScore >= 60) return 'avoid';
-    
-    // Medium values = consider
-    return 'consider';
-  }
-
-  /**
-   * Utility function to add delay between requests
-   * @param {number} ms - Milliseconds to wait
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    const opportunity = this.scoring.getOpportunityScore(trafficScore, difficultyScore);
+    return this.scoring.recommend({ traffic: trafficScore, difficulty: difficultyScore, opportunity }).recommendation;
   }
 
   /**
@@ -155,40 +147,56 @@ class ASOAnalyzer {
    * @returns {Promise<Object>} Analysis summary with top keywords
    */
   async findKeywordOpportunities(keywords, topN = 10) {
-    const analyses = await this.analyzeKeywords(keywords);
-    
-    // Sort by recommendation score (excellent > good > consider > challenging > avoid)
-    const recommendationOrder = { excellent: 5, good: 4, consider: 3, challenging: 2, avoid: 1, analysis_failed: 0 };
-    
-    const sortedKeywords = analyses.sort((a, b) => {
-      // First sort by recommendation
-      const recDiff = recommendationOrder[b.recommendation] - recommendationOrder[a.recommendation];
-      if (recDiff !== 0) return recDiff;
-      
-      // Then by traffic score
-      const trafficDiff = b.trafficScore - a.trafficScore;
-      if (trafficDiff !== 0) return trafficDiff;
-      
-      // Finally by inverse difficulty (lower is better)
-      return a.difficultyScore - b.difficultyScore;
-    });
+    return this.rankOpportunities(await this.analyzeKeywords(keywords), topN);
+  }
+
+  /**
+   * Ranks analyses that were already run, best opportunities first
+   * @param {Array<Object>} analyses - Results from analyzeKeywords
+   * @param {number} topN - Number of top keywords to return (default: 10)
+   * @returns {Object} Analysis summary with top keywords
+   */
+  rankOpportunities(analyses, topN = 10) {
+    const sortedKeywords = [...analyses].sort((a, b) => this.scoring.compare(a, b));
     
     return {
       platform: this.platform,
+      country: this.country,
       totalAnalyzed: analyses.length,
       topOpportunities: sortedKeywords.slice(0, topN),
-      summary: {
-        excellent: analyses.filter(a => a.recommendation === 'excellent').length,
-        good: analyses.filter(a => a.recommendation === 'good').length,
-        consider: analyses.filter(a => a.recommendation === 'consider').length,
-        challenging: analyses.filter(a => a.recommendation === 'challenging').length,
-        avoid: analyses.filter(a => a.recommendation === 'avoid').length,
-        failed: analyses.filter(a => a.recommendation === 'analysis_failed').length
-      }
+      summary: summarizeRecommendations(analyses, this.scoring)
     };
   }
 }
 
+/**
+ * Compares two analyses for opportunity ranking with the default scoring model, best first
+ * (excellent > good > consider > challenging > avoid, then traffic, then inverse difficulty)
+ * @param {Object} a - Analysis result
+ * @param {Object} b - Analysis result
+ * @returns {number} Sort order
+ */
+function compareOpportunities(a, b) {
+  return DEFAULT_SCORING_MODEL.compare(a, b);
+}
+
+/**
+ * Counts analyses per recommendation
+ * @param {Array<Object>} analyses - Analysis results
+ * @param {ScoringModel} scoring - Model whose recommendations are counted (default: DEFAULT_SCORING_MODEL)
+ * @returns {Object} Counts per recommendation in the model's order, then failed
+ */
+function summarizeRecommendations(analyses, scoring = DEFAULT_SCORING_MODEL) {
+  const summary = {};
+  scoring.recommendationOrder.forEach(name => {
+    summary[name] = analyses.filter(a => a.recommendation === name).length;
+  });
+  summary.failed = analyses.filter(a => a.recommendation === 'analysis_failed').length;
+  return summary;
+}
+
 module.exports = {
-  ASOAnalyzer
+  ASOAnalyzer,
+  compareOpportunities,
+  summarizeRecommendations
 };
\ No newline at end of file
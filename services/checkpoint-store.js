@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CHECKPOINT_DIR = path.join(__dirname, '..', '.cache', 'batches');
+
+/**
+ * On-disk checkpoints for batch runs
+ * Each app gets one JSON file holding the result of every stage it finished, so an
+ * interrupted batch resumes at the first stage that didn't complete
+ */
+class CheckpointStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.dir - Directory for the checkpoint files
+   */
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  /**
+   * Gets the checkpoint file path for an app
+   * @param {string} key - App key, e.g. "itunes-us-310633997"
+   * @returns {string} File path
+   */
+  filePath(key) {
+    return path.join(this.dir, `${key.replace(/[^\w.-]/g, '_')}.json`);
+  }
+
+  /**
+   * Reads the stages an app has finished
+   * @param {string} key - App key
+   * @returns {Object} Stage results keyed by stage name
+   */
+  load(key) {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath(key), 'utf8')).stages;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Ignoring unreadable checkpoint ${this.filePath(key)}: ${error.message}`);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Saves the result of a finished stage
+   * @param {string} key - App key
+   * @param {string} stage - Stage name
+   * @param {*} result - Stage result (must be JSON-serializable)
+   */
+  save(key, stage, result) {
+    const stages = { ...this.load(key), [stage]: result };
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    // Write to a temporary file first so an interrupted write can't corrupt the checkpoint
+    const filePath = this.filePath(key);
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify({ key, savedAt: Date.now(), stages }));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  }
+
+  /**
+   * Gives analyzeApp access to one app's checkpoint
+   * @param {string} key - App key
+   * @returns {Object} { get(stage), save(stage, result) }
+   */
+  forApp(key) {
+    return {
+      get: stage => this.load(key)[stage],
+      save: (stage, result) => this.save(key, stage, result)
+    };
+  }
+
+  /**
+   * Saves the combined summary of the batch next to the checkpoints
+   * @param {Object} summary - summarizePortfolio result
+   */
+  saveSummary(summary) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, 'summary.json'), JSON.stringify(summary, null, 2));
+  }
+
+  /**
+   * Removes every checkpoint so the batch starts over
+   */
+  clear() {
+    fs.rmSync(this.dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  CheckpointStore,
+  DEFAULT_CHECKPOINT_DIR
+};
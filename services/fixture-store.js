@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { RequestError } = require('./request-scheduler');
+
+const FIXTURE_MODES = ['record', 'replay'];
+
+/**
+ * Record/replay store for outbound calls
+ * In record mode every scheduled call runs for real and its result (or error) is saved under
+ * "<service>:<label>"; in replay mode the saved responses are returned without any network access
+ */
+class FixtureStore {
+  /**
+   * @param {string} filePath - Path of the JSON fixture file
+   * @param {Object} options - Fixture options
+   * @param {string} options.mode - 'record' or 'replay' (default: 'replay')
+   */
+  constructor(filePath, { mode = 'replay' } = {}) {
+    if (!FIXTURE_MODES.includes(mode)) {
+      throw new Error(`Unknown fixture mode "${mode}". Use one of: ${FIXTURE_MODES.join(', ')}`);
+    }
+    this.filePath = filePath;
+    this.mode = mode;
+    this.calls = null;
+  }
+
+  /**
+   * Loads the fixture file on first use
+   * Replay requires the file; recording starts from the existing calls so files can be extended
+   * @returns {Object} Saved calls keyed by "<service>:<label>"
+   */
+  load() {
+    if (this.calls) return this.calls;
+
+    try {
+      this.calls = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).calls || {};
+    } catch (error) {
+      if (this.mode === 'replay' || error.code !== 'ENOENT') {
+        throw new Error(`Failed to read fixtures ${this.filePath}: ${error.message}`);
+      }
+      this.calls = {};
+    }
+
+    return this.calls;
+  }
+
+  /**
+   * Writes the fixture file
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ recordedAt: new Date().toISOString(), calls: this.load() }, null, 2));
+  }
+
+  /**
+   * Builds the key a call is saved under
+   * @param {string} service - Scheduler service name
+   * @param {string} label - Call label, e.g. 'app 310633997 (us/en)'
+   * @returns {string} Fixture key
+   */
+  key(service, label) {
+    return `${service}:${label}`;
+  }
+
+  /**
+   * Returns a saved response, or throws the saved error
+   * @param {string} service - Scheduler service name
+   * @param {string} label - Call label
+   * @returns {*} Saved result
+   */
+  replay(service, label) {
+    const key = this.key(service, label);
+    const entry = this.load()[key];
+    if (!entry) {
+      throw new Error(`No fixture recorded for ${key}`);
+    }
+
+    if (entry.error) {
+      const error = new RequestError(entry.error.message, entry.error.status);
+      if (entry.error.code) error.code = entry.error.code;
+      throw error;
+    }
+
+    return entry.result;
+  }
+
+  /**
+   * Runs a call and saves its result or error
+   * Results must be JSON-serializable; the scheduler hands over calls that only reject with Errors
+   * @param {string} service - Scheduler service name
+   * @param {string} label - Call label
+   * @param {Function} task - Function returning a promise for the call
+   * @returns {Promise<*>} Result of the call
+   */
+  async record(service, label, task) {
+    const key = this.key(service, label);
+
+    try {
+      const result = await task();
+      this.load()[key] = { result };
+      this.save();
+      return result;
+    } catch (error) {
+      // Later successful attempts of the same call overwrite the error
+      this.load()[key] = {
+        error: { message: error.message, status: error.status, code: error.code }
+      };
+      this.save();
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  FixtureStore,
+  FIXTURE_MODES
+};
@@ -0,0 +1,208 @@
+const gplay = require('google-play-scraper');
+const { scheduler } = require('./request-scheduler');
+const { ValidationError } = require('./validation-error');
+
+// Play package names look like com.example.app
+const PACKAGE_NAME_PATTERN = /^[a-zA-Z][\w]*(\.[a-zA-Z][\w]*)+$/;
+
+/**
+ * Validates a Google Play package name
+ * @param {string} appId - Package name, e.g. 'com.example.app'
+ * @returns {string} Package name
+ */
+function parseAppId(appId) {
+  const packageName = String(appId || '').trim();
+  if (!PACKAGE_NAME_PATTERN.test(packageName)) {
+    throw new ValidationError('App ID must be a Google Play package name, e.g. com.example.app');
+  }
+  return packageName;
+}
+
+/**
+ * Fetches a Play listing by package name
+ * Returns the same app model as the App Store scraper; the Play short description fills the subtitle
+ * @param {string} appId - Google Play package name
+ * @param {Object} storefront - Storefront to query
+ * @param {string} storefront.country - Two-letter country code (default: 'us')
+ * @param {string} storefront.lang - Language code (default: 'en')
+ */
+async function getAppData(appId, { country = 'us', lang = 'en' } = {}) {
+  try {
+    const packageName = parseAppId(appId);
+
+    // Fetch the listing from google-play-scraper
+    const appData = await scheduler.schedule('scraper', () => gplay.app({ appId: packageName, country, lang }), `gplay app ${packageName} (${country}/${lang})`);
+
+    // Return structured app model with metadata, ratings and screenshots
+    return {
+      id: appData.appId,
+      bundleId: appData.appId,
+      platform: 'gplay',
+      url: appData.url,
+      icon: appData.icon,
+      title: appData.title,
+      subtitle: appData.summary || '',
+      description: appData.description,
+      releaseNotes: appData.recentChanges || '',
+      version: appData.version,
+      updated: appData.updated ? new Date(appData.updated).toISOString() : undefined,
+      developer: appData.developer,
+      genres: appData.genre ? [appData.genre] : [],
+      primaryGenre: appData.genre,
+      contentRating: appData.contentRating,
+      languages: [],
+      price: appData.price,
+      free: appData.free,
+      rating: appData.score,
+      ratingCount: appData.ratings,
+      screenshots: appData.screenshots || [],
+      ipadScreenshots: []
+    };
+
+  } catch (error) {
+    if (error.message.includes('not found') || error.message.includes('404')) {
+      throw new Error('App not found');
+    }
+    throw new Error(`Failed to fetch app data: ${error.message}`);
+  }
+}
+
+/**
+ * Get similar apps by package name
+ * @param {string} appId - Google Play package name
+ * @param {Object} storefront - Storefront to query
+ * @param {string} storefront.country - Two-letter country code (default: 'us')
+ * @param {string} storefront.lang - Language code (default: 'en')
+ * @returns {Promise<Array<Object>>} Similar apps as { id, title }
+ */
+async function getSimilarApps(appId, { country = 'us', lang = 'en' } = {}) {
+  try {
+    const packageName = parseAppId(appId);
+
+    const similarApps = await scheduler.schedule('scraper', () => gplay.similar({ appId: packageName, country, lang }), `gplay similar apps of ${packageName} (${country}/${lang})`);
+
+    return similarApps.map(app => ({ id: app.appId, title: app.title }));
+
+  } catch (error) {
+    if (error.message.includes('not found') || error.message.includes('404')) {
+      throw new Error('App not found');
+    }
+    throw new Error(`Failed to fetch similar apps: ${error.message}`);
+  }
+}
+
+/**
+ * Searches Google Play and returns the ranked package names for a term
+ * @param {string} term - Search term
+ * @param {Object} options - Search options
+ * @param {string} options.country - Two-letter country code (default: 'us')
+ * @param {string} options.lang - Language code (default: 'en')
+ * @param {number} options.num - Number of results to fetch (default: 100)
+ * @returns {Promise<Array<string>>} Package names in search result order
+ */
+async function searchAppIds(term, { country = 'us', lang = 'en', num = 100 } = {}) {
+  const apps = await searchApps(term, { country, lang, num });
+  return apps.map(app => app.id);
+}
+
+/**
+ * Searches Google Play and returns the top apps for a term
+ * Play search results carry no genre unless fetched in full detail, so genres is usually empty
+ * @param {string} term - Search term
+ * @param {Object} options - Search options
+ * @param {string} options.country - Two-letter country code (default: 'us')
+ * @param {string} options.lang - Language code (default: 'en')
+ * @param {number} options.num - Number of results to fetch (default: 20)
+ * @returns {Promise<Array<Object>>} Apps in search result order as { id, title, genres }
+ */
+async function searchApps(term, { country = 'us', lang = 'en', num = 20 } = {}) {
+  try {
+    const apps = await scheduler.schedule('scraper', () => gplay.search({ term, country, lang, num }), `gplay search "${term}" (${country}/${lang}, top ${num})`);
+    return apps.map(app => ({ id: app.appId, title: app.title, genres: app.genre ? [app.genre] : [] }));
+  } catch (error) {
+    throw new Error(`Failed to search for "${term}": ${error.message}`);
+  }
+}
+
+/**
+ * Gets the Google Play search autocomplete suggestions for a term
+ * @param {string} term - Partial or full search term
+ * @param {Object} options - Suggestion options
+ * @param {string} options.country - Two-letter country code (default: 'us')
+ * @param {string} options.lang - Language code (default: 'en')
+ * @returns {Promise<Array<string>>} Suggested search terms, most popular first
+ */
+async function getSuggestions(term, { country = 'us', lang = 'en' } = {}) {
+  try {
+    return await scheduler.schedule('scraper', () => gplay.suggest({ term, country, lang }), `gplay suggest "${term}" (${country}/${lang})`);
+  } catch (error) {
+    throw new Error(`Failed to get suggestions for "${term}": ${error.message}`);
+  }
+}
+
+// Review sort orders accepted by Google Play
+const REVIEW_SORTS = {
+  recent: gplay.sort.NEWEST,
+  helpful: gplay.sort.HELPFULNESS
+};
+
+// Reviews per page, matching the App Store feed
+const REVIEWS_PER_PAGE = 50;
+
+/**
+ * Fetches user reviews page by page, following Play's pagination token
+ * @param {string} appId - Google Play package name
+ * @param {Object} options - Review options
+ * @param {string} options.country - Two-letter country code (default: 'us')
+ * @param {string} options.lang - Language code (default: 'en')
+ * @param {string} options.sort - 'recent' or 'helpful' (default: 'recent')
+ * @param {number} options.pages - Pages of 50 reviews to fetch, at most 10 (default: 1)
+ * @returns {Promise<Array<Object>>} Reviews as { id, title, text, rating, version, date }
+ */
+async function getReviews(appId, { country = 'us', lang = 'en', sort = 'recent', pages = 1 } = {}) {
+  try {
+    const packageName = parseAppId(appId);
+    const reviews = [];
+    let nextPaginationToken = null;
+
+    for (let page = 1; page <= Math.min(pages, 10); page++) {
+      const token = nextPaginationToken;
+      const response = await scheduler.schedule('scraper', () => gplay.reviews({
+        appId: packageName,
+        country,
+        lang,
+        sort: REVIEW_SORTS[sort],
+        num: REVIEWS_PER_PAGE,
+        paginate: true,
+        nextPaginationToken: token
+      }), `gplay reviews of ${packageName} (${country}/${lang}, ${sort}, page ${page})`);
+
+      reviews.push(...response.data.map(review => ({
+        id: review.id,
+        title: review.title || '',
+        text: review.text || '',
+        rating: review.score,
+        version: review.version,
+        date: review.date
+      })));
+
+      nextPaginationToken = response.nextPaginationToken;
+      if (!nextPaginationToken) break;
+    }
+
+    return reviews;
+
+  } catch (error) {
+    throw new Error(`Failed to fetch reviews: ${error.message}`);
+  }
+}
+
+module.exports = {
+  parseAppId,
+  getAppData,
+  getSimilarApps,
+  searchAppIds,
+  searchApps,
+  getSuggestions,
+  getReviews
+};
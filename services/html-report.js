@@ -0,0 +1,286 @@
+const { fetchImageAsBase64 } = require('./keyword-generator');
+const { summarizeRecommendations } = require('./aso-analyzer');
+
+const RECOMMENDATION_COLORS = {
+  excellent: '#2e7d32',
+  good: '#7cb342',
+  consider: '#fbc02d',
+  challenging: '#fb8c00',
+  avoid: '#e53935',
+  analysis_failed: '#9e9e9e'
+};
+
+// Screenshots embedded per app, to keep the file a reasonable size
+const SCREENSHOTS_PER_APP = 3;
+
+/**
+ * Escapes text for HTML
+ * @param {*} value - Text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Downloads screenshots and turns them into data URIs so the report works offline
+ * Screenshots that fail to download are left out
+ * @param {Array<string>} urls - Screenshot URLs
+ * @returns {Promise<Array<string>>} Data URIs
+ */
+async function embedScreenshots(urls) {
+  const embedded = [];
+
+  for (const url of urls.slice(0, SCREENSHOTS_PER_APP)) {
+    try {
+      const image = await fetchImageAsBase64(url);
+      embedded.push(`data:${image.mediaType};base64,${image.base64}`);
+    } catch (error) {
+      console.warn(`⚠️ Leaving screenshot out of report: ${error.message}`);
+    }
+  }
+
+  return embedded;
+}
+
+/**
+ * Renders an app card with title and screenshots
+ * @param {Object} app - App data
+ * @param {Array<string>} screenshots - Screenshot data URIs
+ * @param {string} label - Card label, e.g. "Our app" or "Competitor"
+ * @returns {string} HTML
+ */
+function renderAppCard(app, screenshots, label) {
+  return `
+    <div class="app-card">
+      <div class="label">${escapeHtml(label)}</div>
+      <h3>${escapeHtml(app.title)}</h3>
+      ${app.subtitle ? `<p class="subtitle">${escapeHtml(app.subtitle)}</p>` : ''}
+      <div class="screenshots">
+        ${screenshots.map(src => `<img src="${src}" alt="Screenshot of ${escapeHtml(app.title)}">`).join('')}
+      </div>
+    </div>`;
+}
+
+/**
+ * Renders a traffic-vs-difficulty scatter plot as inline SVG, colored by recommendation
+ * @param {Array<Object>} analyses - Keyword analysis results
+ * @returns {string} SVG markup
+ */
+function renderScatterPlot(analyses) {
+  const width = 560;
+  const height = 420;
+  const margin = 45;
+  const plotWidth = width - margin * 2;
+  const plotHeight = height - margin * 2;
+  const x = difficulty => margin + (difficulty / 100) * plotWidth;
+  const y = traffic => height - margin - (traffic / 100) * plotHeight;
+
+  const gridLines = [0, 20, 40, 60, 80, 100].map(value => `
+    <line x1="${x(value)}" y1="${y(0)}" x2="${x(value)}" y2="${y(100)}" class="grid"/>
+    <line x1="${x(0)}" y1="${y(value)}" x2="${x(100)}" y2="${y(value)}" class="grid"/>
+    <text x="${x(value)}" y="${y(0) + 16}" text-anchor="middle">${value}</text>
+    <text x="${x(0) - 8}" y="${y(value) + 4}" text-anchor="end">${value}</text>`).join('');
+
+  const points = analyses.map(analysis => `
+    <circle cx="${x(analysis.difficultyScore)}" cy="${y(analysis.trafficScore)}" r="6"
+      fill="${RECOMMENDATION_COLORS[analysis.recommendation] || '#9e9e9e'}" fill-opacity="0.8">
+      <title>${escapeHtml(analysis.keyword)}: traffic ${analysis.trafficScore}, difficulty ${analysis.difficultyScore} (${escapeHtml(analysis.recommendation)})</title>
+    </circle>`).join('');
+
+  return `
+    <svg viewBox="0 0 ${width} ${height}" class="scatter" role="img" aria-label="Traffic versus difficulty">
+      ${gridLines}
+      <text x="${width / 2}" y="${height - 6}" text-anchor="middle" class="axis-label">Difficulty</text>
+      <text x="14" y="${height / 2}" text-anchor="middle" class="axis-label" transform="rotate(-90 14 ${height / 2})">Traffic</text>
+      ${points}
+    </svg>
+    <div class="legend">
+      ${Object.entries(RECOMMENDATION_COLORS).map(([name, color]) => `<span><i style="background:${color}"></i>${escapeHtml(name)}</span>`).join('')}
+    </div>`;
+}
+
+/**
+ * Renders the sortable keyword table
+ * @param {Array<Object>} analyses - Keyword analysis results
+ * @returns {string} HTML table
+ */
+function renderKeywordTable(analyses) {
+  const rows = analyses.map(analysis => `
+      <tr>
+        <td>${escapeHtml(analysis.keyword)}</td>
+        <td>${analysis.trafficScore}</td>
+        <td>${analysis.difficultyScore}</td>
+        <td>${analysis.opportunityScore}</td>
+        <td>${escapeHtml(analysis.trafficLevel)}</td>
+        <td>${escapeHtml(analysis.competitionLevel)}</td>
+        <td><span class="badge" style="background:${RECOMMENDATION_COLORS[analysis.recommendation] || '#9e9e9e'}" title="${escapeHtml(analysis.explanation || '')}">${escapeHtml(analysis.recommendation)}</span></td>
+      </tr>`).join('');
+
+  return `
+    <table class="sortable">
+      <thead>
+        <tr>
+          <th>Keyword</th><th>Traffic</th><th>Difficulty</th><th>Opportunity</th><th>Traffic level</th><th>Competition</th><th>Recommendation</th>
+        </tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>`;
+}
+
+/**
+ * Renders what users say in reviews, one card per app
+ * @param {Array<Object>} reviewInsights - mineAppReviews results
+ * @returns {string} HTML
+ */
+function renderReviewInsights(reviewInsights) {
+  const list = (heading, items) => (items.length > 0
+    ? `<h4>${heading}</h4><ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+    : '');
+
+  return reviewInsights.map(insights => `
+      <div class="keyword-list">
+        <h3>${escapeHtml(insights.title)} <small>(${insights.reviewCount} reviews)</small></h3>
+        ${list('Keywords', insights.keywords)}
+        ${list('Feature requests', insights.featureRequests)}
+        ${list('Pain points', insights.painPoints)}
+      </div>`).join('');
+}
+
+/**
+ * Builds a self-contained HTML report for an analyzeApp result
+ * Screenshots are embedded as data URIs and there are no external scripts or styles,
+ * so the file opens offline in any browser
+ * @param {Object} analysis - analyzeApp result
+ * @param {Object} options - Report options
+ * @param {ScoringModel} options.scoring - Model whose recommendations are summarized (default: DEFAULT_SCORING_MODEL)
+ * @returns {Promise<string>} HTML document
+ */
+async function generateHtmlReport(analysis, { scoring } = {}) {
+  const { appData, similarApps, mainAppKeywords, keywordsBySimilarApp, keywordAnalysis, reviewInsights = [] } = analysis;
+  const summary = summarizeRecommendations(keywordAnalysis, scoring);
+
+  const appCards = [renderAppCard(appData, await embedScreenshots(appData.screenshots), 'Our app')];
+  for (const similarApp of similarApps) {
+    appCards.push(renderAppCard(similarApp, await embedScreenshots(similarApp.screenshots || []), 'Competitor'));
+  }
+
+  const keywordLists = [
+    { title: appData.title, keywords: mainAppKeywords },
+    ...keywordsBySimilarApp
+  ].map(list => `
+      <div class="keyword-list">
+        <h3>${escapeHtml(list.title)}</h3>
+        <ul>${list.keywords.map(keyword => `<li>${escapeHtml(keyword)}</li>`).join('')}</ul>
+      </div>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>ASO Report: ${escapeHtml(appData.title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0 auto; max-width: 1200px; padding: 24px; color: #222; }
+  h1 { margin-bottom: 4px; }
+  .generated { color: #777; margin-top: 0; }
+  section { margin: 32px 0; }
+  .apps, .keyword-lists { display: flex; flex-wrap: wrap; gap: 16px; }
+  .app-card, .keyword-list { border: 1px solid #ddd; border-radius: 8px; padding: 12px; flex: 1 1 260px; }
+  .app-card .label { font-size: 12px; text-transform: uppercase; color: #777; }
+  .app-card h3 { margin: 4px 0; }
+  .keyword-list h4 { margin: 12px 0 4px; }
+  .subtitle { color: #555; margin: 0 0 8px; }
+  .screenshots { display: flex; gap: 6px; overflow-x: auto; }
+  .screenshots img { height: 220px; border-radius: 6px; }
+  .summary { display: flex; gap: 12px; flex-wrap: wrap; }
+  .summary div { border-radius: 8px; padding: 8px 14px; color: #fff; min-width: 90px; }
+  .summary strong { display: block; font-size: 24px; }
+  .scatter { width: 100%; max-width: 560px; font-size: 11px; }
+  .scatter .grid { stroke: #eee; }
+  .scatter .axis-label { font-size: 13px; font-weight: bold; }
+  .legend span { margin-right: 12px; font-size: 13px; }
+  .legend i { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 4px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #eee; }
+  th { cursor: pointer; user-select: none; background: #f7f7f7; }
+  th.asc::after { content: " ▲"; }
+  th.desc::after { content: " ▼"; }
+  .badge { color: #fff; border-radius: 4px; padding: 2px 6px; font-size: 12px; }
+</style>
+</head>
+<body>
+  <h1>ASO Report: ${escapeHtml(appData.title)}</h1>
+  <p class="generated">Generated ${escapeHtml(new Date().toISOString().slice(0, 16).replace('T', ' '))}</p>
+
+  <section>
+    <h2>Apps</h2>
+    <div class="apps">${appCards.join('')}
+    </div>
+  </section>
+
+  <section>
+    <h2>Recommendation Summary</h2>
+    <div class="summary">
+      ${Object.keys(summary).filter(name => name !== 'failed').map(name => `<div style="background:${RECOMMENDATION_COLORS[name] || '#9e9e9e'}"><strong>${summary[name]}</strong>${escapeHtml(name)}</div>`).join('')}
+      <div style="background:${RECOMMENDATION_COLORS.analysis_failed}"><strong>${summary.failed}</strong>failed</div>
+    </div>
+  </section>
+
+  <section>
+    <h2>Traffic vs. Difficulty</h2>
+    ${renderScatterPlot(keywordAnalysis)}
+  </section>
+
+  <section>
+    <h2>Keywords</h2>
+    ${renderKeywordTable(keywordAnalysis)}
+  </section>
+
+  <section>
+    <h2>Generated Keywords</h2>
+    <div class="keyword-lists">${keywordLists}
+    </div>
+  </section>
+${reviewInsights.length > 0 ? `
+  <section>
+    <h2>User Reviews</h2>
+    <div class="keyword-lists">${renderReviewInsights(reviewInsights)}
+    </div>
+  </section>
+` : ''}
+<script>
+  // Sort table rows when a header is clicked, numerically where possible
+  document.querySelectorAll('table.sortable th').forEach(function (header, column) {
+    header.addEventListener('click', function () {
+      var table = header.closest('table');
+      var body = table.tBodies[0];
+      var ascending = !header.classList.contains('asc');
+      table.querySelectorAll('th').forEach(function (th) { th.classList.remove('asc', 'desc'); });
+      header.classList.add(ascending ? 'asc' : 'desc');
+
+      var rows = Array.prototype.slice.call(body.rows);
+      rows.sort(function (a, b) {
+        var left = a.cells[column].textContent.trim();
+        var right = b.cells[column].textContent.trim();
+        var result = !isNaN(left) && !isNaN(right) ? left - right : left.localeCompare(right);
+        return ascending ? result : -result;
+      });
+      rows.forEach(function (row) { body.appendChild(row); });
+    });
+  });
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  generateHtmlReport
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+
+const DEFAULT_MAX_CONCURRENT = 2;
+const DEFAULT_MAX_FINISHED_JOBS = 100;
+
+/**
+ * In-memory queue for background jobs with a concurrency limit
+ * Jobs beyond the limit wait in FIFO order; finished jobs are kept for status polling
+ */
+class JobQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.maxConcurrent - Jobs allowed to run at the same time (default: 2)
+   * @param {number} options.maxFinishedJobs - Finished jobs kept before the oldest are dropped (default: 100)
+   */
+  constructor({ maxConcurrent = DEFAULT_MAX_CONCURRENT, maxFinishedJobs = DEFAULT_MAX_FINISHED_JOBS } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.maxFinishedJobs = maxFinishedJobs;
+    this.jobs = new Map();
+    this.waiting = [];
+    this.running = 0;
+  }
+
+  /**
+   * Adds a background job
+   * @param {string} type - Job type, e.g. 'analyze'
+   * @param {Object} params - Job parameters, returned with the job status
+   * @param {Function} task - async (reportProgress) => result
+   * @returns {Object} Public job status
+   */
+  enqueue(type, params, task) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      params,
+      status: 'queued',
+      stage: null,
+      stages: [],
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.schedule(job, task).catch(() => {});
+
+    return this.toStatus(job);
+  }
+
+  /**
+   * Runs a task under the same concurrency limit and waits for its result
+   * Used for short requests that answer directly instead of creating a job
+   * @param {Function} task - async () => result
+   * @returns {Promise<*>} Task result
+   */
+  run(task) {
+    return this.acquire().then(() => task().finally(() => this.release()));
+  }
+
+  /**
+   * Starts a job once a slot is free and records its outcome
+   * @param {Object} job - Job
+   * @param {Function} task - async (reportProgress) => result
+   */
+  async schedule(job, task) {
+    await this.acquire();
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    const reportProgress = stage => {
+      job.stage = stage;
+      job.stages.push({ stage, startedAt: new Date().toISOString() });
+    };
+
+    try {
+      job.result = await task(reportProgress);
+      job.status = 'completed';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      this.release();
+      this.pruneFinished();
+    }
+  }
+
+  /**
+   * Waits for a free slot
+   * @returns {Promise<void>} Resolves when the caller may start
+   */
+  acquire() {
+    if (this.running < this.maxConcurrent) {
+      this.running++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Frees a slot, handing it straight to the next waiting caller if there is one
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.running--;
+    }
+  }
+
+  /**
+   * Drops the oldest finished jobs beyond the retention limit
+   */
+  pruneFinished() {
+    const finished = [...this.jobs.values()].filter(job => job.finishedAt);
+    finished
+      .slice(0, Math.max(0, finished.length - this.maxFinishedJobs))
+      .forEach(job => this.jobs.delete(job.id));
+  }
+
+  /**
+   * Gets a job by ID
+   * @param {string} id - Job ID
+   * @returns {Object|undefined} Job including its result
+   */
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  /**
+   * Lists all known jobs
+   * @returns {Array<Object>} Public job statuses, newest first
+   */
+  list() {
+    return [...this.jobs.values()].reverse().map(job => this.toStatus(job));
+  }
+
+  /**
+   * Builds the public status of a job (everything but the result)
+   * @param {Object} job - Job
+   * @returns {Object} Job status
+   */
+  toStatus(job) {
+    const { result, ...status } = job;
+    return { ...status, queuePosition: job.status === 'queued' ? this.getQueuePosition(job) : null };
+  }
+
+  /**
+   * Gets how many queued jobs were created before this one
+   * @param {Object} job - Queued job
+   * @returns {number} 1-based position among queued jobs
+   */
+  getQueuePosition(job) {
+    const queued = [...this.jobs.values()].filter(other => other.status === 'queued');
+    return queued.indexOf(job) + 1;
+  }
+}
+
+module.exports = {
+  JobQueue,
+  DEFAULT_MAX_CONCURRENT
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CACHE_PATH = path.join(__dirname, '..', '.cache', 'keyword-analysis.json');
+const DEFAULT_TTL_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * On-disk cache for keyword analysis results
+ * Entries are keyed by platform, country and keyword. Reads skip entries older than the reader's TTL;
+ * the file only drops an entry once the TTL it was written with has passed, so a run with a short TTL
+ * doesn't delete what other runs can still use
+ */
+class KeywordCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.filePath - Path of the JSON cache file
+   * @param {number} options.ttlHours - Hours before an entry expires (default: 24)
+   * @param {boolean} options.refresh - Ignore existing entries but still store new results
+   */
+  constructor({ filePath = DEFAULT_CACHE_PATH, ttlHours = DEFAULT_TTL_HOURS, refresh = false } = {}) {
+    this.filePath = filePath;
+    this.ttlMs = ttlHours * HOUR_MS;
+    this.refresh = refresh;
+    this.entries = null;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Builds the cache key for a keyword on a platform and storefront
+   * @param {string} keyword - Keyword
+   * @param {string} platform - 'gplay' or 'itunes'
+   * @param {string} country - Two-letter country code
+   * @returns {string} Cache key
+   */
+  key(keyword, platform, country) {
+    return `${platform}:${country}:${keyword.trim().toLowerCase()}`;
+  }
+
+  /**
+   * Loads the cache file on first use
+   * @returns {Object} Cache entries
+   */
+  load() {
+    if (this.entries) return this.entries;
+
+    try {
+      this.entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Ignoring unreadable keyword cache ${this.filePath}: ${error.message}`);
+      }
+      this.entries = {};
+    }
+
+    return this.entries;
+  }
+
+  /**
+   * Returns a cached analysis if present and not expired
+   * @param {string} keyword - Keyword
+   * @param {string} platform - 'gplay' or 'itunes'
+   * @param {string} country - Two-letter country code
+   * @returns {Object|null} Cached analysis result
+   */
+  get(keyword, platform, country) {
+    const entry = this.load()[this.key(keyword, platform, country)];
+
+    if (this.refresh || !entry || Date.now() - entry.cachedAt > this.ttlMs) {
+      this.misses++;
+      return null;
+    }
+
+    this.hits++;
+    return entry.result;
+  }
+
+  /**
+   * Stores an analysis result and writes the cache file
+   * @param {string} keyword - Keyword
+   * @param {string} platform - 'gplay' or 'itunes'
+   * @param {string} country - Two-letter country code
+   * @param {Object} result - Analysis result
+   */
+  set(keyword, platform, country, result) {
+    const cachedAt = Date.now();
+    this.load()[this.key(keyword, platform, country)] = {
+      cachedAt,
+      expiresAt: cachedAt + this.ttlMs,
+      result
+    };
+    this.save();
+  }
+
+  /**
+   * Writes the cache file, dropping entries past their own expiry
+   */
+  save() {
+    const entries = this.load();
+    const now = Date.now();
+
+    for (const key of Object.keys(entries)) {
+      if (now > entries[key].expiresAt) {
+        delete entries[key];
+      }
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(entries, null, 2));
+  }
+
+  /**
+   * Creates a view that shares this cache's entries but counts its own hits and misses
+   * @returns {KeywordCache} Cache view
+   */
+  withOwnStats() {
+    // Load first so the view reads and writes the shared entries instead of loading its own
+    this.load();
+    const view = Object.create(this);
+    view.hits = 0;
+    view.misses = 0;
+    return view;
+  }
+
+  /**
+   * Gets hit/miss counts since the cache was created
+   * @returns {Object} { hits, misses }
+   */
+  getStats() {
+    return { hits: this.hits, misses: this.misses };
+  }
+}
+
+module.exports = {
+  KeywordCache,
+  DEFAULT_TTL_HOURS
+};
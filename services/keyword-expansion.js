@@ -0,0 +1,62 @@
+const { getStore } = require('./stores');
+const { getVariantKey } = require('./keyword-processing');
+
+const DEFAULT_EXPANSION_DEPTH = 1;
+const MAX_EXPANSION_DEPTH = 3;
+
+// Suggestions kept per queried term, and in total, so deeper levels don't grow without bound
+const SUGGESTIONS_PER_TERM = 5;
+const MAX_SUGGESTIONS = 100;
+
+/**
+ * Expands seed keywords with the store's search autocomplete suggestions
+ * Level 1 queries the seeds, each further level queries the suggestions found on the level before.
+ * Suggestions that are a case, plural or word-order variant of a seed, an excluded keyword or an earlier
+ * suggestion are skipped
+ * @param {Array<string>} seeds - Seed keywords
+ * @param {Object} options - Expansion options
+ * @param {string} options.platform - 'itunes' or 'gplay' (default: 'itunes')
+ * @param {string} options.country - Two-letter country code (default: 'us')
+ * @param {string} options.lang - Language code (default: 'en')
+ * @param {number} options.depth - Levels of suggestions to follow (default: 1)
+ * @param {Array<string>} options.exclude - Keywords that are already known, besides the seeds
+ * @returns {Promise<Array<Object>>} New keywords as { keyword, seed, parent, depth }
+ */
+async function expandKeywords(seeds, { platform, country = 'us', lang = 'en', depth = DEFAULT_EXPANSION_DEPTH, exclude = [] } = {}) {
+  const { getSuggestions } = getStore(platform).scraper;
+  const seen = new Set([...seeds, ...exclude].map(getVariantKey));
+  const expansions = [];
+
+  let terms = seeds.map(seed => ({ term: seed, seed }));
+  for (let level = 1; level <= depth && terms.length > 0 && expansions.length < MAX_SUGGESTIONS; level++) {
+    console.log(`🌱 Fetching store suggestions for ${terms.length} terms (level ${level}/${depth})...`);
+
+    // The scheduler rate-limits the lookups; results are handled in term order so runs are repeatable
+    const suggestionLists = await Promise.all(terms.map(({ term }) => getSuggestions(term, { country, lang }).catch(error => {
+      console.warn(`⚠️ ${error.message}`);
+      return [];
+    })));
+
+    const nextTerms = [];
+    terms.forEach(({ term, seed }, i) => {
+      suggestionLists[i].slice(0, SUGGESTIONS_PER_TERM).forEach(suggestion => {
+        const variantKey = getVariantKey(suggestion);
+        if (!variantKey || seen.has(variantKey) || expansions.length >= MAX_SUGGESTIONS) return;
+
+        seen.add(variantKey);
+        expansions.push({ keyword: suggestion, seed, parent: term, depth: level });
+        nextTerms.push({ term: suggestion, seed });
+      });
+    });
+    terms = nextTerms;
+  }
+
+  console.log(`🌱 Found ${expansions.length} new keywords from store suggestions for ${seeds.length} seeds`);
+  return expansions;
+}
+
+module.exports = {
+  expandKeywords,
+  DEFAULT_EXPANSION_DEPTH,
+  MAX_EXPANSION_DEPTH
+};
@@ -0,0 +1,135 @@
+const { getOpportunityScore } = require('./keyword-gap');
+const { splitWords, singularize } = require('./keyword-processing');
+
+const DEFAULT_MAX_LENGTH = 100;
+
+// Words Apple matches on its own, so they only waste characters in the keyword field
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'app', 'apps', 'by', 'for', 'free', 'in', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+// Why a word was left out, least specific first; a word listed for several reasons keeps the most specific
+const EXCLUSION_REASONS = ['analysis_failed', 'plural', 'stop_word', 'in_title', 'zero_score', 'no_room'];
+
+/**
+ * Builds an App Store keyword field that fits the character limit and maximizes opportunity
+ * Phrases are split into single words, each word weighted by the summed opportunity of the
+ * phrases it appears in, then the best-scoring set of words that fits is picked
+ * @param {Array<Object>} analyses - Analysis results (from searchKeywords or findKeywordOpportunities)
+ * @param {Object} options - Optimizer options
+ * @param {string} options.title - Current app title
+ * @param {string} options.subtitle - Current app subtitle
+ * @param {number} options.maxLength - Keyword field character limit (default: 100)
+ * @returns {Object} { field, length, words, excluded } with the reason for every excluded word
+ */
+function optimizeKeywordField(analyses, { title = '', subtitle = '', maxLength = DEFAULT_MAX_LENGTH } = {}) {
+  const reasons = new Map();
+  const exclude = (word, kind, reason) => {
+    const current = reasons.get(word);
+    if (!current || EXCLUSION_REASONS.indexOf(kind) > EXCLUSION_REASONS.indexOf(current.kind)) {
+      reasons.set(word, { kind, reason });
+    }
+  };
+
+  const titleWords = new Set(splitWords(`${title} ${subtitle}`).map(singularize));
+
+  // Weight every word by the opportunity of the phrases it appears in
+  const candidates = new Map();
+  for (const analysis of analyses) {
+    if (analysis.error || analysis.recommendation === 'analysis_failed') {
+      splitWords(analysis.keyword).forEach(word => exclude(word, 'analysis_failed', `analysis failed for "${analysis.keyword}"`));
+      continue;
+    }
+
+    const score = getOpportunityScore(analysis);
+    for (const word of splitWords(analysis.keyword)) {
+      const singular = singularize(word);
+
+      if (STOP_WORDS.has(word)) {
+        exclude(word, 'stop_word', 'stop word Apple matches automatically');
+      } else if (titleWords.has(singular)) {
+        exclude(word, 'in_title', 'already in title or subtitle');
+      } else {
+        if (singular !== word) {
+          exclude(word, 'plural', `plural of "${singular}", Apple matches both forms`);
+        }
+        const candidate = candidates.get(singular) || { word: singular, score: 0, sources: [] };
+        candidate.score += score;
+        if (!candidate.sources.includes(analysis.keyword)) {
+          candidate.sources.push(analysis.keyword);
+        }
+        candidates.set(singular, candidate);
+      }
+    }
+  }
+
+  const scoredCandidates = [...candidates.values()].filter(candidate => {
+    if (candidate.score > 0) return true;
+    exclude(candidate.word, 'zero_score', 'zero opportunity score');
+    return false;
+  });
+
+  const selected = selectWords(scoredCandidates, maxLength);
+  const selectedWords = new Set(selected.map(candidate => candidate.word));
+
+  scoredCandidates
+    .filter(candidate => !selectedWords.has(candidate.word))
+    .forEach(candidate => exclude(candidate.word, 'no_room', `no room within ${maxLength} characters (score ${candidate.score})`));
+
+  // Built after selection so a word that made it into the field, or its plural, is never also listed as excluded
+  const excluded = [...reasons.entries()]
+    .filter(([word]) => !selectedWords.has(word) && !selectedWords.has(singularize(word)))
+    .map(([word, { reason }]) => ({ word, reason }));
+
+  // Highest-scoring words first so the field reads in priority order
+  selected.sort((a, b) => b.score - a.score);
+  const field = selected.map(candidate => candidate.word).join(',');
+
+  return {
+    field,
+    length: field.length,
+    totalScore: selected.reduce((sum, candidate) => sum + candidate.score, 0),
+    words: selected,
+    excluded
+  };
+}
+
+/**
+ * Picks the set of words with the highest total score whose comma-joined length fits
+ * Solved exactly as a 0/1 knapsack: each word costs its length plus one comma
+ * @param {Array<Object>} candidates - Candidates with word and score
+ * @param {number} maxLength - Character limit
+ * @returns {Array<Object>} Selected candidates
+ */
+function selectWords(candidates, maxLength) {
+  // The last word has no trailing comma, so allow one extra character of capacity
+  const capacity = maxLength + 1;
+  const best = Array.from({ length: candidates.length + 1 }, () => new Array(capacity + 1).fill(0));
+
+  candidates.forEach((candidate, i) => {
+    const cost = candidate.word.length + 1;
+    for (let c = 0; c <= capacity; c++) {
+      best[i + 1][c] = best[i][c];
+      if (cost <= c && best[i][c - cost] + candidate.score > best[i + 1][c]) {
+        best[i + 1][c] = best[i][c - cost] + candidate.score;
+      }
+    }
+  });
+
+  // Walk back through the table to recover the chosen words
+  const selected = [];
+  let c = capacity;
+  for (let i = candidates.length; i > 0; i--) {
+    if (best[i][c] !== best[i - 1][c]) {
+      selected.push(candidates[i - 1]);
+      c -= candidates[i - 1].word.length + 1;
+    }
+  }
+
+  return selected;
+}
+
+module.exports = {
+  optimizeKeywordField,
+  DEFAULT_MAX_LENGTH
+};
@@ -0,0 +1,96 @@
+const { normalizeKeyword, splitWords } = require('./keyword-processing');
+
+/**
+ * Competitor keyword gap analysis
+ * Compares the keywords generated for our app with the ones generated for similar apps
+ */
+
+/**
+ * Checks whether every word of a keyword appears in the app's title or description
+ * @param {string} keyword - Keyword
+ * @param {Object} appData - App data with title and description
+ * @returns {boolean} True if the metadata covers the keyword
+ */
+function isCoveredByMetadata(keyword, appData) {
+  const words = new Set(splitWords(`${appData.title || ''} ${appData.description || ''}`));
+  return splitWords(keyword).every(word => words.has(word));
+}
+
+/**
+ * Splits keywords into gaps, shared keywords and keywords only we cover
+ * A competitor keyword counts as covered if we generated it too or our metadata contains all of its words
+ * @param {Object} appData - Main app data
+ * @param {Array<string>} mainAppKeywords - Keywords generated for the main app
+ * @param {Array<Object>} competitors - Competitors as { title, keywords }
+ * @returns {Object} { gaps, shared, uniqueToUs }, each an array of { keyword, competitors }
+ */
+function buildKeywordGap(appData, mainAppKeywords, competitors) {
+  const ours = new Map(mainAppKeywords.map(keyword => [normalizeKeyword(keyword), keyword]));
+  const theirs = new Map();
+
+  // Collect competitor keywords with the competitors that target them
+  for (const competitor of competitors) {
+    for (const keyword of competitor.keywords) {
+      const normalized = normalizeKeyword(keyword);
+      if (!theirs.has(normalized)) {
+        theirs.set(normalized, { keyword, competitors: [] });
+      }
+      const entry = theirs.get(normalized);
+      if (!entry.competitors.includes(competitor.title)) {
+        entry.competitors.push(competitor.title);
+      }
+    }
+  }
+
+  const gaps = [];
+  const shared = [];
+  const uniqueToUs = [];
+
+  for (const [normalized, entry] of theirs) {
+    if (ours.has(normalized) || isCoveredByMetadata(entry.keyword, appData)) {
+      shared.push({ keyword: ours.get(normalized) || entry.keyword, competitors: entry.competitors });
+    } else {
+      gaps.push(entry);
+    }
+  }
+
+  for (const [normalized, keyword] of ours) {
+    if (!theirs.has(normalized)) {
+      uniqueToUs.push({ keyword, competitors: [] });
+    }
+  }
+
+  return { gaps, shared, uniqueToUs };
+}
+
+/**
+ * Scores how worthwhile a keyword is to target: high traffic with low difficulty scores highest
+ * Uses the score the analyzer's scoring model gave, when there is one
+ * @param {Object} analysis - Analysis result with trafficScore and difficultyScore (0-100)
+ * @returns {number} Opportunity score (0-100)
+ */
+function getOpportunityScore(analysis) {
+  if (analysis.error) return 0;
+  if (typeof analysis.opportunityScore === 'number') return analysis.opportunityScore;
+  return Math.round(analysis.trafficScore * (100 - analysis.difficultyScore) / 100);
+}
+
+/**
+ * Ranks gap keywords by opportunity, then by how many competitors target them
+ * @param {Array<Object>} gaps - Scored gap entries with opportunityScore and competitors
+ * @returns {Array<Object>} Sorted copy of the gaps
+ */
+function rankGaps(gaps) {
+  return [...gaps].sort((a, b) => {
+    if (b.opportunityScore !== a.opportunityScore) {
+      return b.opportunityScore - a.opportunityScore;
+    }
+    return b.competitors.length - a.competitors.length;
+  });
+}
+
+module.exports = {
+  buildKeywordGap,
+  getOpportunityScore,
+  rankGaps
+};
@@ -1,31 +1,81 @@
-require('dotenv').config();
-const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs');
 const { KEYWORD_FUNCTION } = require('../tools/keyword-tool');
+const { createProvider } = require('./llm-providers');
+const { scheduler, RequestError } = require('./request-scheduler');
+const { getStore } = require('./stores');
+const { LlmUsage } = require('./llm-usage');
 
-// Initialize Anthropic client with API key from environment
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+// Caps on the screenshots sent to the LLM per app, to keep image tokens down
+const DEFAULT_SCREENSHOT_LIMITS = {
+  maxCount: 5,
+  maxWidth: 600,
+  maxBytes: 1024 * 1024
+};
+
+/**
+ * Rewrites a store screenshot URL to request a smaller rendition from the store's image CDN
+ * App Store URLs end in a size like "392x696bb.png", Google Play URLs take a "=w<width>" suffix;
+ * other URLs are returned unchanged
+ * @param {string} imageUrl - Screenshot URL
+ * @param {number} maxWidth - Width in pixels
+ * @returns {string} URL of the downscaled image
+ */
+function getScaledImageUrl(imageUrl, maxWidth) {
+  if (/mzstatic\.com\//.test(imageUrl)) {
+    return imageUrl.replace(/\/\d+x\d+\w*\.(png|jpe?g|webp)$/, `/${maxWidth}x0w.$1`);
+  }
+  if (/googleusercontent\.com\//.test(imageUrl)) {
+    return `${imageUrl.replace(/=[^/]*$/, '')}=w${maxWidth}`;
+  }
+  return imageUrl;
+}
+
+/**
+ * Gets the decoded size of base64 data
+ * @param {string} base64 - Base64 string
+ * @returns {number} Size in bytes (base64 is 4 characters per 3 bytes)
+ */
+function getBase64Bytes(base64) {
+  return Math.floor(base64.length * 3 / 4);
+}
 
 /**
  * Downloads image from URL and converts to base64 with proper media type detection
+ * Images over maxBytes are rejected before they're cached, since URL rewriting can't downscale every image
  * @param {string} imageUrl - URL of the image
+ * @param {ScreenshotCache|null} cache - Screenshot cache to read from and write to (optional)
+ * @param {number} maxBytes - Largest image accepted (default: no limit)
  * @returns {Promise<Object>} Object with base64 string and mediaType
  */
-async function fetchImageAsBase64(imageUrl) {
-  try {
-    const response = await fetch(imageUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch image: ${response.status}`);
-    }
+async function fetchImageAsBase64(imageUrl, cache = null, maxBytes = Infinity) {
+  const image = (cache && cache.getImage(imageUrl)) || await downloadImage(imageUrl, cache, maxBytes);
+  if (getBase64Bytes(image.base64) > maxBytes) {
+    throw new Error(`Image over ${Math.round(maxBytes / 1024)} KB: ${imageUrl}`);
+  }
+  return image;
+}
 
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
+/**
+ * Downloads an image and caches it if it's within maxBytes
+ * @param {string} imageUrl - URL of the image
+ * @param {ScreenshotCache|null} cache - Screenshot cache to write to (optional)
+ * @param {number} maxBytes - Largest image cached
+ * @returns {Promise<Object>} Object with base64 string and mediaType
+ */
+async function downloadImage(imageUrl, cache, maxBytes) {
+  try {
+    // The scheduled call returns plain data so it can be saved to fixtures
+    const { base64, contentType } = await scheduler.schedule('screenshots', async () => {
+      const response = await fetch(imageUrl);
+      if (!response.ok) {
+        throw RequestError.fromResponse(response, `Failed to fetch image: ${response.status}`);
+      }
+      const buffer = Buffer.from(await response.arrayBuffer());
+      return { base64: buffer.toString('base64'), contentType: response.headers.get('content-type') };
+    }, `screenshot ${imageUrl}`);
 
     // Detect image format from Content-Type header or URL extension
     let mediaType = 'image/jpeg'; // default
-    const contentType = response.headers.get('content-type');
 
     if (contentType) {
       if (contentType.includes('image/png')) {
@@ -48,8 +98,12 @@ async function fetchImageAsBase64(imageUrl) {
       }
     }
 
+    if (cache && getBase64Bytes(base64) <= maxBytes) {
+      cache.setImage(imageUrl, { base64, mediaType });
+    }
+
     return {
-      base64: buffer.toString('base64'),
+      base64,
       mediaType
     };
   } catch (error) {
@@ -69,67 +123,200 @@ function readImageAsBase64(imagePath) {
 }
 
 /**
- * Generates relevant search keywords from app store data using Claude Sonnet
+ * Formats the stored extractions of screenshots for the prompt
+ * @param {Array<Object>} extractions - { text, features } per screenshot
+ * @returns {string} Prompt section
+ */
+function formatExtractions(extractions) {
+  const lines = extractions.map((extraction, i) =>
+    `Screenshot ${i + 1}: text: ${extraction.text.join('; ') || 'none'} | features: ${extraction.features.join('; ') || 'none'}`);
+  return `Text and features already extracted from the app's screenshots:\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Splits an app's screenshots, up to the count limit, into ones with a stored extraction and ones to send
+ * Screenshots extracted on an earlier run are reused as text instead of being sent again;
+ * the rest are sent as images to providers that can read them
+ * @param {Object} appData - App data with screenshots
+ * @param {Object} provider - LLM provider
+ * @param {ScreenshotCache|null} screenshotCache - Cache for images and extractions
+ * @param {Object} limits - Screenshot limits ({ maxCount })
+ * @returns {Object} { screenshots, extractions, pendingScreenshots }
+ */
+function selectScreenshots(appData, provider, screenshotCache, limits) {
+  const screenshots = (appData.screenshots || []).slice(0, limits.maxCount);
+  const extractions = [];
+  const pendingScreenshots = [];
+  screenshots.forEach(screenshot => {
+    const extraction = screenshotCache && screenshotCache.getExtraction(screenshot);
+    if (extraction) {
+      extractions.push(extraction);
+    } else if (provider.supportsImages) {
+      pendingScreenshots.push(screenshot);
+    }
+  });
+  return { screenshots, extractions, pendingScreenshots };
+}
+
+/**
+ * Formats the target locales for the prompt, with each locale's localized listing where there is one
+ * @param {Array<Object>} locales - { locale, country, lang, listing }
+ * @param {string} storeName - Store name
+ * @param {Object} labels - { subtitleLabel, descriptionLabel }
+ * @returns {string} Prompt section
+ */
+function formatLocales(locales, storeName, { subtitleLabel, descriptionLabel }) {
+  const sections = locales.map(({ locale, country, lang, listing }) => {
+    const heading = `Locale ${locale} (${country.toUpperCase()} ${storeName} storefront, language code: ${lang})`;
+    if (!listing) {
+      return `${heading}: not localized, work from the listing above.`;
+    }
+    return [
+      `${heading}, localized listing:`,
+      `Title: ${listing.title}`,
+      listing.subtitle ? `${subtitleLabel}: ${listing.subtitle}` : null,
+      `${descriptionLabel}: ${listing.description}`
+    ].filter(Boolean).join('\n');
+  });
+
+  return `Also write keywords for each of these target locales. Don't translate the keywords above word for word: think about what users in that market actually type into the store search, in their own language, to find an app like this. Base them on the localized listing where one is given.
+
+${sections.join('\n\n')}
+
+Return them in localized_keywords, one entry per locale with the locale code as given.`;
+}
+
+/**
+ * Builds the text of the keyword prompt
+ * @param {Object} appData - App data (title, subtitle, description, platform)
+ * @param {Object} options - { country, lang, extractions: stored screenshot extractions, locales: target locales }
+ * @returns {string} Prompt text
+ */
+function buildKeywordPrompt(appData, { country, lang, extractions, locales = [] }) {
+  // Play listings have a short and a full description where the App Store has a subtitle and description
+  const isGooglePlay = appData.platform === 'gplay';
+  const subtitleLabel = isGooglePlay ? 'Short description' : 'Subtitle';
+  const descriptionLabel = isGooglePlay ? 'Full description' : 'Description';
+  const storeName = getStore(appData.platform).name;
+
+  return `Analyze this app store data and generate the most relevant search keywords that users would likely use to find this app:
+
+Title: ${appData.title}
+${appData.subtitle ? `
+${subtitleLabel}: ${appData.subtitle}
+` : ''}
+${descriptionLabel}: ${appData.description}
+${extractions.length > 0 ? `
+${formatExtractions(extractions)}` : ''}
+I'm also providing screenshots of the app store page. Using the information provided in the screenshots, and the description of the app, provide the most relevant search queries directly related to the app and the information provided in screenshots, title, ${subtitleLabel.toLowerCase()} and ${descriptionLabel.toLowerCase()}. ensuring only keywords/search queries that would be exact search phrases derived from title, ${subtitleLabel.toLowerCase()}, app screenshots, and ${descriptionLabel.toLowerCase()}. exclude long tail keywords, "* app" search phrases and any search phrases a user just wouldnt search, only keywords that are relevant to title, ${subtitleLabel.toLowerCase()}, screenshots, and ${descriptionLabel.toLowerCase()} (if not matching context to all these elements then ignore), must have a relevancy score of atleast 95%. Please create at least 20 keywords.
+
+The keywords are for the ${country.toUpperCase()} ${storeName} storefront. Write them in the language users there actually search with (language code: ${lang}).
+${locales.length > 0 ? `
+${formatLocales(locales, storeName, { subtitleLabel, descriptionLabel })}
+` : ''}
+Use the generate_app_keywords function to return your response with the identified keywords. Also list the text and features visible in the screenshots in screenshot_text, and per attached screenshot in screenshot_details.`;
+}
+
+/**
+ * Estimates the tokens of generating keywords for an app, without downloading screenshots or calling the LLM
+ * @param {Object} appData - App data
+ * @param {Object} options - Same options as generateKeywords
+ * @returns {Object} The estimated call recorded in options.usage
+ */
+function estimateKeywordGeneration(appData, { country = 'us', lang = 'en', locales = [], llm = {}, screenshotCache = null, screenshotLimits = {}, usage = new LlmUsage() } = {}) {
+  const provider = createProvider(llm);
+  const limits = { ...DEFAULT_SCREENSHOT_LIMITS, ...screenshotLimits };
+  const { extractions, pendingScreenshots } = selectScreenshots(appData, provider, screenshotCache, limits);
+
+  const content = [{ type: 'text', text: buildKeywordPrompt(appData, { country, lang, extractions, locales }) }];
+  return usage.estimate(provider, content, { app: appData.title, purpose: 'keywords', images: pendingScreenshots.length, imageWidth: limits.maxWidth });
+}
+
+/**
+ * Generates relevant search keywords from app store data using the configured LLM provider
+ * Screenshots with a stored extraction are sent as text; the rest are downscaled, sent as images
+ * and their extraction is stored for next time
  * @param {Object} appData - Object containing title, description, and screenshots (image paths)
- * @returns {Promise<Object>} JSON object with structure: { "keywords": [string] }
+ * @param {Object} options - Generation options
+ * @param {string} options.country - Two-letter country code of the target storefront (default: 'us')
+ * @param {string} options.lang - Language code the keywords should be written in (default: 'en')
+ * @param {Array<Object>} options.locales - Target locales to also write keywords for natively ({ locale, country, lang, listing }), optional
+ * @param {Object} options.llm - LLM config ({ provider, model, temperature, maxTokens, baseUrl })
+ * @param {ScreenshotCache|null} options.screenshotCache - Cache for images and extractions (optional)
+ * @param {Object} options.screenshotLimits - { maxCount, maxWidth, maxBytes }, merged over DEFAULT_SCREENSHOT_LIMITS
+ * @param {LlmUsage} options.usage - Records token usage and enforces the run's budget (optional)
+ * @returns {Promise<Object>} JSON object with structure: { "keywords": [string], "screenshotText": [string] },
+ *   plus "keywordsByLocale": [{ locale, country, lang, keywords }] in options.locales order
  */
-async function generateKeywords(appData) {
+async function generateKeywords(appData, { country = 'us', lang = 'en', locales = [], llm = {}, screenshotCache = null, screenshotLimits = {}, usage = new LlmUsage() } = {}) {
   try {
+    const provider = createProvider(llm);
+    const limits = { ...DEFAULT_SCREENSHOT_LIMITS, ...screenshotLimits };
+
+    const { screenshots, extractions, pendingScreenshots } = selectScreenshots(appData, provider, screenshotCache, limits);
+    if (extractions.length > 0) {
+      console.log(`🖼️ Reusing extracted text of ${extractions.length}/${screenshots.length} screenshots for ${appData.title}`);
+    }
+
     // Prepare content array with text and images
     const content = [
       {
         type: "text",
-        text: `Analyze this app store data and generate the most relevant search keywords that users would likely use to find this app:
-
-Title: ${appData.title}
-
-Description: ${appData.description}
-
-I'm also providing screenshots of the app store page. Using the information provided in the screenshots, and the description of the app, provide the most relevant search queries directly related to the app and the information provided in screenshots, title, subtitle and description. ensuring only keywords/search queries that would be exact search phrases derived from title, subtitle, app screenshots, and description. exclude long tail keywords, "* app" search phrases and any search phrases a user just wouldnt search, only keywords that are relevant to title, subtitle, screenshots, and description (if not matching context to all these elements then ignore), must have a relevancy score of atleast 95%. Please create at least 20 keywords.
-
-Use the generate_app_keywords function to return your response with the identified keywords.`
+        text: buildKeywordPrompt(appData, { country, lang, extractions, locales })
       }
     ];
 
-    // Add screenshot images to the content
-    for (const screenshot of appData.screenshots) {
+    // Add downscaled screenshot images to the content (skipped for providers that can't read images)
+    const sentScreenshots = [];
+    for (const screenshot of pendingScreenshots) {
       try {
-        const imageData = await fetchImageAsBase64(screenshot);
+        const imageData = await fetchImageAsBase64(getScaledImageUrl(screenshot, limits.maxWidth), screenshotCache, limits.maxBytes);
         
         content.push({
           type: "image",
-          source: {
-            type: "base64",
-            media_type: imageData.mediaType,
-            data: imageData.base64
-          }
+          mediaType: imageData.mediaType,
+          data: imageData.base64
         });
+        sentScreenshots.push(screenshot);
       } catch (error) {
         console.warn(`⚠️ Failed to process screenshot: ${error.message}`);
       }
     }
 
-    // Call Claude Sonnet API with images and function tools
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
-      temperature: 0.3, // Lower temperature for more consistent keyword generation
-      messages: [
-        {
-          role: 'user',
-          content: content
-        }
-      ],
-      tools: [KEYWORD_FUNCTION],
-      tool_choice: { type: "tool", name: "generate_app_keywords" }
+    // Call the LLM with images and the keyword function tool
+    const response = await usage.generate(provider, { content, tool: KEYWORD_FUNCTION }, {
+      app: appData.title,
+      purpose: 'keywords',
+      label: `keywords for ${appData.title} (${country}/${lang}${locales.length > 0 ? `, locales ${locales.map(target => target.locale).join(', ')}` : ''})`,
+      imageWidth: limits.maxWidth
     });
 
-    // Extract function call result from Claude's response
-    const toolUse = response.content.find(content => content.type === 'tool_use');
+    // Extract function call result, normalized the same way by every provider
+    const toolUse = response.toolCalls.find(call => call.name === KEYWORD_FUNCTION.name);
     
-    if (toolUse && toolUse.name === 'generate_app_keywords') {
+    if (toolUse && Array.isArray(toolUse.input.keywords)) {
+      // Store what was seen in each new screenshot, if the model described every one of them
+      const details = toolUse.input.screenshot_details || [];
+      if (screenshotCache && sentScreenshots.length > 0 && details.length === sentScreenshots.length) {
+        sentScreenshots.forEach((screenshot, i) => screenshotCache.setExtraction(screenshot, details[i]));
+      }
+
+      // Match localized keywords to the requested locales; a locale the model skipped gets none
+      const localized = toolUse.input.localized_keywords || [];
+      const keywordsByLocale = locales.map(({ locale, country: targetCountry, lang: targetLang }) => {
+        const entry = localized.find(item => String(item.locale).toLowerCase().replace('_', '-') === locale.toLowerCase());
+        if (!entry) {
+          console.warn(`⚠️ No ${locale} keywords returned for ${appData.title}`);
+        }
+        return { locale, country: targetCountry, lang: targetLang, keywords: entry && Array.isArray(entry.keywords) ? entry.keywords : [] };
+      });
+
       // Return the structured data from the function call
-      return { keywords: toolUse.input.keywords };
+      return {
+        keywords: toolUse.input.keywords,
+        screenshotText: [...extractions.flatMap(extraction => extraction.text), ...(toolUse.input.screenshot_text || [])],
+        keywordsByLocale
+      };
     } else {
       throw new Error('No valid function call found in response');
     }
@@ -141,5 +328,9 @@ Use the generate_app_keywords function to return your response with the identifi
 }
 
 module.exports = {
-  generateKeywords
+  generateKeywords,
+  estimateKeywordGeneration,
+  fetchImageAsBase64,
+  getScaledImageUrl,
+  DEFAULT_SCREENSHOT_LIMITS
 };
\ No newline at end of file
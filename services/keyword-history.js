@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_HISTORY_PATH = path.join(__dirname, '..', 'data', 'keyword-history.json');
+
+/**
+ * Local history store for keyword analysis runs
+ * Every run is saved with a timestamp so score trends can be reported later
+ */
+class KeywordHistory {
+  /**
+   * @param {Object} options - History options
+   * @param {string} options.filePath - Path of the JSON history file
+   */
+  constructor({ filePath = DEFAULT_HISTORY_PATH } = {}) {
+    this.filePath = filePath;
+    this.runs = null;
+  }
+
+  /**
+   * Loads the history file on first use
+   * @returns {Array<Object>} Saved runs, oldest first
+   */
+  load() {
+    if (this.runs) return this.runs;
+
+    try {
+      this.runs = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).runs || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Ignoring unreadable keyword history ${this.filePath}: ${error.message}`);
+      }
+      this.runs = [];
+    }
+
+    return this.runs;
+  }
+
+  /**
+   * Writes the history file
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ runs: this.load() }, null, 2));
+  }
+
+  /**
+   * Saves the results of an analysis run
+   * Failed analyses are left out so they don't show up as score drops, and results served from the
+   * keyword cache are left out since every command that scores keywords saves its fresh lookups here
+   * @param {Object} run - Run to save
+   * @param {string} run.source - Command that produced the results ('search', 'analyze', 'opportunities', 'gap', 'audit' or 'localize')
+   * @param {string} run.platform - 'gplay' or 'itunes'
+   * @param {string} run.country - Two-letter country code
+   * @param {Array<Object>} run.results - Analysis results
+   * @returns {Array<Object>} Recommendation changes compared to the previous run
+   */
+  recordRun({ source, platform = 'itunes', country = 'us', results }) {
+    const run = {
+      timestamp: new Date().toISOString(),
+      source,
+      platform,
+      country,
+      results: results
+        .filter(result => !result.error && result.recommendation !== 'analysis_failed' && !result.fromCache)
+        .map(result => ({
+          keyword: result.keyword,
+          trafficScore: result.trafficScore,
+          difficultyScore: result.difficultyScore,
+          recommendation: result.recommendation
+        }))
+    };
+
+    if (run.results.length === 0) return [];
+
+    // Compare against history before this run is added
+    const changes = run.results
+      .map(result => {
+        const previous = this.getKeywordHistory(result.keyword, { platform, country }).pop();
+        return previous && previous.recommendation !== result.recommendation
+          ? { keyword: result.keyword, from: previous, to: { ...result, timestamp: run.timestamp } }
+          : null;
+      })
+      .filter(Boolean);
+
+    this.load().push(run);
+    this.save();
+
+    return changes;
+  }
+
+  /**
+   * Gets all saved scores for a keyword in a storefront, oldest first
+   * @param {string} keyword - Keyword
+   * @param {Object} storefront - Storefront filter ({ platform, country })
+   * @returns {Array<Object>} Entries with timestamp, scores and recommendation
+   */
+  getKeywordHistory(keyword, { platform = 'itunes', country = 'us' } = {}) {
+    const normalized = keyword.trim().toLowerCase();
+    const entries = [];
+
+    for (const run of this.load()) {
+      if (run.platform !== platform || run.country !== country) continue;
+
+      const result = run.results.find(r => r.keyword.trim().toLowerCase() === normalized);
+      if (result) {
+        entries.push({ timestamp: run.timestamp, source: run.source, ...result });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Lists every keyword saved for a storefront
+   * @param {Object} storefront - Storefront filter ({ platform, country })
+   * @returns {Array<string>} Keywords in the order they were first saved
+   */
+  getTrackedKeywords({ platform = 'itunes', country = 'us' } = {}) {
+    const keywords = new Map();
+
+    for (const run of this.load()) {
+      if (run.platform !== platform || run.country !== country) continue;
+      run.results.forEach(result => {
+        const normalized = result.keyword.trim().toLowerCase();
+        if (!keywords.has(normalized)) keywords.set(normalized, result.keyword);
+      });
+    }
+
+    return [...keywords.values()];
+  }
+}
+
+module.exports = {
+  KeywordHistory
+};
@@ -0,0 +1,180 @@
+/**
+ * Keyword normalization, deduplication and clustering
+ * LLMs return near-duplicates ("photo editor", "Photo Editors", "editor photo"); grouping them
+ * means each group is scored once instead of paying for a lookup per variant
+ */
+
+const DEFAULT_SIMILARITY = 0.75;
+
+// Shortest stem left after removing a verb ending; shorter ones are often other words ("evening", "parking")
+const MIN_STEM_LENGTH = 5;
+
+// Words that don't change what a phrase is about
+const FILLER_WORDS = new Set(['a', 'an', 'and', 'app', 'apps', 'for', 'of', 'the', 'to', 'with']);
+
+/**
+ * Normalizes case, Unicode form, punctuation and whitespace
+ * @param {string} keyword - Keyword
+ * @returns {string} Normalized keyword, e.g. "Photo-Editor!" → "photo editor"
+ */
+function normalizeKeyword(keyword) {
+  return splitWords(keyword).join(' ');
+}
+
+/**
+ * Splits a phrase into lowercase words without punctuation
+ * @param {string} text - Phrase
+ * @returns {Array<string>} Words
+ */
+function splitWords(text) {
+  return (text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 0);
+}
+
+/**
+ * Reduces an English plural to its singular form
+ * @param {string} word - Lowercase word
+ * @returns {string} Singular form
+ */
+function singularize(word) {
+  if (word.length <= 3 || word.endsWith('ss') || word.endsWith('us') || word.endsWith('is')) return word;
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (/(ches|shes|xes|zes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Conservative stemmer for English words
+ * Only plurals and the verb endings "-ing" and "-ed" are removed, and only when at least
+ * MIN_STEM_LENGTH letters remain: "retouching" and "retouched" map to "retouch", while "order",
+ * "timer", "evening" and "parking" keep their meaning. Non-Latin words are left alone
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  const singular = singularize(word);
+  if (!/^[a-z]+$/.test(singular)) return singular;
+
+  for (const suffix of ['ing', 'ed']) {
+    if (singular.endsWith(suffix) && singular.length - suffix.length >= MIN_STEM_LENGTH) {
+      return singular.slice(0, -suffix.length);
+    }
+  }
+
+  return singular;
+}
+
+/**
+ * Builds the key shared by case, plural and word-order variants of a phrase
+ * @param {string} keyword - Keyword
+ * @returns {string} Variant key, e.g. "editor photo" for "Photo Editors"
+ */
+function getVariantKey(keyword) {
+  return [...new Set(splitWords(keyword).map(singularize))].sort().join(' ');
+}
+
+/**
+ * Gets the set of stems that describes what a phrase is about
+ * @param {string} keyword - Keyword
+ * @returns {Set<string>} Stems without filler words (all stems if the phrase is only filler)
+ */
+function getStems(keyword) {
+  const words = splitWords(keyword);
+  const meaningful = words.filter(word => !FILLER_WORDS.has(word));
+  return new Set((meaningful.length > 0 ? meaningful : words).map(stem));
+}
+
+/**
+ * Jaccard similarity of two stem sets
+ * @param {Set<string>} a - Stems
+ * @param {Set<string>} b - Stems
+ * @returns {number} Similarity between 0 and 1
+ */
+function similarity(a, b) {
+  const intersection = [...a].filter(item => b.has(item)).length;
+  const union = new Set([...a, ...b]).size;
+  return union === 0 ? 0 : intersection / union;
+}
+
+/**
+ * Removes exact duplicates after normalization, keeping the first spelling
+ * @param {Array<string>} keywords - Keywords
+ * @returns {Array<string>} Deduplicated keywords
+ */
+function dedupeKeywords(keywords) {
+  const seen = new Set();
+  return keywords.filter(keyword => {
+    const normalized = normalizeKeyword(keyword);
+    if (!normalized || seen.has(normalized)) return false;
+    seen.add(normalized);
+    return true;
+  });
+}
+
+/**
+ * Groups keywords into clusters of variants and closely related phrases
+ * Case, punctuation, plural and word-order variants always share a cluster; phrases whose
+ * stems overlap by at least the similarity threshold are merged into it as well
+ * @param {Array<string>} keywords - Keywords (may contain duplicates)
+ * @param {Object} options - Clustering options
+ * @param {number} options.similarity - Minimum stem overlap (0-1) to merge phrases (default: 0.75)
+ * @returns {Array<Object>} Clusters as { representative, members, count }, in first-seen order
+ */
+function clusterKeywords(keywords, { similarity: threshold = DEFAULT_SIMILARITY } = {}) {
+  const clusters = [];
+
+  for (const keyword of keywords) {
+    const normalized = normalizeKeyword(keyword);
+    if (!normalized) continue;
+
+    const stems = getStems(keyword);
+    const variantKey = getVariantKey(keyword);
+    const cluster = clusters.find(candidate =>
+      candidate.variantKeys.has(variantKey) || similarity(candidate.stems, stems) >= threshold);
+
+    // Clusters keep the stems of their first phrase so they don't drift through chained matches
+    if (cluster) {
+      cluster.variantKeys.add(variantKey);
+      const member = cluster.members.find(m => normalizeKeyword(m.keyword) === normalized);
+      if (member) {
+        member.count++;
+      } else {
+        cluster.members.push({ keyword: keyword.trim(), count: 1 });
+      }
+    } else {
+      clusters.push({
+        variantKeys: new Set([variantKey]),
+        stems: new Set(stems),
+        members: [{ keyword: keyword.trim(), count: 1 }]
+      });
+    }
+  }
+
+  return clusters.map(cluster => {
+    // The most frequent spelling represents the cluster; ties go to the shortest, then the first seen
+    const representative = [...cluster.members].sort((a, b) =>
+      b.count - a.count || a.keyword.length - b.keyword.length)[0];
+
+    return {
+      representative: representative.keyword,
+      members: cluster.members.map(member => member.keyword),
+      count: cluster.members.reduce((sum, member) => sum + member.count, 0)
+    };
+  });
+}
+
+module.exports = {
+  normalizeKeyword,
+  splitWords,
+  singularize,
+  stem,
+  getVariantKey,
+  dedupeKeywords,
+  clusterKeywords,
+  DEFAULT_SIMILARITY
+};
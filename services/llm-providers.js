@@ -0,0 +1,260 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const { RequestError } = require('./request-scheduler');
+const { estimateTextTokens } = require('./llm-usage');
+
+/**
+ * LLM providers for keyword generation
+ * Every provider takes the same generic request ({ content, tool }) and returns the same
+ * normalized response ({ toolCalls: [{ name, input }], usage }), so callers parse tool
+ * output identically whatever the backend
+ *
+ * Generic content items:
+ *   { type: 'text', text }
+ *   { type: 'image', mediaType, data }  (data is base64)
+ */
+
+const DEFAULT_LLM_CONFIG = {
+  provider: process.env.LLM_PROVIDER || 'anthropic',
+  model: process.env.LLM_MODEL,
+  baseUrl: process.env.LLM_BASE_URL,
+  temperature: process.env.LLM_TEMPERATURE !== undefined ? parseFloat(process.env.LLM_TEMPERATURE) : 0.3,
+  maxTokens: process.env.LLM_MAX_TOKENS !== undefined ? parseInt(process.env.LLM_MAX_TOKENS, 10) : 2000,
+  // USD per million tokens, for models llm-usage has no price for
+  inputPrice: process.env.LLM_INPUT_PRICE !== undefined ? parseFloat(process.env.LLM_INPUT_PRICE) : undefined,
+  outputPrice: process.env.LLM_OUTPUT_PRICE !== undefined ? parseFloat(process.env.LLM_OUTPUT_PRICE) : undefined
+};
+
+const DEFAULT_MODELS = {
+  anthropic: 'claude-sonnet-4-20250514',
+  openai: 'gpt-4o',
+  mock: 'mock-keywords-1'
+};
+
+/**
+ * Anthropic Messages API provider
+ */
+class AnthropicProvider {
+  /**
+   * @param {Object} config - Provider config ({ model, temperature, maxTokens, apiKey, baseUrl })
+   */
+  constructor(config) {
+    this.name = 'anthropic';
+    this.supportsImages = true;
+    this.config = config;
+    this.client = null;
+  }
+
+  /**
+   * Creates the client on first use so the module loads without an API key
+   * @returns {Anthropic} Anthropic client
+   */
+  getClient() {
+    if (!this.client) {
+      const apiKey = this.config.apiKey || process.env.ANTHROPIC_API_KEY;
+      if (!apiKey) {
+        throw new Error('ANTHROPIC_API_KEY is not set');
+      }
+      // Retries are left to the request scheduler so they're counted and share its backoff
+      this.client = new Anthropic({ apiKey, baseURL: this.config.baseUrl, maxRetries: 0 });
+    }
+    return this.client;
+  }
+
+  /**
+   * Sends a request that must be answered with a call to the given tool
+   * @param {Object} request - { content, tool } with tool in Anthropic input_schema format
+   * @returns {Promise<Object>} { toolCalls, usage }
+   */
+  async generate({ content, tool }) {
+    const response = await this.getClient().messages.create({
+      model: this.config.model,
+      max_tokens: this.config.maxTokens,
+      temperature: this.config.temperature,
+      messages: [
+        {
+          role: 'user',
+          content: content.map(item => (item.type === 'image'
+            ? { type: 'image', source: { type: 'base64', media_type: item.mediaType, data: item.data } }
+            : { type: 'text', text: item.text }))
+        }
+      ],
+      tools: [tool],
+      tool_choice: { type: 'tool', name: tool.name }
+    });
+
+    return {
+      toolCalls: response.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ name: block.name, input: block.input })),
+      usage: {
+        inputTokens: response.usage?.input_tokens || 0,
+        outputTokens: response.usage?.output_tokens || 0
+      }
+    };
+  }
+}
+
+/**
+ * OpenAI-compatible Chat Completions provider
+ * Works with OpenAI and self-hosted servers exposing /chat/completions with tool calling
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} config - Provider config ({ model, temperature, maxTokens, apiKey, baseUrl })
+   */
+  constructor(config) {
+    this.name = 'openai';
+    this.supportsImages = true;
+    this.config = config;
+  }
+
+  /**
+   * Sends a request that must be answered with a call to the given tool
+   * @param {Object} request - { content, tool } with tool in Anthropic input_schema format
+   * @returns {Promise<Object>} { toolCalls, usage }
+   */
+  async generate({ content, tool }) {
+    const baseUrl = (this.config.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+    const apiKey = this.config.apiKey || process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model: this.config.model,
+        max_tokens: this.config.maxTokens,
+        temperature: this.config.temperature,
+        messages: [
+          {
+            role: 'user',
+            content: content.map(item => (item.type === 'image'
+              ? { type: 'image_url', image_url: { url: `data:${item.mediaType};base64,${item.data}` } }
+              : { type: 'text', text: item.text }))
+          }
+        ],
+        tools: [
+          {
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+          }
+        ],
+        tool_choice: { type: 'function', function: { name: tool.name } }
+      })
+    });
+
+    if (!response.ok) {
+      throw RequestError.fromResponse(response, `LLM request failed: ${response.status} ${await response.text()}`);
+    }
+
+    const data = await response.json();
+    const message = data.choices?.[0]?.message || {};
+
+    return {
+      toolCalls: (message.tool_calls || []).map(call => ({
+        name: call.function.name,
+        input: JSON.parse(call.function.arguments || '{}')
+      })),
+      usage: {
+        inputTokens: data.usage?.prompt_tokens || 0,
+        outputTokens: data.usage?.completion_tokens || 0
+      }
+    };
+  }
+}
+
+// Filler words the mock provider never turns into keywords
+const MOCK_STOP_WORDS = new Set(['about', 'from', 'have', 'into', 'just', 'more', 'that', 'this', 'will', 'with', 'your']);
+
+/**
+ * Deterministic offline provider for tests and dry runs
+ * Builds keywords from the words in the prompt's title, subtitle and description lines
+ * (short and full description for Google Play) or its review lines,
+ * so the same app data always produces the same keywords without any network access
+ */
+class MockProvider {
+  /**
+   * @param {Object} config - Provider config ({ model })
+   */
+  constructor(config) {
+    this.name = 'mock';
+    this.supportsImages = false;
+    this.config = config;
+  }
+
+  /**
+   * Answers with a tool call built from the prompt text
+   * @param {Object} request - { content, tool }
+   * @returns {Promise<Object>} { toolCalls, usage }
+   */
+  async generate({ content, tool }) {
+    const text = content.filter(item => item.type === 'text').map(item => item.text).join('\n');
+    const lines = name => [...text.matchAll(new RegExp(`^${name}: (.*)$`, 'gm'))].map(match => match[1]);
+
+    // Most frequent words and adjacent word pairs per line, ties broken alphabetically
+    const counts = new Map();
+    ['Title', 'Subtitle', 'Short description', 'Description', 'Full description', 'Review'].flatMap(lines).forEach(line => {
+      const words = line
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 3 && !MOCK_STOP_WORDS.has(word));
+
+      words.forEach((word, i) => {
+        counts.set(word, (counts.get(word) || 0) + 1);
+        if (i > 0) {
+          const pair = `${words[i - 1]} ${word}`;
+          counts.set(pair, (counts.get(pair) || 0) + 1);
+        }
+      });
+    });
+
+    const keywords = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 20)
+      .map(([keyword]) => keyword);
+
+    // Every other list the tool asks for (screenshot text, review insights) is left empty
+    const input = {};
+    Object.keys(tool.input_schema.properties).forEach(name => { input[name] = []; });
+    input.keywords = keywords;
+
+    // Tokens are estimated the same way as in a dry run; the output is the tool call's JSON arguments
+    return {
+      toolCalls: [{ name: tool.name, input }],
+      usage: { inputTokens: estimateTextTokens(text), outputTokens: estimateTextTokens(JSON.stringify(input)) }
+    };
+  }
+}
+
+const PROVIDERS = {
+  anthropic: AnthropicProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+/**
+ * Creates an LLM provider, filling unset options from the environment defaults
+ * @param {Object} config - { provider, model, temperature, maxTokens, baseUrl, apiKey, inputPrice, outputPrice }
+ * @returns {Object} Provider instance
+ */
+function createProvider(config = {}) {
+  const merged = { ...DEFAULT_LLM_CONFIG };
+  Object.keys(config).forEach(key => {
+    if (config[key] !== undefined) merged[key] = config[key];
+  });
+
+  const Provider = PROVIDERS[merged.provider];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${merged.provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider({ ...merged, model: merged.model || DEFAULT_MODELS[merged.provider] });
+}
+
+module.exports = {
+  createProvider,
+  DEFAULT_LLM_CONFIG,
+  PROVIDER_NAMES: Object.keys(PROVIDERS)
+};
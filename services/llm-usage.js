@@ -0,0 +1,225 @@
+const { scheduler } = require('./request-scheduler');
+
+// USD per million tokens; other models need llm.inputPrice and llm.outputPrice to be costed
+const MODEL_PRICES = {
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-opus-4-20250514': { input: 15, output: 75 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'mock-keywords-1': { input: 0, output: 0 }
+};
+
+// Roughly 4 characters per token for English prompt text
+const CHARS_PER_TOKEN = 4;
+
+// Store screenshots are portrait phone captures, about 9:19.5; images are billed by area
+const SCREENSHOT_ASPECT_RATIO = 2.17;
+const MAX_IMAGE_EDGE = 1568;
+const PIXELS_PER_IMAGE_TOKEN = 750;
+
+/**
+ * Thrown before an LLM call that could take the run over its budget
+ */
+class BudgetExceededError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'BudgetExceededError';
+  }
+}
+
+/**
+ * Estimates the tokens of one downscaled screenshot
+ * @param {number} width - Width the screenshot is downscaled to
+ * @returns {number} Estimated input tokens
+ */
+function estimateImageTokens(width) {
+  const height = width * SCREENSHOT_ASPECT_RATIO;
+  const scale = Math.min(1, MAX_IMAGE_EDGE / height);
+  return Math.ceil((width * scale) * (height * scale) / PIXELS_PER_IMAGE_TOKEN);
+}
+
+/**
+ * Estimates the tokens of a piece of text
+ * @param {string} text - Prompt or response text
+ * @returns {number} Estimated tokens
+ */
+function estimateTextTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimates the input tokens of a generic LLM request before it's sent
+ * @param {Array<Object>} content - Generic content items ({ type: 'text', text } or { type: 'image' })
+ * @param {number} imageWidth - Width images are downscaled to
+ * @returns {number} Estimated input tokens
+ */
+function estimateInputTokens(content, imageWidth) {
+  return content.reduce((tokens, item) => tokens + (item.type === 'image'
+    ? estimateImageTokens(imageWidth)
+    : estimateTextTokens(item.text)), 0);
+}
+
+/**
+ * Token usage and cost of the LLM calls of one run
+ * Calls are recorded per app; with maxBudget set, a call that could take the run over
+ * the budget is refused before it's sent, and in a dry run calls are only estimated
+ */
+class LlmUsage {
+  /**
+   * @param {Object} options - Usage options
+   * @param {number|null} options.maxBudget - Most the run may cost, in USD (default: no limit)
+   * @param {boolean} options.dryRun - Estimate calls instead of sending them (default: false)
+   */
+  constructor({ maxBudget = null, dryRun = false } = {}) {
+    this.maxBudget = maxBudget;
+    this.dryRun = dryRun;
+    this.exceeded = false;
+    this.calls = [];
+  }
+
+  /**
+   * Gets the price of a provider's model
+   * @param {Object} config - Provider config ({ model, inputPrice, outputPrice })
+   * @returns {Object|null} { input, output } in USD per million tokens, null if unknown
+   */
+  getPrice(config) {
+    if (config.inputPrice !== undefined && config.outputPrice !== undefined) {
+      return { input: config.inputPrice, output: config.outputPrice };
+    }
+    return MODEL_PRICES[config.model] || null;
+  }
+
+  /**
+   * Calculates the cost of a call
+   * @param {Object} config - Provider config
+   * @param {number} inputTokens - Input tokens
+   * @param {number} outputTokens - Output tokens
+   * @returns {number|null} Cost in USD, null if the model's price is unknown
+   */
+  getCost(config, inputTokens, outputTokens) {
+    const price = this.getPrice(config);
+    if (!price) return null;
+    return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+  }
+
+  /**
+   * Gets the cost of every call so far
+   * @returns {number} Cost in USD; calls with an unknown price count as free
+   */
+  getSpent() {
+    return this.calls.reduce((sum, call) => sum + (call.cost || 0), 0);
+  }
+
+  /**
+   * Refuses a call whose worst case, the estimated input plus maxTokens of output, goes over the budget
+   * @param {Object} config - Provider config
+   * @param {number} inputTokens - Estimated input tokens
+   * @param {string} label - What the call is for, e.g. "keywords for Lumen (us/en)"
+   */
+  checkBudget(config, inputTokens, label) {
+    if (this.maxBudget === null) return;
+
+    const worstCase = this.getCost(config, inputTokens, config.maxTokens);
+    if (worstCase === null) {
+      this.exceeded = true;
+      throw new BudgetExceededError(`Can't keep to the budget: no price known for model "${config.model}", set llm.inputPrice and llm.outputPrice`);
+    }
+    const spent = this.getSpent();
+    if (spent + worstCase > this.maxBudget) {
+      this.exceeded = true;
+      throw new BudgetExceededError(`Stopped before ${label}: up to ${formatCost(worstCase)} on top of ${formatCost(spent)} spent would go over the ${formatCost(this.maxBudget)} budget`);
+    }
+  }
+
+  /**
+   * Records a call
+   * @param {Object} call - { app, purpose, config, inputTokens, outputTokens, estimated }
+   */
+  record({ app, purpose, config, inputTokens, outputTokens, estimated = false }) {
+    this.calls.push({
+      app,
+      purpose,
+      model: config.model,
+      inputTokens,
+      outputTokens,
+      cost: this.getCost(config, inputTokens, outputTokens),
+      estimated
+    });
+  }
+
+  /**
+   * Records the estimate of a call that isn't sent; output is counted at the provider's maxTokens
+   * @param {Object} provider - LLM provider
+   * @param {Array<Object>} content - Generic content items of the prompt
+   * @param {Object} options - { app, purpose, images: screenshots that would be attached, imageWidth }
+   * @returns {Object} The recorded call
+   */
+  estimate(provider, content, { app, purpose, images = 0, imageWidth }) {
+    const inputTokens = estimateInputTokens(content, imageWidth) + images * estimateImageTokens(imageWidth);
+    this.record({ app, purpose, config: provider.config, inputTokens, outputTokens: provider.config.maxTokens, estimated: true });
+    return this.calls[this.calls.length - 1];
+  }
+
+  /**
+   * Sends a request through the request scheduler after checking the budget, and records its usage
+   * @param {Object} provider - LLM provider
+   * @param {Object} request - { content, tool }
+   * @param {Object} options - { app, purpose, label: scheduler label, imageWidth }
+   * @returns {Promise<Object>} Provider response ({ toolCalls, usage })
+   */
+  async generate(provider, request, { app, purpose, label, imageWidth }) {
+    this.checkBudget(provider.config, estimateInputTokens(request.content, imageWidth), label);
+
+    const response = await scheduler.schedule('llm', () => provider.generate(request), label);
+    const { inputTokens = 0, outputTokens = 0 } = response.usage || {};
+    this.record({ app, purpose, config: provider.config, inputTokens, outputTokens });
+    return response;
+  }
+
+  /**
+   * Adds up the calls per app and for the whole run
+   * @returns {Object} { calls, inputTokens, outputTokens, cost, estimated, apps: [{ app, calls, inputTokens, outputTokens, cost }] }
+   */
+  summarize() {
+    const add = (totals, call) => ({
+      calls: totals.calls + 1,
+      inputTokens: totals.inputTokens + call.inputTokens,
+      outputTokens: totals.outputTokens + call.outputTokens,
+      // One call with an unknown price makes the total unknown
+      cost: totals.cost === null || call.cost === null ? null : totals.cost + call.cost
+    });
+    const empty = { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+
+    const byApp = new Map();
+    this.calls.forEach(call => byApp.set(call.app, add(byApp.get(call.app) || empty, call)));
+
+    return {
+      ...this.calls.reduce(add, empty),
+      estimated: this.calls.some(call => call.estimated),
+      apps: [...byApp.entries()].map(([app, totals]) => ({ app, ...totals }))
+    };
+  }
+}
+
+/**
+ * Formats a cost in USD
+ * @param {number|null} cost - Cost
+ * @returns {string} e.g. "$0.0123", or "unknown"
+ */
+function formatCost(cost) {
+  return cost === null ? 'unknown' : `$${cost.toFixed(4)}`;
+}
+
+module.exports = {
+  LlmUsage,
+  BudgetExceededError,
+  estimateInputTokens,
+  estimateTextTokens,
+  estimateImageTokens,
+  formatCost,
+  MODEL_PRICES
+};
@@ -0,0 +1,54 @@
+const { getStore } = require('./stores');
+const { ValidationError } = require('./validation-error');
+
+/**
+ * Parses a target market code of a language and a storefront country
+ * @param {string} code - Locale code, e.g. 'de-DE', 'pt-br' or 'ja_JP'
+ * @returns {Object} { locale: 'de-DE', lang: 'de', country: 'de' }
+ */
+function parseLocale(code) {
+  const match = String(code).trim().match(/^([a-z]{2,3})[-_]([a-z]{2})$/i);
+  if (!match) {
+    throw new ValidationError(`Locale "${code}" must be a language and country code, e.g. de-DE, ja-JP, pt-BR`);
+  }
+
+  const lang = match[1].toLowerCase();
+  const country = match[2].toLowerCase();
+  return { locale: `${lang}-${country.toUpperCase()}`, lang, country };
+}
+
+/**
+ * Fetches an app's listing in the storefront of each target locale
+ * Stores fall back to the default listing where an app isn't localized, so a listing whose
+ * title and description match the app's own counts as not localized
+ * @param {Object} appData - App data of the source listing ({ id, platform, title, description })
+ * @param {Array<Object>} locales - parseLocale results
+ * @returns {Promise<Array<Object>>} Per locale, in input order: { locale, lang, country, listing }, listing null if not localized
+ */
+async function fetchLocalizedListings(appData, locales) {
+  const { getAppData } = getStore(appData.platform).scraper;
+
+  const listings = [];
+  for (const target of locales) {
+    let listing = null;
+    try {
+      const localized = await getAppData(appData.id, { country: target.country, lang: target.lang });
+      if (localized.title !== appData.title || localized.description !== appData.description) {
+        listing = localized;
+      }
+    } catch (error) {
+      console.warn(`⚠️ No ${target.locale} listing: ${error.message}`);
+    }
+    console.log(listing
+      ? `🌐 ${target.locale}: localized listing "${listing.title}"`
+      : `🌐 ${target.locale}: not localized, using the source listing`);
+    listings.push({ ...target, listing });
+  }
+
+  return listings;
+}
+
+module.exports = {
+  parseLocale,
+  fetchLocalizedListings
+};
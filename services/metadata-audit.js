@@ -0,0 +1,85 @@
+const { splitWords, singularize } = require('./keyword-processing');
+
+// Metadata fields in the order Apple weighs them for search
+const AUDIT_FIELDS = ['title', 'subtitle', 'description', 'screenshots'];
+
+/**
+ * Builds the set of singular words in a piece of metadata
+ * @param {string} text - Metadata text
+ * @returns {Set<string>} Words
+ */
+function toWordSet(text) {
+  return new Set(splitWords(text).map(singularize));
+}
+
+/**
+ * Checks whether every word of a keyword appears in a word set
+ * @param {string} keyword - Keyword
+ * @param {Set<string>} words - Words of a metadata field
+ * @returns {boolean} True if the field covers the keyword
+ */
+function covers(keyword, words) {
+  const keywordWords = splitWords(keyword).map(singularize);
+  return keywordWords.length > 0 && keywordWords.every(word => words.has(word));
+}
+
+/**
+ * Audits which metadata fields cover each keyword
+ * Screenshots are checked against the text the model reported seeing in them
+ * @param {Object} appData - App data with title, subtitle (null if unknown) and description
+ * @param {Array<string>} screenshotText - Text and features seen in the screenshots
+ * @param {Array<Object>} keywords - Keywords as { keyword, trafficScore? }
+ * @returns {Object} { keywords, coverage } with per-keyword fields and per-field coverage, null for an unknown subtitle
+ */
+function auditMetadata(appData, screenshotText, keywords) {
+  // A subtitle that couldn't be read from the store page is left out instead of counted as empty
+  const knownFields = AUDIT_FIELDS.filter(field => field !== 'subtitle' || appData.subtitle !== null);
+  const fieldWords = {
+    title: toWordSet(appData.title),
+    subtitle: toWordSet(appData.subtitle),
+    description: toWordSet(appData.description),
+    screenshots: toWordSet(screenshotText.join(' '))
+  };
+
+  const audited = keywords.map(entry => {
+    const fields = {};
+    AUDIT_FIELDS.forEach(field => { fields[field] = knownFields.includes(field) ? covers(entry.keyword, fieldWords[field]) : null; });
+
+    // Where the keyword is strongest: the first field covering it, or only visible in screenshots
+    const bestField = AUDIT_FIELDS.find(field => fields[field]) || 'none';
+
+    return {
+      ...entry,
+      fields,
+      bestField,
+      screenshotsOnly: bestField === 'screenshots'
+    };
+  });
+
+  // Weight coverage by traffic so missing high-value keywords count more (unscored keywords count as 1)
+  const weightOf = entry => (typeof entry.trafficScore === 'number' ? entry.trafficScore : 1);
+  const totalWeight = audited.reduce((sum, entry) => sum + weightOf(entry), 0);
+
+  const coverage = {};
+  AUDIT_FIELDS.forEach(field => {
+    if (!knownFields.includes(field)) {
+      coverage[field] = null;
+      return;
+    }
+
+    const covered = audited.filter(entry => entry.fields[field]);
+    const coveredWeight = covered.reduce((sum, entry) => sum + weightOf(entry), 0);
+    coverage[field] = {
+      keywords: covered.length,
+      percent: audited.length ? Math.round(covered.length / audited.length * 100) : 0,
+      weightedPercent: totalWeight ? Math.round(coveredWeight / totalWeight * 100) : 0
+    };
+  });
+
+  return { keywords: audited, coverage };
+}
+
+module.exports = {
+  auditMetadata,
+  AUDIT_FIELDS
+};
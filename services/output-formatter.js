@@ -0,0 +1,324 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeKeyword } = require('./keyword-processing');
+
+const OUTPUT_FORMATS = ['json', 'csv', 'markdown'];
+
+// Columns shared by every keyword row, in output order
+const KEYWORD_COLUMNS = [
+  'keyword',
+  'trafficScore',
+  'difficultyScore',
+  'opportunityScore',
+  'competitionLevel',
+  'trafficLevel',
+  'recommendation',
+  'explanation',
+  'variants',
+  'seeds',
+  'error'
+];
+
+// Columns of app analyses run with relevance validation
+const RELEVANCE_COLUMNS = ['relevanceScore', 'relevanceReason'];
+
+/**
+ * Escapes a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = Array.isArray(value) ? value.join('; ') : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escapes a value for a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} Markdown-safe cell
+ */
+function markdownCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = Array.isArray(value) ? value.join(', ') : String(value);
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Renders rows as CSV
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Object>} rows - Rows keyed by column
+ * @returns {string} CSV text
+ */
+function toCsv(columns, rows) {
+  return [columns.join(','), ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))].join('\n') + '\n';
+}
+
+/**
+ * Renders rows as a Markdown table
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Object>} rows - Rows keyed by column
+ * @returns {string} Markdown table
+ */
+function toMarkdownTable(columns, rows) {
+  return [
+    `| ${columns.join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${columns.map(column => markdownCell(row[column])).join(' | ')} |`)
+  ].join('\n') + '\n';
+}
+
+/**
+ * Picks the keyword fields that go into every output format
+ * @param {Object} result - Analysis result
+ * @returns {Object} Keyword row
+ */
+function toKeywordRow(result) {
+  const row = {};
+  KEYWORD_COLUMNS.forEach(column => { row[column] = result[column]; });
+  return row;
+}
+
+/**
+ * Formats searchKeywords results
+ * @param {Array<Object>} results - Analysis results
+ * @param {string} format - 'json', 'csv' or 'markdown'
+ * @returns {string} Formatted output
+ */
+function formatSearchResults(results, format) {
+  const rows = results.map(toKeywordRow);
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(rows, null, 2) + '\n';
+    case 'csv':
+      return toCsv(KEYWORD_COLUMNS, rows);
+    case 'markdown':
+      return `# Keyword Analysis\n\n${toMarkdownTable(KEYWORD_COLUMNS, rows)}`;
+    default:
+      throw new Error(`Unknown output format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Flattens an app analysis into one row per generated keyword
+ * Each row says which app (or, for store suggestions, which seed keyword) the keyword came from, whether it
+ * was generated from the store listing, mined from reviews or suggested by the store, and carries its
+ * cluster's scores if it was analyzed and its relevance if it was validated
+ * @param {Object} analysis - analyzeApp result
+ * @returns {Array<Object>} Keyword rows with source, origin and scoredAs columns
+ */
+function toAppKeywordRows(analysis) {
+  // Variants aren't looked up themselves: they share the score of the keyword that represents
+  // their cluster, and their rows name that keyword in scoredAs
+  const scores = new Map();
+  analysis.keywordAnalysis.forEach(result => {
+    [result.keyword, ...(result.variants || [])].forEach(keyword => scores.set(normalizeKeyword(keyword), result));
+  });
+  // Dropped keywords have no scores, only the relevance that got them dropped
+  const relevance = new Map();
+  (analysis.validations || []).forEach(validation => {
+    [validation.keyword, ...(validation.variants || [])].forEach(keyword => relevance.set(normalizeKeyword(keyword), validation));
+  });
+
+  const sources = [
+    { source: analysis.appData.title, sourceType: 'main', origin: 'metadata', keywords: analysis.mainAppKeywords },
+    ...analysis.keywordsBySimilarApp.map(app => ({ source: app.title, sourceType: 'similar', origin: 'metadata', keywords: app.keywords })),
+    ...(analysis.reviewInsights || []).map(insights => ({
+      source: insights.title,
+      sourceType: insights.isMainApp ? 'main' : 'similar',
+      origin: 'reviews',
+      keywords: insights.keywords
+    })),
+    ...(analysis.expansions || []).map(expansion => ({
+      source: expansion.seed,
+      sourceType: 'suggestion',
+      origin: 'suggestions',
+      keywords: [expansion.keyword]
+    }))
+  ];
+
+  const rows = [];
+  sources.forEach(({ source, sourceType, origin, keywords }) => {
+    keywords.forEach(keyword => {
+      const validation = relevance.get(normalizeKeyword(keyword));
+      const scored = scores.get(normalizeKeyword(keyword));
+      rows.push({
+        ...toKeywordRow({ ...scored, keyword }),
+        scoredAs: scored && normalizeKeyword(scored.keyword) !== normalizeKeyword(keyword) ? scored.keyword : undefined,
+        source,
+        sourceType,
+        origin,
+        ...(validation ? { relevanceScore: validation.relevanceScore, relevanceReason: validation.reason } : {})
+      });
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Formats analyzeApp results
+ * @param {Object} analysis - analyzeApp result
+ * @param {string} format - 'json', 'csv' or 'markdown'
+ * @returns {string} Formatted output
+ */
+function formatAppAnalysis(analysis, format) {
+  const reviewInsights = analysis.reviewInsights || [];
+  const expansions = analysis.expansions || [];
+  const validations = analysis.validations || [];
+  const keywordColumns = validations.length > 0 ? [...KEYWORD_COLUMNS, ...RELEVANCE_COLUMNS] : KEYWORD_COLUMNS;
+  const columns = ['sourceType', 'source', 'origin', 'keyword', 'scoredAs', ...keywordColumns.slice(1)];
+  const rows = toAppKeywordRows(analysis);
+  const irrelevant = validations.filter(validation => !validation.relevant);
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify({
+        app: analysis.appData,
+        similarApps: analysis.similarApps.map(app => ({ id: app.id, title: app.title, genres: app.genres })),
+        mainAppKeywords: analysis.mainAppKeywords,
+        similarAppKeywords: analysis.keywordsBySimilarApp,
+        allKeywords: analysis.allKeywords,
+        reviewInsights,
+        expansions,
+        validations,
+        keywordAnalysis: analysis.keywordAnalysis.map(result => ({
+          ...toKeywordRow(result),
+          relevanceScore: result.relevanceScore,
+          relevanceReason: result.relevanceReason,
+          sources: result.sources,
+          origins: result.origins,
+          fromMainApp: result.fromMainApp
+        }))
+      }, null, 2) + '\n';
+    case 'csv':
+      return toCsv(columns, rows);
+    case 'markdown': {
+      const sections = [
+        `# ASO Analysis: ${analysis.appData.title}\n`,
+        `## Main App Keywords\n\n${analysis.mainAppKeywords.map(keyword => `- ${keyword}`).join('\n')}\n`,
+        ...analysis.keywordsBySimilarApp.map(app => `## Similar App: ${app.title}\n\n${app.keywords.map(keyword => `- ${keyword}`).join('\n')}\n`),
+        ...reviewInsights.map(insights => [
+          `## Reviews: ${insights.title} (${insights.reviewCount})\n`,
+          `### Keywords\n\n${insights.keywords.map(keyword => `- ${keyword}`).join('\n')}\n`,
+          insights.featureRequests.length > 0 ? `### Feature Requests\n\n${insights.featureRequests.map(request => `- ${request}`).join('\n')}\n` : null,
+          insights.painPoints.length > 0 ? `### Pain Points\n\n${insights.painPoints.map(painPoint => `- ${painPoint}`).join('\n')}\n` : null
+        ].filter(Boolean).join('\n')),
+        ...(expansions.length > 0
+          ? [`## Store Suggestions\n\n${expansions.map(expansion => `- ${expansion.keyword} (suggested for "${expansion.seed}")`).join('\n')}\n`]
+          : []),
+        ...(irrelevant.length > 0
+          ? [`## Low Relevance\n\n${irrelevant.map(validation => `- ${validation.keyword} (${validation.dropped ? 'dropped' : 'flagged'}): ${validation.reason}`).join('\n')}\n`]
+          : []),
+        `## Keyword Analysis\n\n${toMarkdownTable(keywordColumns, analysis.keywordAnalysis.map(result => ({ ...toKeywordRow(result), relevanceScore: result.relevanceScore, relevanceReason: result.relevanceReason })))}`
+      ];
+      return sections.join('\n');
+    }
+    default:
+      throw new Error(`Unknown output format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Formats a batch run's portfolio summary
+ * @param {Object} summary - summarizePortfolio result
+ * @param {string} format - 'json', 'csv' or 'markdown'
+ * @returns {string} Formatted output
+ */
+function formatPortfolioSummary(summary, format) {
+  const columns = ['appId', 'platform', 'country', 'title', 'status', 'keywordsScored', 'topKeywords', 'error'];
+  const rows = summary.apps.map(app => ({ ...app, topKeywords: (app.topKeywords || []).map(top => top.keyword) }));
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(summary, null, 2) + '\n';
+    case 'csv':
+      return toCsv(columns, rows);
+    case 'markdown': {
+      const { totals } = summary;
+      return [
+        '# Portfolio Summary\n',
+        `${totals.completed} of ${totals.apps} apps analyzed, ${totals.failed} failed, ${totals.keywordsScored} keywords scored.\n`,
+        `## Apps\n\n${toMarkdownTable(columns, rows)}`,
+        `## Top Keywords\n\n${toMarkdownTable(['keyword', 'opportunityScore', 'apps'], summary.topKeywords)}`
+      ].join('\n');
+    }
+    default:
+      throw new Error(`Unknown output format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Formats localizeAppKeywords results as one keyword table per locale, ready to hand to translators
+ * CSV has a single table with the locale in every row
+ * @param {Object} localization - localizeAppKeywords result
+ * @param {string} format - 'json', 'csv' or 'markdown'
+ * @returns {string} Formatted output
+ */
+function formatLocalizedKeywords(localization, format) {
+  const listing = locale => (locale.localized ? 'localized' : 'source');
+  const rows = localization.locales.flatMap(locale => locale.keywords.map(result => ({
+    locale: locale.locale,
+    country: locale.country,
+    lang: locale.lang,
+    listing: listing(locale),
+    ...toKeywordRow(result)
+  })));
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify({
+        app: { id: localization.appData.id, title: localization.appData.title },
+        sourceKeywords: localization.sourceKeywords,
+        locales: localization.locales.map(locale => ({ ...locale, keywords: locale.keywords.map(toKeywordRow) }))
+      }, null, 2) + '\n';
+    case 'csv':
+      return toCsv(['locale', 'country', 'lang', 'listing', ...KEYWORD_COLUMNS], rows);
+    case 'markdown':
+      return [
+        `# Localized Keywords: ${localization.appData.title}\n`,
+        ...localization.locales.map(locale =>
+          `## ${locale.locale} (${locale.country.toUpperCase()} storefront, ${listing(locale)} listing)\n\n${toMarkdownTable(KEYWORD_COLUMNS, locale.keywords.map(toKeywordRow))}`)
+      ].join('\n');
+    default:
+      throw new Error(`Unknown output format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Guesses the output format from a file extension
+ * @param {string} filePath - Output file path
+ * @returns {string} 'csv', 'markdown' or 'json'
+ */
+function formatFromPath(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.csv') return 'csv';
+  if (extension === '.md' || extension === '.markdown') return 'markdown';
+  return 'json';
+}
+
+/**
+ * Writes formatted output to a file, or to stdout when no file is given
+ * @param {string} content - Formatted output
+ * @param {string} outputPath - Output file path (optional)
+ */
+function writeOutput(content, outputPath) {
+  if (outputPath) {
+    fs.mkdirSync(path.dirname(path.resolve(outputPath)), { recursive: true });
+    fs.writeFileSync(outputPath, content);
+    console.error(`💾 Wrote results to ${outputPath}`);
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  formatSearchResults,
+  formatAppAnalysis,
+  formatPortfolioSummary,
+  formatLocalizedKeywords,
+  formatFromPath,
+  writeOutput
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { getStore, PLATFORM_NAMES } = require('./stores');
+const { summarizeRecommendations } = require('./aso-analyzer');
+const { ValidationError } = require('./validation-error');
+
+// Best keywords listed per app and across the whole portfolio
+const TOP_KEYWORDS_PER_APP = 5;
+const TOP_PORTFOLIO_KEYWORDS = 20;
+
+/**
+ * Reads the apps of a batch run from a JSON file
+ * Each entry is an app ID, or { appId, platform?, country?, lang?, competitors? } to override the
+ * run's storefront or analyze fixed competitors instead of the store's similar apps
+ * @param {string} filePath - Path of the batch file
+ * @param {Object} defaults - Storefront used when an entry doesn't set one ({ platform, country, lang })
+ * @returns {Array<Object>} Entries as { appId, platform, country, lang, competitors }
+ */
+function readPortfolio(filePath, defaults = {}) {
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ValidationError(`Can't read batch file ${filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new ValidationError(`Batch file ${filePath} must contain a non-empty JSON array of apps`);
+  }
+
+  return entries.map((raw, i) => {
+    const entry = typeof raw === 'object' && raw !== null ? raw : { appId: raw };
+    const platform = (entry.platform || defaults.platform).toLowerCase();
+    const country = (entry.country || defaults.country).toLowerCase();
+    const lang = (entry.lang || defaults.lang).toLowerCase();
+
+    if (!PLATFORM_NAMES.includes(platform)) {
+      throw new ValidationError(`App ${i + 1} in ${filePath}: platform must be one of: ${PLATFORM_NAMES.join(', ')}`);
+    }
+    if (!/^[a-z]{2}$/.test(country)) {
+      throw new ValidationError(`App ${i + 1} in ${filePath}: country must be a two-letter code`);
+    }
+    if (entry.competitors !== undefined && !Array.isArray(entry.competitors)) {
+      throw new ValidationError(`App ${i + 1} in ${filePath}: competitors must be an array of app IDs`);
+    }
+
+    // Invalid IDs fail here, before any app of the batch is analyzed
+    const { parseAppId } = getStore(platform).scraper;
+    try {
+      return {
+        appId: parseAppId(entry.appId),
+        platform,
+        country,
+        lang,
+        competitors: entry.competitors ? entry.competitors.map(parseAppId) : null
+      };
+    } catch (error) {
+      throw new ValidationError(`App ${i + 1} in ${filePath}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Builds the checkpoint key of a batch entry
+ * The key ends in a hash of every input the stages depend on, so a run with other competitors,
+ * LLM, stage or scoring options starts fresh checkpoints instead of resuming stale ones
+ * @param {Object} entry - readPortfolio entry
+ * @param {Object} options - Run options, as for analyzeApp
+ * @returns {string} Key, e.g. "itunes-us-en-310633997-1f3a9c02"
+ */
+function getPortfolioKey(entry, options = {}) {
+  const { provider, model, baseUrl, temperature, maxTokens } = options.llm || {};
+  const inputs = {
+    competitors: entry.competitors,
+    similarApps: options.similarApps,
+    llm: { provider, model, baseUrl, temperature, maxTokens },
+    screenshotLimits: options.screenshotLimits,
+    reviews: options.reviews,
+    expand: options.expand,
+    validate: options.validate,
+    limit: options.limit,
+    sample: options.sample,
+    scoring: options.scoring
+  };
+  const hash = crypto.createHash('sha1').update(JSON.stringify(inputs)).digest('hex').slice(0, 8);
+  return `${entry.platform}-${entry.country}-${entry.lang}-${entry.appId}-${hash}`;
+}
+
+/**
+ * Combines the results of a batch run into one summary
+ * @param {Array<Object>} runs - { entry, analysis } for finished apps, { entry, error } for failed ones
+ * @param {ScoringModel} scoring - Model whose recommendations are counted (optional)
+ * @returns {Object} { generatedAt, totals, apps, topKeywords }
+ */
+function summarizePortfolio(runs, scoring) {
+  const apps = runs.map(({ entry, analysis, error }) => {
+    const base = { appId: entry.appId, platform: entry.platform, country: entry.country, lang: entry.lang };
+    if (error) {
+      return { ...base, title: null, status: 'failed', error };
+    }
+
+    return {
+      ...base,
+      title: analysis.appData.title,
+      status: 'completed',
+      competitors: analysis.similarApps.map(app => app.title),
+      keywordsScored: analysis.keywordAnalysis.length,
+      recommendations: summarizeRecommendations(analysis.keywordAnalysis, scoring),
+      topKeywords: analysis.keywordAnalysis.slice(0, TOP_KEYWORDS_PER_APP).map(result => ({
+        keyword: result.keyword,
+        opportunityScore: result.opportunityScore,
+        recommendation: result.recommendation
+      }))
+    };
+  });
+
+  // The best keywords across every app, each credited to the apps that scored it
+  const byKeyword = new Map();
+  runs.filter(run => run.analysis).forEach(({ analysis }) => {
+    analysis.keywordAnalysis.filter(result => result.recommendation !== 'analysis_failed').forEach(result => {
+      const key = result.keyword.toLowerCase();
+      if (!byKeyword.has(key)) {
+        byKeyword.set(key, { keyword: result.keyword, opportunityScore: result.opportunityScore, apps: [] });
+      }
+      const entry = byKeyword.get(key);
+      entry.opportunityScore = Math.max(entry.opportunityScore, result.opportunityScore);
+      entry.apps.push(analysis.appData.title);
+    });
+  });
+  const topKeywords = [...byKeyword.values()]
+    .sort((a, b) => b.opportunityScore - a.opportunityScore || b.apps.length - a.apps.length)
+    .slice(0, TOP_PORTFOLIO_KEYWORDS);
+
+  const completed = apps.filter(app => app.status === 'completed');
+  return {
+    generatedAt: new Date().toISOString(),
+    totals: {
+      apps: apps.length,
+      completed: completed.length,
+      failed: apps.length - completed.length,
+      keywordsScored: completed.reduce((sum, app) => sum + app.keywordsScored, 0),
+      recommendations: summarizeRecommendations(runs.filter(run => run.analysis).flatMap(run => run.analysis.keywordAnalysis), scoring)
+    },
+    apps,
+    topKeywords
+  };
+}
+
+module.exports = {
+  readPortfolio,
+  getPortfolioKey,
+  summarizePortfolio
+};
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const { getStore, DEFAULT_PLATFORM } = require('./stores');
+
+const DEFAULT_SNAPSHOT_PATH = path.join(__dirname, '..', 'data', 'rank-snapshots.json');
+const DEFAULT_DEPTH = 100;
+
+/**
+ * Tracks where an app ranks in App Store or Google Play search results for a list of keywords
+ * Each run is saved as a snapshot so rank movement can be shown between runs
+ */
+class RankTracker {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {string} options.filePath - Path of the JSON snapshot file
+   * @param {number} options.depth - Number of search results to look through (default: 100)
+   */
+  constructor({ filePath = DEFAULT_SNAPSHOT_PATH, depth = DEFAULT_DEPTH } = {}) {
+    this.filePath = filePath;
+    this.depth = depth;
+    this.snapshots = null;
+  }
+
+  /**
+   * Loads the snapshot file on first use
+   * @returns {Array<Object>} Saved snapshots, oldest first
+   */
+  load() {
+    if (this.snapshots) return this.snapshots;
+
+    try {
+      this.snapshots = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).snapshots || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Ignoring unreadable rank snapshots ${this.filePath}: ${error.message}`);
+      }
+      this.snapshots = [];
+    }
+
+    return this.snapshots;
+  }
+
+  /**
+   * Writes the snapshot file
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ snapshots: this.load() }, null, 2));
+  }
+
+  /**
+   * Finds the app's 1-based position in the search results for a keyword
+   * @param {string|number} appId - App Store track ID or Google Play package name
+   * @param {string} keyword - Search term
+   * @param {Object} storefront - Storefront options ({ platform, country, lang })
+   * @returns {Promise<number|null>} Rank, or null when not in the top results
+   */
+  async getRank(appId, keyword, storefront = {}) {
+    const { searchAppIds } = getStore(storefront.platform).scraper;
+    const ids = await searchAppIds(keyword, { ...storefront, num: this.depth });
+    const index = ids.indexOf(String(appId));
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Gets the most recent saved rank for a keyword
+   * @param {string|number} appId - App Store track ID or Google Play package name
+   * @param {string} keyword - Search term
+   * @param {string} country - Two-letter country code
+   * @param {string} platform - 'itunes' or 'gplay' (default: 'itunes')
+   * @returns {Object|null} { rank, timestamp } from the latest snapshot containing the keyword
+   */
+  getPreviousRank(appId, keyword, country, platform = DEFAULT_PLATFORM) {
+    const normalized = keyword.trim().toLowerCase();
+    const snapshots = this.load();
+
+    for (let i = snapshots.length - 1; i >= 0; i--) {
+      const snapshot = snapshots[i];
+      if (snapshot.appId !== String(appId) || snapshot.platform !== platform || snapshot.country !== country) continue;
+
+      const entry = snapshot.ranks.find(r => r.keyword.trim().toLowerCase() === normalized);
+      if (entry) {
+        return { rank: entry.rank, timestamp: snapshot.timestamp };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Looks up the app's rank for every keyword and saves a snapshot
+   * @param {string|number} appId - App Store track ID or Google Play package name
+   * @param {Array<string>} keywords - Keywords to check
+   * @param {Object} storefront - Storefront options ({ platform, country, lang })
+   * @returns {Promise<Array<Object>>} Rank results with previous rank and movement
+   */
+  async trackKeywords(appId, keywords, storefront = {}) {
+    const platform = storefront.platform || DEFAULT_PLATFORM;
+    const country = storefront.country || 'us';
+    const results = [];
+
+    for (const keyword of keywords) {
+      const previous = this.getPreviousRank(appId, keyword, country, platform);
+
+      try {
+        const rank = await this.getRank(appId, keyword, storefront);
+        results.push({
+          keyword,
+          rank,
+          previousRank: previous ? previous.rank : undefined,
+          change: this.getRankChange(previous, rank)
+        });
+      } catch (error) {
+        console.warn(`⚠️ Failed to check rank for "${keyword}": ${error.message}`);
+        results.push({ keyword, rank: null, error: error.message });
+      }
+    }
+
+    // Failed lookups are not saved so they don't show up as drops next run
+    this.load().push({
+      timestamp: new Date().toISOString(),
+      appId: String(appId),
+      platform,
+      country,
+      depth: this.depth,
+      ranks: results.filter(r => !r.error).map(r => ({ keyword: r.keyword, rank: r.rank }))
+    });
+    this.save();
+
+    return results;
+  }
+
+  /**
+   * Describes rank movement since the previous snapshot
+   * @param {Object|null} previous - Previous rank entry
+   * @param {number|null} rank - Current rank
+   * @returns {string|number|null} Positions gained (positive) or lost, 'new', 'dropped', or null when unknown
+   */
+  getRankChange(previous, rank) {
+    if (!previous) return null;
+    if (previous.rank === null && rank === null) return 0;
+    if (previous.rank === null) return 'new';
+    if (rank === null) return 'dropped';
+    return previous.rank - rank;
+  }
+}
+
+module.exports = {
+  RankTracker,
+  DEFAULT_DEPTH
+};
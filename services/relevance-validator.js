@@ -0,0 +1,123 @@
+const { getStore, DEFAULT_PLATFORM } = require('./stores');
+
+const RELEVANCE_ACTIONS = ['flag', 'drop'];
+
+const DEFAULT_RELEVANCE_OPTIONS = {
+  depth: 20,
+  action: 'flag'
+};
+
+// Google Play search results carry no genres, so only our own and similar apps score there and
+// one similar app among the results is enough
+const DEFAULT_RELEVANCE_THRESHOLDS = {
+  itunes: 30,
+  gplay: 25
+};
+
+// Points per app of ours found in the results; the share of results in our genre adds up to 100 more
+const OWN_APP_POINTS = 50;
+const SIMILAR_APP_POINTS = 25;
+
+/**
+ * Scores how relevant a keyword's search results are to an app, 0-100
+ * @param {Object} signals - { ownRank, similarApps, genreMatches, resultCount }
+ * @returns {number} Relevance score
+ */
+function getRelevanceScore({ ownRank, similarApps, genreMatches, resultCount }) {
+  if (resultCount === 0) return 0;
+
+  const genreShare = genreMatches === null ? 0 : genreMatches / resultCount;
+  const points = (ownRank !== null ? OWN_APP_POINTS : 0) + similarApps.length * SIMILAR_APP_POINTS + genreShare * 100;
+  return Math.min(100, Math.round(points));
+}
+
+/**
+ * Gets the lowest relevance score counted as relevant when none is given
+ * @param {string} platform - 'itunes' or 'gplay' (default: 'itunes')
+ * @returns {number} Default threshold for the platform
+ */
+function getDefaultRelevanceThreshold(platform = DEFAULT_PLATFORM) {
+  return DEFAULT_RELEVANCE_THRESHOLDS[platform];
+}
+
+/**
+ * Explains a relevance score from the signals behind it
+ * @param {Object} validation - { relevanceScore, relevant, ownRank, similarApps, genreMatches, resultCount, genre }
+ * @param {number} threshold - Lowest score counted as relevant
+ * @returns {string} e.g. "relevance 12 < 30: no app of ours in top 20, 2/20 results in Photo & Video"
+ */
+function explainRelevance({ relevanceScore, relevant, ownRank, similarApps, genreMatches, resultCount, genre }, threshold) {
+  const comparison = `relevance ${relevanceScore} ${relevant ? '≥' : '<'} ${threshold}`;
+  if (resultCount === 0) {
+    return `${comparison}: no search results`;
+  }
+
+  const signals = [];
+  if (ownRank !== null) signals.push(`our app #${ownRank}`);
+  if (similarApps.length > 0) signals.push(`similar apps ${similarApps.join(', ')}`);
+  if (ownRank === null && similarApps.length === 0) signals.push(`no app of ours in top ${resultCount}`);
+  signals.push(genreMatches === null ? 'result genres unknown' : `${genreMatches}/${resultCount} results in ${genre}`);
+  return `${comparison}: ${signals.join(', ')}`;
+}
+
+/**
+ * Checks that keywords have real search presence for an app before they're scored
+ * Searches the store for each keyword and looks for the app, its similar apps and apps of its
+ * primary genre among the top results
+ * @param {Array<string>} keywords - Keywords to check
+ * @param {Object} appData - Main app data ({ id, primaryGenre, genres })
+ * @param {Array<Object>} similarApps - Similar apps data ({ id, title })
+ * @param {Object} options - Validation options
+ * @param {string} options.platform - 'itunes' or 'gplay' (default: 'itunes')
+ * @param {string} options.country - Two-letter country code (default: 'us')
+ * @param {string} options.lang - Language code (default: 'en')
+ * @param {number} options.threshold - Lowest relevance score counted as relevant (default: 30 on the App Store, 25 on Google Play)
+ * @param {number} options.depth - Search results checked per keyword (default: 20)
+ * @returns {Promise<Array<Object>>} Per keyword, in input order: { keyword, relevanceScore, relevant, reason, ownRank, similarApps, genreMatches, resultCount }
+ */
+async function validateKeywords(keywords, appData, similarApps, { platform, country = 'us', lang = 'en', threshold = getDefaultRelevanceThreshold(platform), depth = DEFAULT_RELEVANCE_OPTIONS.depth } = {}) {
+  const { searchApps } = getStore(platform).scraper;
+  const genre = appData.primaryGenre || (appData.genres || [])[0] || null;
+  console.log(`🔬 Checking search presence of ${keywords.length} keywords (top ${depth} results)...`);
+
+  // The scheduler rate-limits the searches; a failed search leaves its keyword unchecked rather than irrelevant
+  return Promise.all(keywords.map(async keyword => {
+    let results;
+    try {
+      results = await searchApps(keyword, { country, lang, num: depth });
+    } catch (error) {
+      console.warn(`⚠️ ${error.message}`);
+      return { keyword, relevanceScore: null, relevant: true, reason: `unchecked: ${error.message}`, ownRank: null, similarApps: [], genreMatches: null, resultCount: 0 };
+    }
+
+    const ids = results.map(result => String(result.id));
+    const ownIndex = ids.indexOf(String(appData.id));
+    const signals = {
+      ownRank: ownIndex === -1 ? null : ownIndex + 1,
+      similarApps: similarApps.filter(app => ids.includes(String(app.id))).map(app => app.title),
+      // Without genres in the results (Google Play) only our own apps count
+      genreMatches: genre && results.some(result => result.genres.length > 0)
+        ? results.filter(result => result.genres.includes(genre)).length
+        : null,
+      resultCount: results.length
+    };
+    const relevanceScore = getRelevanceScore(signals);
+    const relevant = relevanceScore >= threshold;
+
+    return {
+      keyword,
+      relevanceScore,
+      relevant,
+      reason: explainRelevance({ ...signals, relevanceScore, relevant, genre }, threshold),
+      ...signals
+    };
+  }));
+}
+
+module.exports = {
+  validateKeywords,
+  getRelevanceScore,
+  getDefaultRelevanceThreshold,
+  RELEVANCE_ACTIONS,
+  DEFAULT_RELEVANCE_OPTIONS
+};
@@ -0,0 +1,309 @@
+/**
+ * Shared request scheduler for every outbound call
+ * Each service (scraper, aso, screenshots, llm) gets its own concurrency and rate limit, and
+ * failed calls are retried with exponential backoff and jitter when the failure is transient
+ * (429, 5xx, network errors and timeouts)
+ */
+
+const SERVICE_NAMES = ['scraper', 'aso', 'screenshots', 'llm'];
+
+/**
+ * Reads a requests-per-second limit from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default limit
+ * @returns {number} Requests per second (0 means unlimited)
+ */
+function envRate(name, fallback) {
+  return process.env[name] !== undefined ? parseFloat(process.env[name]) : fallback;
+}
+
+const DEFAULT_SCHEDULER_CONFIG = {
+  maxRetries: process.env.MAX_RETRIES !== undefined ? parseInt(process.env.MAX_RETRIES, 10) : 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  services: {
+    scraper: { concurrency: 2, requestsPerSecond: envRate('RATE_LIMIT_SCRAPER', 2) },
+    aso: { concurrency: 3, requestsPerSecond: envRate('RATE_LIMIT_ASO', 2) },
+    screenshots: { concurrency: 4, requestsPerSecond: envRate('RATE_LIMIT_SCREENSHOTS', 10) },
+    llm: { concurrency: 2, requestsPerSecond: envRate('RATE_LIMIT_LLM', 1) }
+  }
+};
+
+// Error codes of connection failures worth retrying
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN',
+  'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_SOCKET'
+]);
+
+/**
+ * Error for a failed HTTP request, carrying the status so the scheduler can decide whether to retry
+ */
+class RequestError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @param {number} retryAfterMs - Wait requested by the server's Retry-After header (optional)
+   */
+  constructor(message, status, retryAfterMs) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /**
+   * Builds an error from a failed fetch response
+   * @param {Response} response - Fetch response that is not ok
+   * @param {string} message - Error message
+   * @returns {RequestError} Error with status and Retry-After
+   */
+  static fromResponse(response, message) {
+    const retryAfter = parseFloat(response.headers.get('retry-after'));
+    return new RequestError(message, response.status, isNaN(retryAfter) ? undefined : retryAfter * 1000);
+  }
+}
+
+/**
+ * Gets the HTTP status of a failed request, whatever library produced the error
+ * @param {*} error - Rejection value
+ * @returns {number|undefined} Status code
+ */
+function getStatus(error) {
+  if (!error) return undefined;
+  return error.status || error.statusCode || error.response?.statusCode || error.response?.status;
+}
+
+/**
+ * Checks whether a failure is transient and worth retrying
+ * @param {*} error - Rejection value
+ * @returns {boolean} True for 429, 5xx, network errors and timeouts
+ */
+function isRetryable(error) {
+  const status = getStatus(error);
+  if (status) return status === 429 || status >= 500;
+
+  const code = error?.code || error?.cause?.code;
+  return NETWORK_ERROR_CODES.has(code) ||
+    ['AbortError', 'TimeoutError', 'APIConnectionError', 'APIConnectionTimeoutError'].includes(error?.name) ||
+    (error instanceof TypeError && error.message === 'fetch failed');
+}
+
+/**
+ * Turns non-Error rejections (app-store-scraper rejects with { response }) into Errors
+ * @param {*} error - Rejection value
+ * @returns {Error} Error with a readable message
+ */
+function toError(error) {
+  if (error instanceof Error) return error;
+  const status = getStatus(error);
+  return new RequestError(status ? `Request failed with status ${status}` : String(error), status);
+}
+
+/**
+ * Rate-limited, retrying runner for outbound calls
+ */
+class RequestScheduler {
+  /**
+   * @param {Object} config - Scheduler config, merged over DEFAULT_SCHEDULER_CONFIG
+   * @param {number} config.maxRetries - Retries per call after the first attempt (default: 3)
+   * @param {number} config.baseDelayMs - Backoff before the first retry, doubled every attempt (default: 1000)
+   * @param {number} config.maxDelayMs - Longest backoff (default: 30000)
+   * @param {Object} config.services - Per-service { concurrency, requestsPerSecond } (0 means unlimited)
+   */
+  constructor(config = {}) {
+    this.states = new Map();
+    this.fixtures = null;
+    this.configure(config);
+    this.resetStats();
+  }
+
+  /**
+   * Updates the config; unset values keep their current setting
+   * @param {Object} config - Partial scheduler config
+   */
+  configure(config = {}) {
+    const current = this.config || DEFAULT_SCHEDULER_CONFIG;
+    const services = {};
+    SERVICE_NAMES.forEach(name => {
+      services[name] = { ...current.services[name], ...(config.services && config.services[name]) };
+    });
+
+    this.config = {
+      maxRetries: config.maxRetries !== undefined ? config.maxRetries : current.maxRetries,
+      baseDelayMs: config.baseDelayMs !== undefined ? config.baseDelayMs : current.baseDelayMs,
+      maxDelayMs: config.maxDelayMs !== undefined ? config.maxDelayMs : current.maxDelayMs,
+      services
+    };
+  }
+
+  /**
+   * Records calls to, or replays them from, a fixture store
+   * @param {FixtureStore|null} fixtures - Fixture store, or null to go back to live calls
+   */
+  useFixtures(fixtures) {
+    this.fixtures = fixtures;
+  }
+
+  /**
+   * Clears the request, retry and failure counters
+   */
+  resetStats() {
+    this.stats = {};
+    SERVICE_NAMES.forEach(name => {
+      this.stats[name] = { requests: 0, retries: 0, failures: 0 };
+    });
+  }
+
+  /**
+   * Gets the counters per service and in total
+   * @returns {Object} { requests, retries, failures, services }
+   */
+  getStats() {
+    const services = {};
+    SERVICE_NAMES.forEach(name => { services[name] = { ...this.stats[name] }; });
+    const total = key => SERVICE_NAMES.reduce((sum, name) => sum + services[name][key], 0);
+    return { requests: total('requests'), retries: total('retries'), failures: total('failures'), services };
+  }
+
+  /**
+   * Gets the queue state of a service
+   * @param {string} service - Service name
+   * @returns {Object} { active, waiting, nextStart }
+   */
+  getState(service) {
+    if (!SERVICE_NAMES.includes(service)) {
+      throw new Error(`Unknown service "${service}". Use one of: ${SERVICE_NAMES.join(', ')}`);
+    }
+    if (!this.states.has(service)) {
+      this.states.set(service, { active: 0, waiting: [], nextStart: 0 });
+    }
+    return this.states.get(service);
+  }
+
+  /**
+   * Waits for a free slot and the service's next allowed start time
+   * @param {string} service - Service name
+   */
+  async acquire(service) {
+    const state = this.getState(service);
+    const { concurrency, requestsPerSecond } = this.config.services[service];
+
+    while (state.active >= concurrency) {
+      await new Promise(resolve => state.waiting.push(resolve));
+    }
+    state.active++;
+
+    // Space request starts evenly so the service never sees more than its rate
+    const intervalMs = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    const now = Date.now();
+    const startAt = Math.max(now, state.nextStart);
+    state.nextStart = startAt + intervalMs;
+    if (startAt > now) {
+      await this.delay(startAt - now);
+    }
+  }
+
+  /**
+   * Frees a slot and wakes the next waiting call
+   * @param {string} service - Service name
+   */
+  release(service) {
+    const state = this.getState(service);
+    state.active--;
+    const next = state.waiting.shift();
+    if (next) next();
+  }
+
+  /**
+   * Computes the wait before a retry: exponential backoff with jitter, or the server's Retry-After
+   * @param {number} attempt - Retry number, starting at 1
+   * @param {*} error - Failure that caused the retry
+   * @returns {number} Milliseconds to wait
+   */
+  getBackoff(attempt, error) {
+    if (error && error.retryAfterMs !== undefined) {
+      return Math.min(error.retryAfterMs, this.config.maxDelayMs);
+    }
+    const exponential = Math.min(this.config.baseDelayMs * 2 ** (attempt - 1), this.config.maxDelayMs);
+    // Half fixed, half random, so parallel calls that failed together don't retry together
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  /**
+   * Runs a call under the service's rate limit, retrying transient failures
+   * @param {string} service - 'scraper', 'aso', 'screenshots' or 'llm'
+   * @param {Function} task - Function returning a promise for the call
+   * @param {string} label - Description for retry logs and fixture key, e.g. 'app 310633997 (us/en)'
+   * @returns {Promise<*>} Result of the call
+   */
+  async schedule(service, task, label = service) {
+    this.getState(service);
+    const stats = this.stats[service];
+
+    // Replayed calls never touch the network, so they skip rate limits and retries
+    if (this.fixtures && this.fixtures.mode === 'replay') {
+      stats.requests++;
+      try {
+        return this.fixtures.replay(service, label);
+      } catch (error) {
+        stats.failures++;
+        throw error;
+      }
+    }
+
+    // Calls always fail with an Error, so fixtures and retry logs get a readable message
+    const call = async () => {
+      try {
+        return await task();
+      } catch (rejection) {
+        throw toError(rejection);
+      }
+    };
+    const run = this.fixtures ? () => this.fixtures.record(service, label, call) : call;
+
+    for (let attempt = 1; ; attempt++) {
+      await this.acquire(service);
+      stats.requests++;
+
+      let error;
+      try {
+        return await run();
+      } catch (rejection) {
+        error = rejection;
+      } finally {
+        this.release(service);
+      }
+
+      if (attempt > this.config.maxRetries || !isRetryable(error)) {
+        stats.failures++;
+        throw error;
+      }
+
+      // The slot is free while backing off, so other calls keep going
+      stats.retries++;
+      const waitMs = this.getBackoff(attempt, error);
+      console.warn(`🔁 Retrying ${label} in ${(waitMs / 1000).toFixed(1)}s (${attempt}/${this.config.maxRetries}): ${error.message}`);
+      await this.delay(waitMs);
+    }
+  }
+
+  /**
+   * Utility function to add delay between requests
+   * @param {number} ms - Milliseconds to wait
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// One scheduler per process so every caller shares the same limits
+const scheduler = new RequestScheduler();
+
+module.exports = {
+  RequestScheduler,
+  RequestError,
+  isRetryable,
+  scheduler,
+  DEFAULT_SCHEDULER_CONFIG,
+  SERVICE_NAMES
+};
@@ -0,0 +1,117 @@
+const { REVIEW_FUNCTION } = require('../tools/review-tool');
+const { createProvider } = require('./llm-providers');
+const { getStore } = require('./stores');
+const { LlmUsage } = require('./llm-usage');
+
+const REVIEW_SORTS = ['recent', 'helpful'];
+const DEFAULT_REVIEW_PAGES = 1;
+
+// Longer reviews are cut off in the prompt; the phrases users repeat show up early
+const MAX_REVIEW_LENGTH = 500;
+
+/**
+ * Fetches reviews for an app from its store
+ * @param {Object} appData - App data from the store scraper ({ id, platform })
+ * @param {Object} options - Review options
+ * @param {string} options.country - Two-letter country code (default: 'us')
+ * @param {string} options.lang - Language code (default: 'en')
+ * @param {string} options.sort - 'recent' or 'helpful' (default: 'recent')
+ * @param {number} options.pages - Pages of 50 reviews to fetch (default: 1)
+ * @returns {Promise<Array<Object>>} Reviews as { id, title, text, rating, version, date }
+ */
+async function fetchReviews(appData, { country = 'us', lang = 'en', sort = 'recent', pages = DEFAULT_REVIEW_PAGES } = {}) {
+  if (!REVIEW_SORTS.includes(sort)) {
+    throw new Error(`Unknown review sort "${sort}". Use one of: ${REVIEW_SORTS.join(', ')}`);
+  }
+
+  return getStore(appData.platform).scraper.getReviews(appData.id, { country, lang, sort, pages });
+}
+
+/**
+ * Formats a review as a single prompt line, e.g. "Review: 4/5 Great editor. Love the filters"
+ * @param {Object} review - Review
+ * @returns {string} Prompt line
+ */
+function formatReviewLine(review) {
+  const text = [review.title, review.text]
+    .filter(Boolean)
+    .join('. ')
+    .replace(/\s+/g, ' ')
+    .slice(0, MAX_REVIEW_LENGTH);
+  return `Review: ${review.rating}/5 ${text}`;
+}
+
+/**
+ * Builds the text of the review mining prompt
+ * @param {Object} appData - App data the reviews belong to
+ * @param {Array<Object>} reviews - Reviews from fetchReviews
+ * @param {Object} options - { country, lang }
+ * @returns {string} Prompt text
+ */
+function buildReviewPrompt(appData, reviews, { country, lang }) {
+  const storeName = getStore(appData.platform).name;
+
+  return `These are ${reviews.length} ${storeName} reviews of the app "${appData.title}". Find out how real users talk about the app, in their own words rather than the app's marketing copy.
+
+${reviews.map(formatReviewLine).join('\n')}
+
+List the words and phrases reviewers actually use for the app and its features, the features they ask for, and the problems they complain about. From the reviewers' wording, derive search keywords a user would type to find an app like this, excluding long tail keywords and "* app" search phrases.
+
+The keywords are for the ${country.toUpperCase()} ${storeName} storefront. Write them in the language users there actually search with (language code: ${lang}).
+
+Use the extract_review_insights function to return your response.`;
+}
+
+/**
+ * Estimates the tokens of mining an app's reviews, without calling the LLM
+ * @param {Object} appData - App data the reviews belong to
+ * @param {Array<Object>} reviews - Reviews from fetchReviews
+ * @param {Object} options - Same options as mineReviews
+ * @returns {Object} The estimated call recorded in options.usage
+ */
+function estimateReviewMining(appData, reviews, { country = 'us', lang = 'en', llm = {}, usage = new LlmUsage() } = {}) {
+  const content = [{ type: 'text', text: buildReviewPrompt(appData, reviews, { country, lang }) }];
+  return usage.estimate(createProvider(llm), content, { app: appData.title, purpose: 'reviews' });
+}
+
+/**
+ * Asks the LLM which words users use for an app, and what they ask for and complain about
+ * @param {Object} appData - App data the reviews belong to
+ * @param {Array<Object>} reviews - Reviews from fetchReviews
+ * @param {Object} options - Mining options
+ * @param {string} options.country - Two-letter country code of the target storefront (default: 'us')
+ * @param {string} options.lang - Language code the keywords should be written in (default: 'en')
+ * @param {Object} options.llm - LLM config ({ provider, model, temperature, maxTokens, baseUrl })
+ * @param {LlmUsage} options.usage - Records token usage and enforces the run's budget (optional)
+ * @returns {Promise<Object>} { keywords, phrases, featureRequests, painPoints }
+ */
+async function mineReviews(appData, reviews, { country = 'us', lang = 'en', llm = {}, usage = new LlmUsage() } = {}) {
+  const provider = createProvider(llm);
+  const content = [{ type: "text", text: buildReviewPrompt(appData, reviews, { country, lang }) }];
+
+  const response = await usage.generate(provider, { content, tool: REVIEW_FUNCTION }, {
+    app: appData.title,
+    purpose: 'reviews',
+    label: `review insights for ${appData.title} (${country}/${lang})`
+  });
+
+  const toolUse = response.toolCalls.find(call => call.name === REVIEW_FUNCTION.name);
+  if (!toolUse || !Array.isArray(toolUse.input.keywords)) {
+    throw new Error('No valid function call found in response');
+  }
+
+  return {
+    keywords: toolUse.input.keywords,
+    phrases: toolUse.input.phrases || [],
+    featureRequests: toolUse.input.feature_requests || [],
+    painPoints: toolUse.input.pain_points || []
+  };
+}
+
+module.exports = {
+  fetchReviews,
+  mineReviews,
+  estimateReviewMining,
+  REVIEW_SORTS,
+  DEFAULT_REVIEW_PAGES
+};
@@ -0,0 +1,262 @@
+const fs = require('fs');
+
+/**
+ * Scoring model: how aso-v2 scores become levels, an opportunity score and a recommendation
+ * A config file can override any top-level field; bands and rules replace the defaults as a whole
+ */
+const DEFAULT_SCORING_CONFIG = {
+  // aso-v2 scores are 0-10; results are reported on a 0-100 scale
+  scale: 10,
+  // Highest band first; a score gets the first band whose min it reaches
+  trafficBands: [
+    { level: 'very_high', min: 80 },
+    { level: 'high', min: 60 },
+    { level: 'medium', min: 40 },
+    { level: 'low', min: 20 },
+    { level: 'very_low', min: 0 }
+  ],
+  competitionBands: [
+    { level: 'very_high', min: 80 },
+    { level: 'high', min: 60 },
+    { level: 'medium', min: 40 },
+    { level: 'low', min: 20 },
+    { level: 'very_low', min: 0 }
+  ],
+  // Exponents of traffic and of 100 - difficulty in the opportunity score
+  weights: { traffic: 1, difficulty: 1 },
+  // Checked in order; the first rule whose bounds all hold gives the recommendation
+  rules: [
+    { recommendation: 'excellent', traffic: { min: 60 }, difficulty: { max: 40 } },
+    { recommendation: 'good', traffic: { min: 40 }, difficulty: { max: 50 } },
+    { recommendation: 'challenging', traffic: { min: 60 }, difficulty: { min: 70 } },
+    { recommendation: 'avoid', traffic: { max: 30 }, difficulty: { min: 60 } }
+  ],
+  fallback: 'consider',
+  // Best first; used to rank results
+  recommendationOrder: ['excellent', 'good', 'consider', 'challenging', 'avoid']
+};
+
+// Values a rule can put bounds on
+const RULE_METRICS = ['traffic', 'difficulty', 'opportunity'];
+
+/**
+ * Checks that bands are ordered highest first
+ * @param {Array<Object>} bands - Bands as { level, min }
+ * @param {string} name - Config field, for error messages
+ */
+function validateBands(bands, name) {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    throw new Error(`${name} must be a non-empty array of { level, min }`);
+  }
+  bands.forEach((band, i) => {
+    if (typeof band.level !== 'string' || typeof band.min !== 'number') {
+      throw new Error(`${name}[${i}] must look like { "level": "high", "min": 60 }`);
+    }
+    if (i > 0 && band.min >= bands[i - 1].min) {
+      throw new Error(`${name} must be ordered from the highest min to the lowest`);
+    }
+  });
+}
+
+/**
+ * Checks a recommendation rule
+ * @param {Object} rule - Rule as { recommendation, traffic?, difficulty?, opportunity? }
+ * @param {number} i - Rule index, for error messages
+ */
+function validateRule(rule, i) {
+  if (typeof rule.recommendation !== 'string' || !rule.recommendation) {
+    throw new Error(`rules[${i}] needs a recommendation`);
+  }
+  Object.keys(rule).filter(key => key !== 'recommendation').forEach(key => {
+    const bounds = rule[key];
+    if (!RULE_METRICS.includes(key)) {
+      throw new Error(`rules[${i}] has unknown field "${key}". Bounds can be set on: ${RULE_METRICS.join(', ')}`);
+    }
+    if (!bounds || typeof bounds !== 'object' || Object.keys(bounds).some(bound => !['min', 'max'].includes(bound) || typeof bounds[bound] !== 'number')) {
+      throw new Error(`rules[${i}].${key} must look like { "min": 40, "max": 100 }`);
+    }
+  });
+}
+
+/**
+ * Lists the signals behind an aso-v2 score, e.g. "suggest 4.2, ranked 2.1"
+ * aso-v2 breakdowns hold one { score } object per signal; anything else is left out
+ * @param {Object} breakdown - aso-v2 traffic or difficulty object (optional)
+ * @returns {string} Signals, empty when the breakdown has none
+ */
+function describeSignals(breakdown) {
+  return Object.entries(breakdown || {})
+    .filter(([, value]) => value && typeof value.score === 'number')
+    .map(([name, value]) => `${name} ${value.score}`)
+    .join(', ');
+}
+
+class ScoringModel {
+  /**
+   * @param {Object} config - Overrides of DEFAULT_SCORING_CONFIG
+   */
+  constructor(config = {}) {
+    const merged = {
+      ...DEFAULT_SCORING_CONFIG,
+      ...config,
+      weights: { ...DEFAULT_SCORING_CONFIG.weights, ...config.weights }
+    };
+
+    if (typeof merged.scale !== 'number' || merged.scale <= 0) {
+      throw new Error('scale must be a positive number');
+    }
+    validateBands(merged.trafficBands, 'trafficBands');
+    validateBands(merged.competitionBands, 'competitionBands');
+    ['traffic', 'difficulty'].forEach(name => {
+      if (typeof merged.weights[name] !== 'number' || merged.weights[name] < 0) {
+        throw new Error(`weights.${name} must be a non-negative number`);
+      }
+    });
+    if (!Array.isArray(merged.rules)) {
+      throw new Error('rules must be an array');
+    }
+    merged.rules.forEach(validateRule);
+
+    const recommendations = [...merged.rules.map(rule => rule.recommendation), merged.fallback];
+    const missing = recommendations.filter(name => !merged.recommendationOrder.includes(name));
+    if (missing.length > 0) {
+      throw new Error(`recommendationOrder is missing: ${[...new Set(missing)].join(', ')}`);
+    }
+
+    Object.assign(this, merged);
+  }
+
+  /**
+   * Loads a scoring model from a JSON config file
+   * @param {string} filePath - Path of the config file
+   * @returns {ScoringModel} Model
+   */
+  static load(filePath) {
+    try {
+      return new ScoringModel(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (error) {
+      throw new Error(`Invalid scoring config ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Converts an aso-v2 score to the 0-100 scale
+   * @param {number} score - aso-v2 score
+   * @returns {number} Scaled score
+   */
+  scaleScore(score) {
+    return Math.round(score * this.scale);
+  }
+
+  /**
+   * Gets the traffic level of a score
+   * @param {number} trafficScore - Traffic score (0-100)
+   * @returns {string} Level
+   */
+  getTrafficLevel(trafficScore) {
+    const band = this.trafficBands.find(b => trafficScore >= b.min);
+    return (band || this.trafficBands[this.trafficBands.length - 1]).level;
+  }
+
+  /**
+   * Gets the competition level of a difficulty score
+   * @param {number} difficultyScore - Difficulty score (0-100)
+   * @returns {string} Level
+   */
+  getCompetitionLevel(difficultyScore) {
+    const band = this.competitionBands.find(b => difficultyScore >= b.min);
+    return (band || this.competitionBands[this.competitionBands.length - 1]).level;
+  }
+
+  /**
+   * Scores how worthwhile a keyword is to target: high traffic with low difficulty scores highest
+   * With the default weights this is traffic * (100 - difficulty) / 100
+   * @param {number} trafficScore - Traffic score (0-100)
+   * @param {number} difficultyScore - Difficulty score (0-100)
+   * @returns {number} Opportunity score (0-100)
+   */
+  getOpportunityScore(trafficScore, difficultyScore) {
+    const traffic = Math.min(Math.max(trafficScore, 0), 100) / 100;
+    const ease = Math.min(Math.max(100 - difficultyScore, 0), 100) / 100;
+    return Math.round(100 * Math.pow(traffic, this.weights.traffic) * Math.pow(ease, this.weights.difficulty));
+  }
+
+  /**
+   * Finds the rule that applies to a keyword's scores
+   * @param {Object} scores - { traffic, difficulty, opportunity } (0-100)
+   * @returns {Object} { recommendation, rule } with rule null when the fallback applied
+   */
+  recommend(scores) {
+    const rule = this.rules.find(r => RULE_METRICS.every(metric => {
+      const bounds = r[metric];
+      if (!bounds) return true;
+      return (bounds.min === undefined || scores[metric] >= bounds.min) && (bounds.max === undefined || scores[metric] <= bounds.max);
+    }));
+    return { recommendation: rule ? rule.recommendation : this.fallback, rule: rule || null };
+  }
+
+  /**
+   * Scores an aso-v2 analysis and explains the recommendation
+   * @param {Object} analysis - aso-v2 result with traffic and difficulty objects
+   * @returns {Object} { trafficScore, difficultyScore, opportunityScore, trafficLevel, competitionLevel, recommendation, explanation }
+   */
+  score(analysis) {
+    const trafficScore = this.scaleScore(analysis.traffic?.score || 0);
+    const difficultyScore = this.scaleScore(analysis.difficulty?.score || 0);
+    const opportunityScore = this.getOpportunityScore(trafficScore, difficultyScore);
+    const scores = { traffic: trafficScore, difficulty: difficultyScore, opportunity: opportunityScore };
+    const { recommendation, rule } = this.recommend(scores);
+
+    const because = rule
+      ? RULE_METRICS.filter(metric => rule[metric]).flatMap(metric => [
+        rule[metric].min !== undefined ? `${metric} ${scores[metric]} ≥ ${rule[metric].min}` : null,
+        rule[metric].max !== undefined ? `${metric} ${scores[metric]} ≤ ${rule[metric].max}` : null
+      ]).filter(Boolean).join(', ') || 'rule without bounds'
+      : 'no rule matched';
+
+    const signals = [
+      ['traffic', trafficScore, describeSignals(analysis.traffic)],
+      ['difficulty', difficultyScore, describeSignals(analysis.difficulty)]
+    ].filter(([, , breakdown]) => breakdown).map(([metric, score, breakdown]) => `${metric} ${score} from ${breakdown}`);
+
+    return {
+      trafficScore,
+      difficultyScore,
+      opportunityScore,
+      trafficLevel: this.getTrafficLevel(trafficScore),
+      competitionLevel: this.getCompetitionLevel(difficultyScore),
+      recommendation,
+      explanation: [`${recommendation}: ${because}`, ...signals].join('; ')
+    };
+  }
+
+  /**
+   * Compares two analyses for opportunity ranking, best first:
+   * by recommendation, then traffic, then inverse difficulty
+   * @param {Object} a - Analysis result
+   * @param {Object} b - Analysis result
+   * @returns {number} Sort order
+   */
+  compare(a, b) {
+    const rank = analysis => {
+      const index = this.recommendationOrder.indexOf(analysis.recommendation);
+      return index === -1 ? this.recommendationOrder.length : index;
+    };
+
+    const recDiff = rank(a) - rank(b);
+    if (recDiff !== 0) return recDiff;
+
+    const trafficDiff = b.trafficScore - a.trafficScore;
+    if (trafficDiff !== 0) return trafficDiff;
+
+    return a.difficultyScore - b.difficultyScore;
+  }
+}
+
+const DEFAULT_SCORING_MODEL = new ScoringModel();
+
+module.exports = {
+  ScoringModel,
+  DEFAULT_SCORING_MODEL,
+  DEFAULT_SCORING_CONFIG
+};
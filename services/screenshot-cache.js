@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_SCREENSHOT_DIR = path.join(__dirname, '..', '.cache', 'screenshots');
+
+/**
+ * On-disk cache for screenshots and the text extracted from them
+ * Images are stored one file per URL; extractions (visible text and features per screenshot)
+ * share one JSON file so later keyword generations can send text instead of images.
+ * Store screenshot URLs change when the image does, so entries don't expire
+ */
+class ScreenshotCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.dir - Directory for images and extractions
+   * @param {boolean} options.refresh - Ignore existing entries but still store new ones
+   */
+  constructor({ dir = DEFAULT_SCREENSHOT_DIR, refresh = false } = {}) {
+    this.dir = dir;
+    this.refresh = refresh;
+    this.extractions = null;
+    this.stats = { imageHits: 0, imageMisses: 0, extractionHits: 0, extractionMisses: 0 };
+  }
+
+  /**
+   * Gets the image file path for a URL
+   * @param {string} url - Image URL
+   * @returns {string} File path
+   */
+  imagePath(url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  /**
+   * Returns a cached image
+   * @param {string} url - Image URL
+   * @returns {Object|null} { base64, mediaType }
+   */
+  getImage(url) {
+    if (!this.refresh) {
+      try {
+        const { base64, mediaType } = JSON.parse(fs.readFileSync(this.imagePath(url), 'utf8'));
+        this.stats.imageHits++;
+        return { base64, mediaType };
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`⚠️ Ignoring unreadable cached screenshot ${url}: ${error.message}`);
+        }
+      }
+    }
+
+    this.stats.imageMisses++;
+    return null;
+  }
+
+  /**
+   * Stores an image
+   * @param {string} url - Image URL
+   * @param {Object} image - { base64, mediaType }
+   */
+  setImage(url, { base64, mediaType }) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.imagePath(url), JSON.stringify({ url, mediaType, base64, cachedAt: Date.now() }));
+  }
+
+  /**
+   * Loads the extractions file on first use
+   * @returns {Object} Extractions keyed by screenshot URL
+   */
+  loadExtractions() {
+    if (this.extractions) return this.extractions;
+
+    const filePath = path.join(this.dir, 'extractions.json');
+    try {
+      this.extractions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Ignoring unreadable screenshot extractions ${filePath}: ${error.message}`);
+      }
+      this.extractions = {};
+    }
+
+    return this.extractions;
+  }
+
+  /**
+   * Returns the text and features extracted from a screenshot earlier
+   * @param {string} url - Screenshot URL
+   * @returns {Object|null} { text, features }
+   */
+  getExtraction(url) {
+    const entry = this.loadExtractions()[url];
+
+    if (this.refresh || !entry) {
+      this.stats.extractionMisses++;
+      return null;
+    }
+
+    this.stats.extractionHits++;
+    return { text: entry.text, features: entry.features };
+  }
+
+  /**
+   * Stores the text and features extracted from a screenshot and writes the extractions file
+   * @param {string} url - Screenshot URL
+   * @param {Object} extraction - { text, features }
+   */
+  setExtraction(url, { text = [], features = [] }) {
+    this.loadExtractions()[url] = { extractedAt: Date.now(), text, features };
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, 'extractions.json'), JSON.stringify(this.extractions, null, 2));
+  }
+
+  /**
+   * Creates a view that shares this cache's images and extractions but counts its own hits and misses
+   * @returns {ScreenshotCache} Cache view
+   */
+  withOwnStats() {
+    // Load first so the view reads and writes the shared extractions instead of loading its own
+    this.loadExtractions();
+    const view = Object.create(this);
+    view.stats = { imageHits: 0, imageMisses: 0, extractionHits: 0, extractionMisses: 0 };
+    return view;
+  }
+
+  /**
+   * Gets image and extraction hit/miss counts since the cache was created
+   * @returns {Object} { imageHits, imageMisses, extractionHits, extractionMisses }
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = {
+  ScreenshotCache
+};
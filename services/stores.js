@@ -0,0 +1,32 @@
+const appStoreScraper = require('./app-store-scraper');
+const googlePlayScraper = require('./google-play-scraper');
+
+/**
+ * Stores the tool can analyze, keyed by aso-v2 platform name
+ * Every scraper exposes parseAppId, getAppData, getSimilarApps, searchAppIds and searchApps with the same signatures
+ */
+const STORES = {
+  itunes: { name: 'App Store', scraper: appStoreScraper },
+  gplay: { name: 'Google Play', scraper: googlePlayScraper }
+};
+
+const DEFAULT_PLATFORM = 'itunes';
+
+/**
+ * Gets the store for a platform
+ * @param {string} platform - 'itunes' or 'gplay' (default: 'itunes')
+ * @returns {Object} { name, scraper }
+ */
+function getStore(platform = DEFAULT_PLATFORM) {
+  const store = STORES[platform];
+  if (!store) {
+    throw new Error(`Unknown platform "${platform}". Use one of: ${Object.keys(STORES).join(', ')}`);
+  }
+  return store;
+}
+
+module.exports = {
+  getStore,
+  DEFAULT_PLATFORM,
+  PLATFORM_NAMES: Object.keys(STORES)
+};
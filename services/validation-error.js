@@ -0,0 +1,17 @@
+/**
+ * Error for input that can never succeed, such as a malformed app ID or batch file
+ * Callers report it as a usage problem instead of a failed run
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+module.exports = {
+  ValidationError
+};
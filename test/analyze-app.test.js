@@ -0,0 +1,108 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { OFFLINE_OPTIONS, replayFixtures, silenceLogs } = require('./helpers');
+const { analyzeApp, searchKeywords } = require('../main');
+const { getAppData } = require('../services/app-store-scraper');
+const { generateKeywords } = require('../services/keyword-generator');
+
+before(() => replayFixtures('analyze-app'));
+
+test('analyzeApp scrapes, generates and scores every keyword cluster', async (t) => {
+  silenceLogs(t);
+  const analysis = await analyzeApp(1000000001, OFFLINE_OPTIONS);
+
+  assert.equal(analysis.appData.title, 'Lumen Photo Editor');
+  assert.equal(analysis.appData.subtitle, 'Filters, Collage & Retouch');
+  assert.deepEqual(analysis.similarApps.map(app => app.title), ['Grid Collage Maker', 'Retro Film Camera']);
+  assert.equal(analysis.mainAppKeywords.length, 6);
+  assert.equal(analysis.allKeywords.length, 14);
+
+  // Ranked by recommendation, then traffic, then difficulty
+  assert.deepEqual(analysis.keywordAnalysis.map(result => `${result.keyword} ${result.recommendation}`), [
+    'collage maker excellent',
+    'film camera excellent',
+    'retouch excellent',
+    'photo filters good',
+    'photo editor consider',
+    'photo grid consider',
+    'retro camera consider',
+    'vintage filter avoid',
+    'photo collage avoid'
+  ]);
+});
+
+test('analyzeApp merges variants and remembers every source app', async (t) => {
+  silenceLogs(t);
+  const { keywordAnalysis } = await analyzeApp(1000000001, OFFLINE_OPTIONS);
+  const byKeyword = new Map(keywordAnalysis.map(result => [result.keyword, result]));
+
+  assert.deepEqual(byKeyword.get('photo editor').variants, ['Photo Editors', 'editor photo']);
+  assert.deepEqual(byKeyword.get('collage maker').variants, ['collage makers']);
+  assert.deepEqual(byKeyword.get('collage maker').sources, ['Lumen Photo Editor', 'Grid Collage Maker']);
+  assert.equal(byKeyword.get('photo filters').fromMainApp, true);
+  assert.equal(byKeyword.get('film camera').fromMainApp, false);
+});
+
+test('analyzeApp respects --limit', async (t) => {
+  silenceLogs(t);
+  const { keywordAnalysis } = await analyzeApp(1000000001, { ...OFFLINE_OPTIONS, limit: 3 });
+
+  // Main app keywords come first, so the first three clusters are all ours
+  assert.equal(keywordAnalysis.length, 3);
+  assert.ok(keywordAnalysis.every(result => result.fromMainApp));
+});
+
+test('analyzeApp mines reviews and scores review keywords with their origin', async (t) => {
+  silenceLogs(t);
+  const analysis = await analyzeApp(1000000001, { ...OFFLINE_OPTIONS, reviews: { pages: 2, sort: 'recent' } });
+  const byKeyword = new Map(analysis.keywordAnalysis.map(result => [result.keyword, result]));
+
+  // Retro Film Camera has no reviews, so only two apps are mined
+  assert.deepEqual(analysis.reviewInsights.map(insights => [insights.title, insights.reviewCount]), [
+    ['Lumen Photo Editor', 2],
+    ['Grid Collage Maker', 1]
+  ]);
+  assert.deepEqual(analysis.reviewInsights[0].featureRequests, ['More fonts']);
+  assert.deepEqual(analysis.reviewInsights[0].painPoints, ['Crashes when exporting']);
+
+  assert.deepEqual(byKeyword.get('background remover').origins, ['reviews']);
+  assert.equal(byKeyword.get('background remover').fromMainApp, true);
+  assert.deepEqual(byKeyword.get('scrapbook').sources, ['Grid Collage Maker']);
+  assert.deepEqual(byKeyword.get('photo editor').origins, ['metadata', 'reviews']);
+  assert.deepEqual(byKeyword.get('retouch').origins, ['metadata']);
+});
+
+test('a failed screenshot is skipped and keyword generation continues', async (t) => {
+  silenceLogs(t);
+  const appData = await getAppData(1000000001, OFFLINE_OPTIONS);
+  const generated = await generateKeywords(appData, OFFLINE_OPTIONS);
+
+  assert.equal(generated.keywords.length, 6);
+  assert.deepEqual(generated.screenshotText, ['Filters', 'Collage', 'Retouch portraits']);
+
+  const warnings = console.warn.mock.calls.map(call => call.arguments.join(' '));
+  assert.ok(warnings.some(warning => warning.includes('Failed to process screenshot')));
+});
+
+test('searchKeywords scores each cluster once, sorted by traffic', async (t) => {
+  silenceLogs(t);
+  const results = await searchKeywords('photo editor, Photo Editors, photo filters, photo retouch', 3, OFFLINE_OPTIONS);
+
+  assert.deepEqual(results.map(result => [result.keyword, result.trafficScore, result.difficultyScore]), [
+    ['photo retouch', 48, 36],
+    ['photo filters', 47, 29],
+    ['photo editor', 33, 31]
+  ]);
+  assert.deepEqual(results[2].variants, ['Photo Editors']);
+});
+
+test('searchKeywords expands seeds with store suggestions and skips their variants', async (t) => {
+  silenceLogs(t);
+  const results = await searchKeywords('photo retouch', 3, { ...OFFLINE_OPTIONS, expand: { depth: 2 } });
+
+  const seedsByKeyword = Object.fromEntries(results.map(result => [result.keyword, result.seeds]));
+  assert.deepEqual(Object.keys(seedsByKeyword).sort(), ['face retouch', 'photo retouch', 'photo retouch free', 'photo retouch free no watermark']);
+  assert.deepEqual(seedsByKeyword['face retouch'], ['photo retouch']);
+  assert.deepEqual(seedsByKeyword['photo retouch free no watermark'], ['photo retouch']);
+  assert.deepEqual(results.find(result => result.keyword === 'photo retouch').variants, ['photo retouching']);
+});
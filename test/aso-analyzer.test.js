@@ -0,0 +1,85 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { OFFLINE_OPTIONS, replayFixtures, silenceLogs, makeTempDir } = require('./helpers');
+const { ASOAnalyzer, compareOpportunities } = require('../services/aso-analyzer');
+const { KeywordCache } = require('../services/keyword-cache');
+const { searchKeywordsMultiStorefront } = require('../main');
+
+before(() => replayFixtures('analyze-app'));
+
+test('getRecommendation thresholds', () => {
+  const analyzer = new ASOAnalyzer('itunes');
+  const cases = [
+    [60, 40, 'excellent'],
+    [60, 41, 'good'],
+    [40, 50, 'good'],
+    [39, 50, 'consider'],
+    [40, 51, 'consider'],
+    [60, 70, 'challenging'],
+    [59, 70, 'consider'],
+    [30, 60, 'avoid'],
+    [31, 60, 'consider'],
+    [0, 0, 'consider']
+  ];
+
+  cases.forEach(([traffic, difficulty, expected]) => {
+    assert.equal(analyzer.getRecommendation(traffic, difficulty), expected, `traffic ${traffic}, difficulty ${difficulty}`);
+  });
+});
+
+test('competition and traffic level thresholds', () => {
+  const analyzer = new ASOAnalyzer('itunes');
+  const cases = [[80, 'very_high'], [79, 'high'], [60, 'high'], [59, 'medium'], [40, 'medium'], [39, 'low'], [20, 'low'], [19, 'very_low']];
+
+  cases.forEach(([score, expected]) => {
+    assert.equal(analyzer.getCompetitionLevel(score), expected, `difficulty ${score}`);
+    assert.equal(analyzer.getTrafficLevel(score), expected, `traffic ${score}`);
+  });
+});
+
+test('analyzeKeyword scales aso-v2 scores to 0-100', async (t) => {
+  silenceLogs(t);
+  const result = await new ASOAnalyzer('itunes', { country: 'us' }).analyzeKeyword('collage maker');
+
+  assert.equal(result.trafficScore, 87);
+  assert.equal(result.difficultyScore, 9);
+  assert.equal(result.trafficLevel, 'very_high');
+  assert.equal(result.competitionLevel, 'very_low');
+  assert.equal(result.recommendation, 'excellent');
+});
+
+test('analyzeKeyword reports failures as analysis_failed', async (t) => {
+  silenceLogs(t);
+  const result = await new ASOAnalyzer('itunes', { country: 'us' }).analyzeKeyword('not recorded');
+
+  assert.equal(result.recommendation, 'analysis_failed');
+  assert.match(result.error, /No fixture recorded/);
+});
+
+test('a cache hit keeps the spelling of the requested keyword', async (t) => {
+  silenceLogs(t);
+  const cache = new KeywordCache({ filePath: path.join(makeTempDir(t, 'aso-cache-'), 'keywords.json') });
+  await new ASOAnalyzer('itunes', { country: 'us', cache }).analyzeKeyword('collage maker');
+
+  const result = await new ASOAnalyzer('itunes', { country: 'us', cache }).analyzeKeyword(' Collage Maker ');
+  assert.equal(result.fromCache, true);
+  assert.equal(result.keyword, ' Collage Maker ');
+  assert.equal(result.trafficScore, 87);
+
+  // Results indexed by the requested keyword find their entry
+  const byKeyword = await searchKeywordsMultiStorefront('Collage Maker', ['us'], 1, { ...OFFLINE_OPTIONS, cache });
+  assert.equal(byKeyword['Collage Maker'].us.trafficScore, 87);
+});
+
+test('compareOpportunities ranks by recommendation, traffic, then difficulty', () => {
+  const analyses = [
+    { keyword: 'a', recommendation: 'consider', trafficScore: 50, difficultyScore: 50 },
+    { keyword: 'b', recommendation: 'excellent', trafficScore: 60, difficultyScore: 30 },
+    { keyword: 'c', recommendation: 'consider', trafficScore: 50, difficultyScore: 40 },
+    { keyword: 'd', recommendation: 'analysis_failed', trafficScore: 0, difficultyScore: 0 },
+    { keyword: 'e', recommendation: 'excellent', trafficScore: 70, difficultyScore: 30 }
+  ];
+
+  assert.deepEqual(analyses.sort(compareOpportunities).map(a => a.keyword), ['e', 'b', 'c', 'a', 'd']);
+});
@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { silenceLogs, makeTempDir } = require('./helpers');
+const { KeywordHistory } = require('../services/keyword-history');
+const { run, EXIT_CODES } = require('../cli');
+
+const FIXTURE_FILE = path.join(__dirname, 'fixtures', 'analyze-app.json');
+/**
+ * Writes a config file into a directory that is removed after the test
+ * @param {TestContext} t - node:test context
+ * @param {Object} config - Config file contents
+ * @returns {string} Config file path
+ */
+function tempConfig(t, config) {
+  const dir = makeTempDir(t, 'aso-cli-');
+  const filePath = path.join(dir, 'aso.config.json');
+  fs.writeFileSync(filePath, JSON.stringify(config));
+  return filePath;
+}
+
+/**
+ * Gets everything a mocked console method printed
+ * @param {Function} method - console.log or console.error mocked by silenceLogs
+ * @returns {string} Printed lines
+ */
+function printed(method) {
+  return method.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+}
+
+test('usage errors exit with 2 and point to the help', async (t) => {
+  silenceLogs(t);
+
+  assert.equal(await run(['help', 'gap']), EXIT_CODES.ok);
+  assert.equal(await run(['search', '--help']), EXIT_CODES.ok);
+  assert.match(printed(console.log), /Usage: node main\.js search <keywords> \[options\]/);
+
+  assert.equal(await run(['search']), EXIT_CODES.usage);
+  assert.equal(await run(['search', 'photo editor', '--depth', '5']), EXIT_CODES.usage);
+  assert.equal(await run(['search', 'photo editor', '--concurrency', '50']), EXIT_CODES.usage);
+  assert.equal(await run(['analyze', 'not an id']), EXIT_CODES.usage);
+  assert.match(printed(console.error), /Missing <keywords> for "search"/);
+  assert.match(printed(console.error), /Unknown option --depth for "search"\. Run "node main\.js search --help"/);
+  assert.match(printed(console.error), /--concurrency must be between 1 and 20/);
+  assert.match(printed(console.error), /App ID must be a valid numeric value/);
+});
+
+test('config files set option defaults and invalid ones exit with 3', async (t) => {
+  silenceLogs(t);
+  const config = tempConfig(t, { top: 1, noCache: true, replay: FIXTURE_FILE });
+
+  assert.equal(await run(['opportunities', 'photo editor,collage maker', '--config', config]), EXIT_CODES.ok);
+  assert.match(printed(console.log), /Top 1 of 2 keywords on itunes US\/en/);
+
+  // Commands skip config options they don't take, and the old "-history" form still works
+  assert.equal(await run(['-history', 'collage maker', '--config', config]), EXIT_CODES.ok);
+  assert.match(printed(console.error), /"-history" is deprecated, use "history" instead/);
+
+  assert.equal(await run(['analyze', '1000000001', '--config', tempConfig(t, { similarApps: 20 })]), EXIT_CODES.config);
+  assert.equal(await run(['search', 'photo editor', '--config', tempConfig(t, { concurency: 2 })]), EXIT_CODES.config);
+  assert.match(printed(console.error), /--similar-apps must be between 0 and 10 \(in config file/);
+  assert.match(printed(console.error), /Unknown option "concurency" in config file/);
+});
+
+test('--format json leaves nothing but the JSON on stdout', () => {
+  const stdout = execFileSync(process.execPath, [
+    'main.js', 'opportunities', 'photo retouch,collage maker', '--format', 'json', '--no-cache', '--replay', FIXTURE_FILE
+  ], { cwd: path.join(__dirname, '..'), encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 60000 });
+
+  const results = JSON.parse(stdout);
+  assert.deepEqual(results.map(result => result.keyword), ['collage maker', 'photo retouch']);
+});
+
+test('--format sends status logs to stderr only while the command runs', async (t) => {
+  silenceLogs(t);
+  const log = console.log;
+  const output = path.join(makeTempDir(t, 'aso-output-'), 'results.json');
+
+  assert.equal(await run(['opportunities', 'photo retouch', '--format', 'json', '--output', output, '--no-cache', '--replay', FIXTURE_FILE]), EXIT_CODES.ok);
+  assert.equal(log.mock.callCount(), 0);
+  assert.equal(console.log, log);
+});
+
+test('--report creates missing parent directories', async (t) => {
+  silenceLogs(t);
+  // analyze saves to the local keyword history, which a test must leave alone
+  t.mock.method(KeywordHistory.prototype, 'recordRun', () => []);
+  const report = path.join(makeTempDir(t, 'aso-report-'), 'reports', 'lumen', 'report.html');
+
+  assert.equal(await run(['analyze', '1000000001', '--limit', '1', '--no-cache', '--replay', FIXTURE_FILE, '--report', report]), EXIT_CODES.ok);
+  assert.match(fs.readFileSync(report, 'utf8'), /<html/);
+});
@@ -0,0 +1,33 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { OFFLINE_OPTIONS, replayFixtures, silenceLogs } = require('./helpers');
+const { analyzeApp } = require('../main');
+const { getAppData } = require('../services/app-store-scraper');
+const { generateKeywords } = require('../services/keyword-generator');
+
+before(() => replayFixtures('errors'));
+
+test('analyzeApp fails with "App not found" for an unknown app', async (t) => {
+  silenceLogs(t);
+  await assert.rejects(analyzeApp(1000000404, OFFLINE_OPTIONS), { message: 'App not found' });
+});
+
+test('analyzeApp rejects a non-numeric app ID before any request', async (t) => {
+  silenceLogs(t);
+  await assert.rejects(analyzeApp('abc', OFFLINE_OPTIONS), { message: 'App ID must be a valid numeric value' });
+});
+
+test('a store page without the subtitle element gives an unknown subtitle and a warning', async (t) => {
+  silenceLogs(t);
+  const appData = await getAppData(1000000005, OFFLINE_OPTIONS);
+
+  assert.equal(appData.subtitle, null);
+  assert.match(console.warn.mock.calls[0].arguments[0], /No subtitle found on https:\/\/apps\.apple\.com\/us\/app\/id1000000005/);
+});
+
+test('generateKeywords fails when the model returns no tool_use block', async (t) => {
+  silenceLogs(t);
+  const appData = await getAppData(1000000005, OFFLINE_OPTIONS);
+
+  await assert.rejects(generateKeywords(appData, OFFLINE_OPTIONS), { message: 'No valid function call found in response' });
+});
@@ -0,0 +1,49 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FixtureStore } = require('../services/fixture-store');
+const { RequestScheduler } = require('../services/request-scheduler');
+
+const tempFiles = [];
+
+/**
+ * Creates a path for a fixture file that is removed after the test
+ * @returns {string} Fixture file path
+ */
+function tempFixturePath() {
+  const filePath = path.join(os.tmpdir(), `aso-fixtures-${process.pid}-${tempFiles.length}.json`);
+  tempFiles.push(filePath);
+  return filePath;
+}
+
+afterEach(() => {
+  tempFiles.splice(0).forEach(filePath => fs.rmSync(filePath, { force: true }));
+});
+
+test('recorded results and errors replay without running the call', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const filePath = tempFixturePath();
+  const scheduler = new RequestScheduler({ maxRetries: 0 });
+
+  scheduler.useFixtures(new FixtureStore(filePath, { mode: 'record' }));
+  await scheduler.schedule('scraper', async () => ({ id: 1, title: 'Recorded' }), 'app 1 (us/en)');
+  await assert.rejects(scheduler.schedule('scraper', () => Promise.reject({ response: { statusCode: 404 } }), 'app 2 (us/en)'));
+
+  scheduler.useFixtures(new FixtureStore(filePath, { mode: 'replay' }));
+  const live = () => { throw new Error('replay must not run the call'); };
+
+  assert.deepEqual(await scheduler.schedule('scraper', live, 'app 1 (us/en)'), { id: 1, title: 'Recorded' });
+  await assert.rejects(scheduler.schedule('scraper', live, 'app 2 (us/en)'), { message: 'Request failed with status 404', status: 404 });
+  await assert.rejects(scheduler.schedule('scraper', live, 'app 3 (us/en)'), { message: 'No fixture recorded for scraper:app 3 (us/en)' });
+});
+
+test('replaying a missing fixture file fails clearly', () => {
+  const fixtures = new FixtureStore(tempFixturePath(), { mode: 'replay' });
+  assert.throws(() => fixtures.replay('aso', 'keyword "x" (itunes/us)'), /Failed to read fixtures/);
+});
+
+test('unknown fixture modes are rejected', () => {
+  assert.throws(() => new FixtureStore(tempFixturePath(), { mode: 'live' }), /Unknown fixture mode "live"/);
+});
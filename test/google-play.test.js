@@ -0,0 +1,94 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { OFFLINE_OPTIONS, replayFixtures, silenceLogs } = require('./helpers');
+const { parseAppId, getAppData } = require('../services/google-play-scraper');
+const { ValidationError } = require('../services/validation-error');
+const { run, EXIT_CODES } = require('../cli');
+const { analyzeApp, compareKeywordsAcrossStores } = require('../main');
+
+const FIXTURE_FILE = path.join(__dirname, 'fixtures', 'google-play.json');
+
+before(() => replayFixtures('google-play'));
+
+test('Play listings map onto the same app model as the App Store', async () => {
+  assert.equal(parseAppId(' com.example.lumen '), 'com.example.lumen');
+  assert.throws(() => parseAppId('1000000001'), ValidationError);
+
+  const appData = await getAppData('com.example.lumen', OFFLINE_OPTIONS);
+  assert.deepEqual(appData, {
+    id: 'com.example.lumen',
+    bundleId: 'com.example.lumen',
+    platform: 'gplay',
+    url: 'https://play.google.com/store/apps/details?id=com.example.lumen&hl=en&gl=us',
+    icon: 'https://play-lh.googleusercontent.com/com.example.lumen-icon',
+    title: 'Lumen Photo Editor - Filters & Collage',
+    subtitle: 'Filters, collage and retouch in one editor',
+    description: 'Edit photos with filters, build a collage and retouch portraits.',
+    releaseNotes: 'New collage layouts.',
+    version: '3.4.1',
+    updated: '2025-05-01T10:00:00.000Z',
+    developer: 'Example Labs',
+    genres: ['Photography'],
+    primaryGenre: 'Photography',
+    contentRating: 'Everyone',
+    languages: [],
+    price: 0,
+    free: true,
+    rating: 4.4,
+    ratingCount: 5300,
+    screenshots: ['https://play-lh.googleusercontent.com/lumen-shot1'],
+    ipadScreenshots: []
+  });
+
+  await assert.rejects(getAppData('com.example.missing', OFFLINE_OPTIONS), /^Error: App not found$/);
+});
+
+test('analyzeApp scores a Play app\'s keywords on Google Play', async (t) => {
+  silenceLogs(t);
+  const analysis = await analyzeApp('com.example.lumen', { ...OFFLINE_OPTIONS, platform: 'gplay' });
+
+  assert.equal(analysis.appData.platform, 'gplay');
+  assert.deepEqual(analysis.similarApps.map(app => app.id), ['com.example.gridcollage']);
+  const collageMaker = analysis.keywordAnalysis.find(result => result.keyword === 'collage maker');
+  assert.equal(collageMaker.trafficScore, 54);
+  assert.equal(collageMaker.difficultyScore, 22);
+  assert.ok(analysis.keywordAnalysis.every(result => !result.error));
+});
+
+test('relevance on Google Play counts our own and similar apps against its own threshold', async (t) => {
+  silenceLogs(t);
+  const analysis = await analyzeApp('com.example.lumen', { ...OFFLINE_OPTIONS, platform: 'gplay', validate: { depth: 20, action: 'flag' } });
+
+  const byKeyword = Object.fromEntries(analysis.validations.map(validation => [validation.keyword, validation]));
+  assert.equal(byKeyword['collage maker'].relevant, true);
+  assert.equal(byKeyword['collage maker'].reason, 'relevance 25 ≥ 25: similar apps Grid Collage Maker, result genres unknown');
+  assert.equal(byKeyword['photo editor'].relevanceScore, 50);
+  assert.deepEqual(analysis.validations.filter(validation => !validation.relevant).map(validation => validation.keyword), ['retouch', 'photo grid']);
+
+  // An explicit threshold still applies as given
+  const strict = await analyzeApp('com.example.lumen', { ...OFFLINE_OPTIONS, platform: 'gplay', validate: { threshold: 30, depth: 20, action: 'flag' } });
+  assert.equal(strict.validations.find(validation => validation.keyword === 'collage maker').relevant, false);
+});
+
+test('compareKeywordsAcrossStores scores each keyword on both stores and picks the better one', async (t) => {
+  silenceLogs(t);
+  const results = await compareKeywordsAcrossStores('collage maker, photo editor, photo grid', 3, OFFLINE_OPTIONS);
+
+  assert.deepEqual(Object.keys(results), ['collage maker', 'photo editor', 'photo grid']);
+  assert.deepEqual(Object.keys(results['collage maker']), ['itunes', 'gplay']);
+  assert.equal(results['collage maker'].itunes.trafficScore, 87);
+  assert.equal(results['collage maker'].gplay.trafficScore, 54);
+  assert.equal(results['photo grid'].gplay.difficultyScore, 15);
+
+  const table = console.log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+  assert.match(table, /collage maker\s+87\/9\s+54\/22\s+App Store/);
+  assert.match(table, /photo grid\s+8\/56\s+29\/15\s+Google Play/);
+});
+
+test('--platform gplay runs a command against Google Play', async (t) => {
+  silenceLogs(t);
+  assert.equal(await run(['opportunities', 'collage maker', '--platform', 'gplay', '--no-cache', '--replay', FIXTURE_FILE]), EXIT_CODES.ok);
+  const printed = console.log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+  assert.match(printed, /on gplay US\/en/);
+});
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scheduler } = require('../services/request-scheduler');
+const { FixtureStore } = require('../services/fixture-store');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Run options that keep a test offline and away from the local cache and history
+const OFFLINE_OPTIONS = {
+  country: 'us',
+  lang: 'en',
+  llm: { provider: 'anthropic' },
+  cache: null,
+  history: null
+};
+
+/**
+ * Answers every scheduled call from a fixture file in test/fixtures
+ * @param {string} name - Fixture file name without extension
+ * @returns {FixtureStore} Fixture store in replay mode
+ */
+function replayFixtures(name) {
+  const fixtures = new FixtureStore(path.join(FIXTURES_DIR, `${name}.json`), { mode: 'replay' });
+  scheduler.useFixtures(fixtures);
+  return fixtures;
+}
+
+/**
+ * Mutes console output for one test; calls stay inspectable through console.<method>.mock
+ * @param {TestContext} t - node:test context
+ */
+function silenceLogs(t) {
+  ['log', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+}
+
+/**
+ * Creates a temporary directory that is removed when the test ends
+ * @param {TestContext} t - node:test context
+ * @param {string} prefix - Directory name prefix (default: 'aso-test-')
+ * @returns {string} Directory path
+ */
+function makeTempDir(t, prefix = 'aso-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+module.exports = {
+  OFFLINE_OPTIONS,
+  replayFixtures,
+  silenceLogs,
+  makeTempDir
+};
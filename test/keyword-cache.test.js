@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { makeTempDir } = require('./helpers');
+const { KeywordCache } = require('../services/keyword-cache');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('a short TTL skips older entries on read but leaves them in the file', (t) => {
+  const filePath = path.join(makeTempDir(t, 'aso-cache-'), 'keywords.json');
+  const threeHoursAgo = Date.now() - 3 * HOUR_MS;
+  fs.writeFileSync(filePath, JSON.stringify({
+    'itunes:us:photo editor': { cachedAt: threeHoursAgo, expiresAt: threeHoursAgo + 24 * HOUR_MS, result: { keyword: 'photo editor' } },
+    'itunes:us:retouch': { cachedAt: threeHoursAgo, expiresAt: threeHoursAgo + HOUR_MS, result: { keyword: 'retouch' } }
+  }));
+
+  const shortLived = new KeywordCache({ filePath, ttlHours: 1 });
+  assert.equal(shortLived.get('photo editor', 'itunes', 'us'), null);
+  shortLived.set('collage maker', 'itunes', 'us', { keyword: 'collage maker' });
+
+  // Only the entry past its own expiry is dropped
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.deepEqual(Object.keys(saved).sort(), ['itunes:us:collage maker', 'itunes:us:photo editor']);
+  assert.equal(saved['itunes:us:collage maker'].expiresAt - saved['itunes:us:collage maker'].cachedAt, HOUR_MS);
+
+  assert.deepEqual(new KeywordCache({ filePath }).get('Photo Editor', 'itunes', 'us'), { keyword: 'photo editor' });
+});
+
+test('views from withOwnStats share entries but count their own hits and misses', (t) => {
+  const cache = new KeywordCache({ filePath: path.join(makeTempDir(t, 'aso-cache-'), 'keywords.json') });
+  const first = cache.withOwnStats();
+  const second = cache.withOwnStats();
+
+  assert.equal(first.get('photo editor', 'itunes', 'us'), null);
+  first.set('photo editor', 'itunes', 'us', { keyword: 'photo editor' });
+  assert.deepEqual(second.get('photo editor', 'itunes', 'us'), { keyword: 'photo editor' });
+
+  assert.deepEqual(first.getStats(), { hits: 0, misses: 1 });
+  assert.deepEqual(second.getStats(), { hits: 1, misses: 0 });
+  assert.deepEqual(cache.getStats(), { hits: 0, misses: 0 });
+  assert.deepEqual(new KeywordCache({ filePath: cache.filePath }).get('photo editor', 'itunes', 'us'), { keyword: 'photo editor' });
+});
@@ -0,0 +1,37 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { OFFLINE_OPTIONS, replayFixtures, silenceLogs } = require('./helpers');
+const { expandKeywords } = require('../services/keyword-expansion');
+
+before(() => replayFixtures('analyze-app'));
+
+test('suggestions stop at the requested depth and remember the seed they came from', async (t) => {
+  silenceLogs(t);
+  const seeds = ['photo retouch', 'collage maker'];
+
+  const firstLevel = await expandKeywords(seeds, { ...OFFLINE_OPTIONS, depth: 1 });
+  assert.deepEqual(firstLevel.map(expansion => [expansion.keyword, expansion.seed, expansion.depth]), [
+    ['photo retouch free', 'photo retouch', 1],
+    ['photo retouching', 'photo retouch', 1],
+    ['face retouch', 'photo retouch', 1],
+    ['collage maker free', 'collage maker', 1],
+    ['photo collage maker', 'collage maker', 1]
+  ]);
+
+  const twoLevels = await expandKeywords(seeds, { ...OFFLINE_OPTIONS, depth: 2 });
+  assert.deepEqual(twoLevels.slice(firstLevel.length), [
+    { keyword: 'photo retouch free no watermark', seed: 'photo retouch', parent: 'photo retouch free', depth: 2 }
+  ]);
+});
+
+test('suggestions that repeat a seed, an excluded keyword or an earlier suggestion are skipped', async (t) => {
+  silenceLogs(t);
+  const expansions = await expandKeywords(['photo retouch', 'collage maker'], { ...OFFLINE_OPTIONS, depth: 1, exclude: ['Face Retouch'] });
+  const keywords = expansions.map(expansion => expansion.keyword);
+
+  // "collage maker" also suggests itself, "Collage Makers" and "photo retouch free", already found for the first seed
+  assert.ok(!keywords.some(keyword => /^collage makers?$/i.test(keyword)));
+  assert.equal(keywords.filter(keyword => keyword === 'photo retouch free').length, 1);
+  assert.equal(expansions.find(expansion => expansion.keyword === 'photo retouch free').seed, 'photo retouch');
+  assert.ok(!keywords.includes('face retouch'));
+});
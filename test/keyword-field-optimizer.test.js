@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { optimizeKeywordField } = require('../services/keyword-field-optimizer');
+
+const reasonOf = (optimized, word) => (optimized.excluded.find(entry => entry.word === word) || {}).reason;
+
+test('plurals merge into one word and words in the title or subtitle are left out', () => {
+  const optimized = optimizeKeywordField([
+    { keyword: 'photo filters', trafficScore: 60, difficultyScore: 50 },
+    { keyword: 'vintage filter', trafficScore: 40, difficultyScore: 50 },
+    { keyword: 'pictures for collage', trafficScore: 50, difficultyScore: 20 }
+  ], { title: 'Snap Photo', subtitle: 'Edit Pictures' });
+
+  assert.deepEqual(optimized.words.map(candidate => [candidate.word, candidate.score]), [['filter', 50], ['collage', 40], ['vintage', 20]]);
+  assert.deepEqual(optimized.words.find(candidate => candidate.word === 'filter').sources, ['photo filters', 'vintage filter']);
+  assert.equal(optimized.field, 'filter,collage,vintage');
+
+  assert.equal(reasonOf(optimized, 'photo'), 'already in title or subtitle');
+  assert.equal(reasonOf(optimized, 'pictures'), 'already in title or subtitle');
+  assert.equal(reasonOf(optimized, 'for'), 'stop word Apple matches automatically');
+  // The plural went into the field as "filter", so it isn't listed as left out
+  assert.equal(reasonOf(optimized, 'filters'), undefined);
+});
+
+test('the best-scoring set of words that fits the limit wins over the single best word', () => {
+  const optimized = optimizeKeywordField([
+    { keyword: 'background', opportunityScore: 50 },
+    { keyword: 'blur', opportunityScore: 30 },
+    { keyword: 'remover', opportunityScore: 31 }
+  ], { maxLength: 13 });
+
+  assert.equal(optimized.field, 'remover,blur');
+  assert.equal(optimized.totalScore, 61);
+  assert.ok(optimized.length <= 13);
+  assert.deepEqual(optimized.excluded, [{ word: 'background', reason: 'no room within 13 characters (score 50)' }]);
+});
+
+test('a word from a failed phrase is still used when a scored phrase shares it', () => {
+  const optimized = optimizeKeywordField([
+    { keyword: 'photo editor', trafficScore: 50, difficultyScore: 20 },
+    { keyword: 'photo blah', error: 'Request failed with status 500', recommendation: 'analysis_failed' },
+    { keyword: 'editor pro', trafficScore: 0, difficultyScore: 10 }
+  ], { maxLength: 12 });
+
+  assert.equal(optimized.field, 'editor,photo');
+  assert.deepEqual(optimized.excluded, [
+    { word: 'blah', reason: 'analysis failed for "photo blah"' },
+    { word: 'pro', reason: 'zero opportunity score' }
+  ]);
+});
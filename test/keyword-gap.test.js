@@ -0,0 +1,28 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { OFFLINE_OPTIONS, replayFixtures, silenceLogs } = require('./helpers');
+const { analyzeKeywordGap } = require('../main');
+
+before(() => replayFixtures('analyze-app'));
+
+test('competitor keywords split into gaps, shared and ours-only, best opportunities first', async (t) => {
+  silenceLogs(t);
+  const report = await analyzeKeywordGap(1000000001, 3, OFFLINE_OPTIONS);
+  const summarize = list => list.map(entry => [entry.keyword, entry.opportunityScore, entry.competitors]);
+
+  assert.deepEqual(summarize(report.gaps), [
+    ['film camera', 65, ['Retro Film Camera']],
+    ['photo grid', 4, ['Grid Collage Maker']],
+    ['retro camera', 3, ['Retro Film Camera']],
+    ['vintage filter', 1, ['Retro Film Camera']],
+    ['collage makers', 0, ['Grid Collage Maker']]
+  ]);
+  // "photo collage" is shared because our description has both words
+  assert.deepEqual(summarize(report.shared), [
+    ['collage maker', 79, ['Grid Collage Maker']],
+    ['photo filters', 33, ['Retro Film Camera']],
+    ['photo collage', 1, ['Grid Collage Maker']]
+  ]);
+  assert.deepEqual(report.uniqueToUs.map(entry => entry.keyword).slice(0, 2), ['retouch', 'photo editor']);
+  assert.ok(report.uniqueToUs.every(entry => entry.competitors.length === 0));
+});
@@ -0,0 +1,48 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { OFFLINE_OPTIONS, replayFixtures, silenceLogs, makeTempDir } = require('./helpers');
+const { KeywordCache } = require('../services/keyword-cache');
+const { KeywordHistory } = require('../services/keyword-history');
+const { searchKeywords, showKeywordOpportunities } = require('../main');
+
+before(() => replayFixtures('analyze-app'));
+
+test('results served from the keyword cache are not saved as new history entries', async (t) => {
+  silenceLogs(t);
+  const dir = makeTempDir(t, 'aso-history-');
+  const options = {
+    ...OFFLINE_OPTIONS,
+    cache: new KeywordCache({ filePath: path.join(dir, 'keywords.json') }),
+    history: new KeywordHistory({ filePath: path.join(dir, 'history.json') })
+  };
+
+  await searchKeywords('collage maker,photo grid', 2, options);
+  await searchKeywords('collage maker,photo grid,film camera', 2, options);
+
+  const history = new KeywordHistory({ filePath: path.join(dir, 'history.json') });
+  assert.equal(history.getKeywordHistory('collage maker').length, 1);
+  assert.equal(history.getKeywordHistory('film camera').length, 1);
+  assert.equal(history.load().length, 2);
+
+  // A run served entirely from the cache adds nothing
+  await searchKeywords('collage maker', 1, options);
+  assert.equal(new KeywordHistory({ filePath: path.join(dir, 'history.json') }).load().length, 2);
+});
+
+test('keywords scored by opportunities are in the history before a search serves them from the cache', async (t) => {
+  silenceLogs(t);
+  const dir = makeTempDir(t, 'aso-history-');
+  const options = {
+    ...OFFLINE_OPTIONS,
+    cache: new KeywordCache({ filePath: path.join(dir, 'keywords.json') }),
+    history: new KeywordHistory({ filePath: path.join(dir, 'history.json') })
+  };
+
+  await showKeywordOpportunities('collage maker,photo grid', 1, options);
+  await searchKeywords('collage maker,photo grid', 2, options);
+
+  const history = new KeywordHistory({ filePath: path.join(dir, 'history.json') });
+  assert.deepEqual(history.load().map(run => run.source), ['opportunities']);
+  assert.equal(history.getKeywordHistory('photo grid').length, 1);
+});
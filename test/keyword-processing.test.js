@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stem, clusterKeywords } = require('../services/keyword-processing');
+const { formatAppAnalysis } = require('../services/output-formatter');
+
+test('the stemmer only removes plurals and verb endings that leave a whole word', () => {
+  assert.equal(stem('retouching'), 'retouch');
+  assert.equal(stem('retouched'), 'retouch');
+  assert.equal(stem('filters'), 'filter');
+  ['order', 'timer', 'editor', 'evening', 'parking', 'rating'].forEach(word => assert.equal(stem(word), word));
+});
+
+test('unrelated words that share a prefix stay in separate clusters', () => {
+  const representatives = keywords => clusterKeywords(keywords).map(cluster => cluster.representative);
+
+  assert.deepEqual(representatives(['order tracker', 'ord tracker']), ['order tracker', 'ord tracker']);
+  assert.deepEqual(representatives(['timer', 'tim']), ['timer', 'tim']);
+  assert.deepEqual(representatives(['parking app', 'park app']), ['parking app', 'park app']);
+  assert.deepEqual(clusterKeywords(['photo retouch', 'photo retouching', 'Photo Retouch']), [
+    { representative: 'photo retouch', members: ['photo retouch', 'photo retouching'], count: 3 }
+  ]);
+});
+
+test('app analysis rows name the keyword a variant\'s scores come from', () => {
+  const result = { keyword: 'photo editor', trafficScore: 33, difficultyScore: 31, variants: ['Photo Editors'] };
+  const analysis = {
+    appData: { title: 'Lumen Photo Editor' },
+    similarApps: [],
+    mainAppKeywords: ['photo editor', 'Photo Editors'],
+    keywordsBySimilarApp: [],
+    keywordAnalysis: [result]
+  };
+
+  const [header, own, variant] = formatAppAnalysis(analysis, 'csv').split('\n');
+  assert.match(header, /^sourceType,source,origin,keyword,scoredAs,trafficScore,/);
+  assert.match(own, /^main,Lumen Photo Editor,metadata,photo editor,,33,31,/);
+  assert.match(variant, /^main,Lumen Photo Editor,metadata,Photo Editors,photo editor,33,31,/);
+});
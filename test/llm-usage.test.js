@@ -0,0 +1,62 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { OFFLINE_OPTIONS, replayFixtures, silenceLogs } = require('./helpers');
+const { scheduler } = require('../services/request-scheduler');
+const { LlmUsage, BudgetExceededError, estimateInputTokens } = require('../services/llm-usage');
+const { createProvider } = require('../services/llm-providers');
+const { KEYWORD_FUNCTION } = require('../tools/keyword-tool');
+const { analyzeApp } = require('../main');
+
+before(() => replayFixtures('analyze-app'));
+
+test('analyzeApp records token usage and cost of every app from the LLM responses', async (t) => {
+  silenceLogs(t);
+  const usage = new LlmUsage();
+  await analyzeApp(1000000001, { ...OFFLINE_OPTIONS, usage, limit: 1 });
+
+  const summary = usage.summarize();
+  assert.deepEqual(summary.apps.map(app => app.app), ['Lumen Photo Editor', 'Grid Collage Maker', 'Retro Film Camera']);
+  assert.equal(summary.calls, 3);
+  assert.equal(summary.estimated, false);
+  assert.equal(summary.inputTokens, summary.apps.reduce((sum, app) => sum + app.inputTokens, 0));
+  // claude-sonnet-4 is $3 per million input and $15 per million output tokens
+  assert.equal(summary.cost.toFixed(6), ((summary.inputTokens * 3 + summary.outputTokens * 15) / 1e6).toFixed(6));
+});
+
+test('a dry run estimates the LLM calls without sending them', async (t) => {
+  silenceLogs(t);
+  const usage = new LlmUsage({ dryRun: true });
+  const start = scheduler.getStats().services.llm.requests;
+  const analysis = await analyzeApp(1000000001, { ...OFFLINE_OPTIONS, usage });
+
+  assert.equal(scheduler.getStats().services.llm.requests, start);
+  assert.deepEqual(analysis.keywordAnalysis, []);
+  const summary = usage.summarize();
+  assert.equal(summary.calls, 3);
+  assert.equal(summary.estimated, true);
+  assert.equal(summary.outputTokens, 3 * 2000);
+  assert.ok(summary.apps.every(app => app.inputTokens > 0));
+});
+
+test('the budget stops the pipeline before a call that could go over it', async (t) => {
+  silenceLogs(t);
+  const usage = new LlmUsage({ maxBudget: 0.01 });
+  const start = scheduler.getStats().services.llm.requests;
+
+  await assert.rejects(analyzeApp(1000000001, { ...OFFLINE_OPTIONS, usage }), BudgetExceededError);
+  assert.equal(scheduler.getStats().services.llm.requests, start);
+  assert.equal(usage.exceeded, true);
+
+  const unpriced = new LlmUsage({ maxBudget: 1 });
+  assert.throws(() => unpriced.checkBudget({ model: 'custom-model', maxTokens: 100 }, 10, 'a call'), /no price known for model "custom-model"/);
+  unpriced.checkBudget({ model: 'custom-model', maxTokens: 100, inputPrice: 1, outputPrice: 2 }, 10, 'a call');
+});
+
+test('the mock provider reports tokens with the dry-run estimate', async () => {
+  const content = [{ type: 'text', text: 'Title: Lumen Photo Editor\nSubtitle: Filters, Collage & Retouch\nDescription: Edit photos with filters.' }];
+  const { toolCalls, usage } = await createProvider({ provider: 'mock' }).generate({ content, tool: KEYWORD_FUNCTION });
+
+  assert.equal(usage.inputTokens, estimateInputTokens(content));
+  assert.equal(usage.outputTokens, estimateInputTokens([{ type: 'text', text: JSON.stringify(toolCalls[0].input) }]));
+  assert.ok(usage.outputTokens < toolCalls[0].input.keywords.join(', ').length);
+});
@@ -0,0 +1,41 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { OFFLINE_OPTIONS, replayFixtures, silenceLogs } = require('./helpers');
+const { parseLocale } = require('../services/localization');
+const { ValidationError } = require('../services/validation-error');
+const { formatLocalizedKeywords } = require('../services/output-formatter');
+const { localizeAppKeywords } = require('../main');
+
+before(() => replayFixtures('analyze-app'));
+
+test('locales are a language and a storefront country', () => {
+  assert.deepEqual(parseLocale('de-DE'), { locale: 'de-DE', lang: 'de', country: 'de' });
+  assert.deepEqual(parseLocale('pt_br'), { locale: 'pt-BR', lang: 'pt', country: 'br' });
+  assert.throws(() => parseLocale('de'), ValidationError);
+  assert.throws(() => parseLocale('german-DE'), /must be a language and country code/);
+});
+
+test('localizeAppKeywords scores each locale\'s own keywords in its storefront', async (t) => {
+  silenceLogs(t);
+  const localization = await localizeAppKeywords(1000000001, ['de-DE', 'ja-JP'].map(parseLocale), 3, OFFLINE_OPTIONS);
+
+  assert.deepEqual(localization.sourceKeywords, ['photo editor', 'photo filters', 'collage maker', 'retouch']);
+  const [german, japanese] = localization.locales;
+
+  // The German listing is localized; the Japanese storefront serves the English one
+  assert.equal(german.localized, true);
+  assert.equal(japanese.localized, false);
+
+  // Case variants are scored once, best opportunities first
+  assert.deepEqual(german.keywords.map(result => result.keyword).sort(), ['Bildbearbeitung', 'collage erstellen', 'foto filter', 'fotobearbeitung']);
+  assert.equal(german.keywords[0].keyword, 'fotobearbeitung');
+  assert.deepEqual(japanese.keywords.map(result => result.keyword).sort(), ['コラージュ', '写真加工', '写真編集']);
+  assert.ok([...german.keywords, ...japanese.keywords].every(result => !result.error));
+
+  const csv = formatLocalizedKeywords(localization, 'csv').split('\n');
+  assert.equal(csv[0], 'locale,country,lang,listing,keyword,trafficScore,difficultyScore,opportunityScore,competitionLevel,trafficLevel,recommendation,explanation,variants,seeds,error');
+  assert.equal(csv.filter(line => line.startsWith('ja-JP,jp,ja,source,')).length, 3);
+  const markdown = formatLocalizedKeywords(localization, 'markdown');
+  assert.match(markdown, /## de-DE \(DE storefront, localized listing\)/);
+  assert.match(markdown, /## ja-JP \(JP storefront, source listing\)/);
+});
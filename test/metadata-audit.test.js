@@ -0,0 +1,50 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { OFFLINE_OPTIONS, replayFixtures, silenceLogs } = require('./helpers');
+const { KeywordHistory } = require('../services/keyword-history');
+const { auditMetadata } = require('../services/metadata-audit');
+const { auditAppMetadata } = require('../main');
+const { run, EXIT_CODES } = require('../cli');
+
+const FIXTURE_FILE = path.join(__dirname, 'fixtures', 'analyze-app.json');
+
+before(() => replayFixtures('analyze-app'));
+
+test('auditAppMetadata reports which fields cover each keyword, scored at the requested concurrency', async (t) => {
+  silenceLogs(t);
+  const audit = await auditAppMetadata(1000000001, 'photo editor, collage maker, retouch, background remover', { ...OFFLINE_OPTIONS, concurrency: 2 });
+
+  assert.equal(audit.appData.subtitle, 'Filters, Collage & Retouch');
+  assert.deepEqual(audit.screenshotText, ['Filters', 'Collage', 'Retouch portraits']);
+  assert.deepEqual(audit.keywords.map(entry => [entry.keyword, entry.bestField]), [
+    ['photo editor', 'title'],
+    ['collage maker', 'none'],
+    ['retouch', 'subtitle'],
+    ['background remover', 'none']
+  ]);
+  assert.deepEqual(audit.keywords[2].fields, { title: false, subtitle: true, description: true, screenshots: true });
+  assert.deepEqual(audit.coverage.subtitle, { keywords: 1, percent: 25, weightedPercent: 26 });
+
+  const printed = console.log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+  assert.match(printed, /Scoring 4 keywords \(2 concurrent\)/);
+  assert.match(printed, /collage maker \(traffic 87, found in: none\)/);
+});
+
+test('an unknown subtitle is left out of the audit instead of counted as empty', () => {
+  const appData = { title: 'Quiet Notes', subtitle: null, description: 'Simple notes.' };
+  const audit = auditMetadata(appData, [], [{ keyword: 'notes', trafficScore: 40 }, { keyword: 'journal', trafficScore: 10 }]);
+
+  assert.deepEqual(audit.keywords[0].fields, { title: true, subtitle: null, description: true, screenshots: false });
+  assert.equal(audit.coverage.subtitle, null);
+  assert.deepEqual(audit.coverage.title, { keywords: 1, percent: 50, weightedPercent: 80 });
+});
+
+test('the audit command passes --concurrency through to scoring', async (t) => {
+  silenceLogs(t);
+  // The audit saves to the local keyword history, which a test must leave alone
+  t.mock.method(KeywordHistory.prototype, 'recordRun', () => []);
+  assert.equal(await run(['audit', '1000000001', 'photo editor,retouch', '--concurrency', '5', '--no-cache', '--replay', FIXTURE_FILE]), EXIT_CODES.ok);
+  const printed = console.log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+  assert.match(printed, /Scoring 2 keywords \(5 concurrent\)/);
+});
@@ -0,0 +1,75 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { OFFLINE_OPTIONS, replayFixtures, silenceLogs, makeTempDir } = require('./helpers');
+const { scheduler } = require('../services/request-scheduler');
+const { CheckpointStore } = require('../services/checkpoint-store');
+const { readPortfolio, getPortfolioKey } = require('../services/portfolio');
+const { ScoringModel } = require('../services/scoring-model');
+const { analyzePortfolio } = require('../main');
+
+/**
+ * Writes a batch file into a directory that is removed after the test
+ * @param {TestContext} t - node:test context
+ * @param {Array} apps - Batch file entries
+ * @returns {Object} { filePath, checkpoints } with an empty checkpoint store next to the file
+ */
+function tempBatch(t, apps) {
+  const dir = makeTempDir(t, 'aso-batch-');
+  const filePath = path.join(dir, 'apps.json');
+  fs.writeFileSync(filePath, JSON.stringify(apps));
+  return { filePath, checkpoints: new CheckpointStore({ dir: path.join(dir, 'checkpoints') }) };
+}
+
+before(() => replayFixtures('analyze-app'));
+
+test('readPortfolio applies storefront overrides and rejects invalid apps', (t) => {
+  const { filePath } = tempBatch(t, [1000000001, { appId: '1000000002', country: 'DE', competitors: [1000000003] }]);
+  assert.deepEqual(readPortfolio(filePath, { platform: 'itunes', country: 'us', lang: 'en' }), [
+    { appId: 1000000001, platform: 'itunes', country: 'us', lang: 'en', competitors: null },
+    { appId: 1000000002, platform: 'itunes', country: 'de', lang: 'en', competitors: [1000000003] }
+  ]);
+
+  const invalid = tempBatch(t, [1000000001, { appId: 'not an id' }]);
+  assert.throws(() => readPortfolio(invalid.filePath, { platform: 'itunes', country: 'us', lang: 'en' }), /App 2 in .*apps\.json/);
+});
+
+test('analyzePortfolio summarizes every app, keeps going after a failure and resumes from checkpoints', async (t) => {
+  silenceLogs(t);
+  const { filePath, checkpoints } = tempBatch(t, [{ appId: 1000000001, competitors: [1000000002] }, 1000000099]);
+
+  const summary = await analyzePortfolio(filePath, 3, { ...OFFLINE_OPTIONS, checkpoints });
+  assert.deepEqual(summary.totals, {
+    apps: 2,
+    completed: 1,
+    failed: 1,
+    keywordsScored: summary.apps[0].keywordsScored,
+    recommendations: summary.totals.recommendations
+  });
+  assert.deepEqual(summary.apps[0].competitors, ['Grid Collage Maker']);
+  assert.match(summary.apps[1].error, /No fixture recorded for scraper:app 1000000099/);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(checkpoints.dir, 'summary.json'), 'utf8')).totals, summary.totals);
+
+  // Finished stages are not run again; only the failed app is retried
+  const start = scheduler.getStats().requests;
+  const resumed = await analyzePortfolio(filePath, 3, { ...OFFLINE_OPTIONS, checkpoints });
+  assert.equal(scheduler.getStats().requests - start, 1);
+  assert.deepEqual(resumed.apps[0].topKeywords, summary.apps[0].topKeywords);
+
+  // Other run options don't reuse the stages of the first run
+  const limited = await analyzePortfolio(filePath, 3, { ...OFFLINE_OPTIONS, checkpoints, limit: 1 });
+  assert.equal(limited.apps[0].keywordsScored, 1);
+});
+
+test('checkpoint keys change with the competitors and run options', () => {
+  const entry = { appId: 1000000001, platform: 'itunes', country: 'us', lang: 'en', competitors: null };
+  const key = getPortfolioKey(entry, OFFLINE_OPTIONS);
+
+  assert.match(key, /^itunes-us-en-1000000001-[0-9a-f]{8}$/);
+  assert.equal(getPortfolioKey(entry, { ...OFFLINE_OPTIONS, cache: {}, concurrency: 5 }), key);
+  assert.notEqual(getPortfolioKey({ ...entry, competitors: [1000000002] }, OFFLINE_OPTIONS), key);
+  assert.notEqual(getPortfolioKey(entry, { ...OFFLINE_OPTIONS, reviews: { pages: 2, sort: 'recent' } }), key);
+  assert.notEqual(getPortfolioKey(entry, { ...OFFLINE_OPTIONS, llm: { provider: 'openai' } }), key);
+  assert.notEqual(getPortfolioKey(entry, { ...OFFLINE_OPTIONS, scoring: new ScoringModel({ weights: { traffic: 2 } }) }), key);
+});
@@ -0,0 +1,54 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { OFFLINE_OPTIONS, replayFixtures, silenceLogs, makeTempDir } = require('./helpers');
+const { RankTracker } = require('../services/rank-tracker');
+const { trackAppRanks } = require('../main');
+
+const KEYWORDS = ['photo editor', 'collage maker', 'retro camera'];
+const EARLIER_SNAPSHOT = {
+  timestamp: '2025-05-01T10:00:00.000Z',
+  appId: '1000000001',
+  platform: 'itunes',
+  country: 'us',
+  depth: 20,
+  ranks: [{ keyword: 'photo editor', rank: 4 }, { keyword: 'retro camera', rank: 2 }]
+};
+
+before(() => replayFixtures('analyze-app'));
+
+test('ranks are compared with the last snapshot of the same app and storefront', async (t) => {
+  silenceLogs(t);
+  const filePath = path.join(makeTempDir(t, 'aso-ranks-'), 'ranks.json');
+  fs.writeFileSync(filePath, JSON.stringify({ snapshots: [EARLIER_SNAPSHOT, { ...EARLIER_SNAPSHOT, country: 'de', ranks: [{ keyword: 'collage maker', rank: 9 }] }] }));
+
+  const tracker = new RankTracker({ filePath, depth: 20 });
+  const results = await tracker.trackKeywords(1000000001, KEYWORDS, OFFLINE_OPTIONS);
+  assert.deepEqual(results, [
+    { keyword: 'photo editor', rank: 1, previousRank: 4, change: 3 },
+    { keyword: 'collage maker', rank: 3, previousRank: undefined, change: null },
+    { keyword: 'retro camera', rank: null, previousRank: 2, change: 'dropped' }
+  ]);
+
+  // The next run compares against the snapshot just saved
+  const again = await new RankTracker({ filePath, depth: 20 }).trackKeywords(1000000001, KEYWORDS, OFFLINE_OPTIONS);
+  assert.deepEqual(again.map(result => result.change), [0, 0, 0]);
+  assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).snapshots.length, 4);
+});
+
+test('trackAppRanks shows keywords outside the checked results as not in the top N', async (t) => {
+  silenceLogs(t);
+  // Keep the local snapshot file out of the test
+  t.mock.method(RankTracker.prototype, 'load', function () {
+    if (!this.snapshots) this.snapshots = [EARLIER_SNAPSHOT];
+    return this.snapshots;
+  });
+  t.mock.method(RankTracker.prototype, 'save', () => {});
+
+  await trackAppRanks(1000000001, KEYWORDS.join(','), { ...OFFLINE_OPTIONS, depth: 20 });
+  const printed = console.log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+  assert.match(printed, /photo editor\s+#1\s+▲ 3/);
+  assert.match(printed, /retro camera\s+not in top 20\s+⬇️ dropped out/);
+  assert.match(printed, /Ranked in top 20 for 2\/3 keywords/);
+});
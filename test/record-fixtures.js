@@ -0,0 +1,375 @@
+// Records the test fixtures in test/fixtures through the fixture store's record mode
+// The real analysis flows run end to end; only the store libraries, aso-v2 and fetch are answered
+// from the fictional catalogue below, so the fixtures hold exactly what the code saves for a live run
+// Usage: npm run record-fixtures
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const store = require('app-store-scraper');
+const gplay = require('google-play-scraper');
+const aso = require('aso-v2');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const CDN = 'https://is1-ssl.mzstatic.com/image/thumb';
+const PLAY_CDN = 'https://play-lh.googleusercontent.com';
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+// App Store listings by track ID, then by storefront; 'us' is the default listing
+const LISTINGS = {
+  1000000001: {
+    us: { title: 'Lumen Photo Editor', description: 'Edit photos with filters, build a collage and retouch portraits.', subtitle: 'Filters, Collage &amp; Retouch' },
+    de: { title: 'Lumen Fotobearbeitung', description: 'Bearbeite Fotos mit Filtern, erstelle Collagen und retuschiere Porträts.', subtitle: 'Filter, Collage &amp; Retusche' },
+    screenshots: ['shot1.png', 'shot2.png']
+  },
+  1000000002: {
+    us: { title: 'Grid Collage Maker', description: 'Make a photo collage from your pictures with grids and layouts.', subtitle: 'Photo grids' },
+    screenshots: ['shot1.png']
+  },
+  1000000003: {
+    us: { title: 'Retro Film Camera', description: 'Shoot with vintage film filters and retro camera effects.', subtitle: 'Vintage photo effects' },
+    screenshots: ['shot1.png']
+  },
+  1000000005: {
+    us: { title: 'Quiet Notes', description: 'Simple notes.', subtitle: '' },
+    screenshots: []
+  }
+};
+
+const SIMILAR_APPS = { 1000000001: [1000000002, 1000000003] };
+
+// Google Play listings by package name
+const PLAY_LISTINGS = {
+  'com.example.lumen': {
+    title: 'Lumen Photo Editor - Filters & Collage',
+    summary: 'Filters, collage and retouch in one editor',
+    description: 'Edit photos with filters, build a collage and retouch portraits.',
+    recentChanges: 'New collage layouts.',
+    screenshots: ['lumen-shot1']
+  },
+  'com.example.gridcollage': {
+    title: 'Grid Collage Maker',
+    summary: 'Photo grids and layouts',
+    description: 'Make a photo collage from your pictures with grids and layouts.',
+    recentChanges: '',
+    screenshots: ['grid-shot1']
+  }
+};
+
+const PLAY_SIMILAR_APPS = { 'com.example.lumen': ['com.example.gridcollage'] };
+
+// Top Google Play search results as [package name, title]; Play results carry no genre
+const PLAY_SEARCH_RESULTS = {
+  'photo editor': [['com.example.lumen', 'Lumen Photo Editor - Filters & Collage'], ['com.example.snapstudio', 'Snap Studio'], ['com.example.pixelfix', 'Pixel Fix']],
+  'collage maker': [['com.example.layoutpro', 'Layout Pro'], ['com.example.gridcollage', 'Grid Collage Maker'], ['com.example.frameit', 'Frame It']],
+  'photo filters': [['com.example.filterbooth', 'Filter Booth'], ['com.example.lumen', 'Lumen Photo Editor - Filters & Collage'], ['com.example.glowcam', 'Glow Cam']],
+  'retouch': [['com.example.facetune', 'Face Tune Up'], ['com.example.skinsmooth', 'Skin Smooth'], ['com.example.makeup', 'Makeup Try On']],
+  'photo collage': [['com.example.gridcollage', 'Grid Collage Maker'], ['com.example.layoutpro', 'Layout Pro'], ['com.example.scrapbook', 'Scrapbook Days']],
+  'photo grid': [['com.example.gridpost', 'Grid Post'], ['com.example.instatiles', 'Insta Tiles'], ['com.example.puzzlegrid', 'Puzzle Grid']]
+};
+
+// Screenshots that answer with an error
+const MISSING_SCREENSHOTS = [`${CDN}/1000000001/shot2.png`];
+
+const REVIEWS = {
+  1000000001: [
+    { id: 'r1', userName: 'a', userUrl: '', version: '2.1.0', score: 5, title: 'Best background remover', text: 'Removes the background in one tap and the blur background tool is great.', url: '', updated: '2025-05-02T08:00:00Z' },
+    { id: 'r2', userName: 'b', userUrl: '', version: '2.1.0', score: 2, title: 'Crashes', text: 'Crashes when exporting. Please add more fonts.', url: '', updated: '2025-05-03T08:00:00Z' }
+  ],
+  1000000002: [
+    { id: 'r3', userName: 'c', userUrl: '', version: '2.1.0', score: 4, title: 'Scrapbook heaven', text: 'I make a scrapbook page every week.', url: '', updated: '2025-05-04T08:00:00Z' }
+  ]
+};
+
+const SUGGESTIONS = {
+  'photo retouch': ['photo retouch', 'photo retouch free', 'photo retouching', 'face retouch'],
+  'photo retouch free': ['photo retouch free', 'photo retouch free no watermark'],
+  'collage maker': ['collage maker', 'Collage Makers', 'photo retouch free', 'collage maker free', 'photo collage maker']
+};
+
+// Top search results as [track ID, title, genre]
+const SEARCH_RESULTS = {
+  'photo editor': [[1000000001, 'Lumen Photo Editor', 'Photo & Video'], [1000000101, 'Snap Studio', 'Photo & Video'], [1000000002, 'Grid Collage Maker', 'Photo & Video'], [1000000102, 'Pixel Fix', 'Photo & Video'], [1000000103, 'Design Kit', 'Graphics & Design']],
+  'photo filters': [[1000000104, 'Filter Booth', 'Photo & Video'], [1000000001, 'Lumen Photo Editor', 'Photo & Video'], [1000000003, 'Retro Film Camera', 'Photo & Video'], [1000000105, 'Glow Cam', 'Photo & Video'], [1000000106, 'Story Maker', 'Social Networking']],
+  'collage maker': [[1000000002, 'Grid Collage Maker', 'Photo & Video'], [1000000107, 'Layout Pro', 'Photo & Video'], [1000000001, 'Lumen Photo Editor', 'Photo & Video'], [1000000108, 'Frame It', 'Photo & Video'], [1000000109, 'Poster Lab', 'Graphics & Design']],
+  'retouch': [[1000000110, 'Face Tune Up', 'Photo & Video'], [1000000001, 'Lumen Photo Editor', 'Photo & Video'], [1000000111, 'Skin Smooth', 'Photo & Video'], [1000000112, 'Makeup Try On', 'Lifestyle'], [1000000113, 'Body Shape', 'Health & Fitness']],
+  'photo collage': [[1000000002, 'Grid Collage Maker', 'Photo & Video'], [1000000107, 'Layout Pro', 'Photo & Video'], [1000000108, 'Frame It', 'Photo & Video'], [1000000001, 'Lumen Photo Editor', 'Photo & Video'], [1000000114, 'Scrapbook Days', 'Lifestyle']],
+  'photo grid': [[1000000115, 'Grid Post', 'Social Networking'], [1000000002, 'Grid Collage Maker', 'Photo & Video'], [1000000116, 'Insta Tiles', 'Social Networking'], [1000000107, 'Layout Pro', 'Photo & Video'], [1000000117, 'Puzzle Grid', 'Games']],
+  'film camera': [[1000000003, 'Retro Film Camera', 'Photo & Video'], [1000000118, 'Dispo Cam', 'Photo & Video'], [1000000119, 'Cine Shot', 'Photo & Video'], [1000000120, 'Film Lab', 'Photo & Video'], [1000000121, 'Movie Night', 'Entertainment']],
+  'retro camera': [[1000000122, 'Retro Arcade', 'Games'], [1000000123, 'Pixel Racer', 'Games'], [1000000124, 'Vintage Radio', 'Music'], [1000000125, 'Old Camera Guide', 'Books'], [1000000119, 'Cine Shot', 'Photo & Video']],
+  'vintage filter': [[1000000126, 'Vintage Style', 'Lifestyle'], [1000000127, 'Retro Wallpapers', 'Entertainment'], [1000000128, 'Vintage Finds', 'Shopping'], [1000000129, 'Antique Value', 'Reference'], [1000000130, 'Decor Ideas', 'Lifestyle']]
+};
+
+// aso-v2 scores as [traffic, difficulty], by platform/country
+const KEYWORD_SCORES = {
+  'itunes/us': {
+    'photo editor': [3.3, 3.1], 'photo filters': [4.7, 2.9], 'collage maker': [8.7, 0.9], 'retouch': [6.2, 3.4],
+    'photo collage': [1.3, 9.1], 'photo grid': [0.8, 5.6], 'film camera': [7.3, 1.1], 'retro camera': [0.5, 3.5],
+    'vintage filter': [2.8, 9.6], 'background remover': [5.6, 9.2], 'blur background': [2.5, 7.5], 'scrapbook': [6.4, 4.8],
+    'photo retouch': [4.8, 3.6], 'photo retouch free': [9.8, 8.6], 'face retouch': [9.3, 5.1], 'photo retouch free no watermark': [5.7, 9.9]
+  },
+  'gplay/us': {
+    'photo editor': [6.1, 7.9], 'collage maker': [5.4, 2.2], 'photo filters': [3.8, 4.0], 'retouch': [2.6, 3.1],
+    'photo collage': [4.4, 6.3], 'photo grid': [2.9, 1.5]
+  },
+  'itunes/de': { 'Bildbearbeitung': [5.2, 4.1], 'fotobearbeitung': [6.8, 3.2], 'foto filter': [3.9, 2.5], 'collage erstellen': [2.1, 1.4] },
+  'itunes/jp': { '写真加工': [7.4, 5.9], '写真編集': [5.5, 3.0], 'コラージュ': [4.2, 1.8] }
+};
+
+// LLM tool calls by app title; LOCALIZED_KEYWORDS answers prompts that ask for target locales
+const SCREENSHOT_TEXT = {
+  'Lumen Photo Editor': {
+    screenshot_text: ['Filters', 'Collage', 'Retouch portraits'],
+    screenshot_details: [{ text: ['Filters', 'Collage'], features: ['Retouch portraits'] }]
+  }
+};
+const KEYWORDS = {
+  'Lumen Photo Editor - Filters & Collage': ['photo editor', 'collage maker', 'photo filters', 'retouch'],
+  'Lumen Photo Editor': ['photo editor', 'Photo Editors', 'photo filters', 'collage maker', 'retouch', 'editor photo'],
+  'Grid Collage Maker': ['collage maker', 'photo collage', 'photo grid', 'collage makers'],
+  'Retro Film Camera': ['film camera', 'retro camera', 'photo filters', 'vintage filter']
+};
+const LOCALIZED_KEYWORDS = {
+  'Lumen Photo Editor': {
+    keywords: ['photo editor', 'photo filters', 'collage maker', 'retouch'],
+    localized_keywords: [
+      { locale: 'de-DE', keywords: ['Bildbearbeitung', 'fotobearbeitung', 'Fotobearbeitung', 'foto filter', 'collage erstellen'] },
+      { locale: 'ja-JP', keywords: ['写真加工', '写真編集', 'コラージュ'] }
+    ]
+  }
+};
+const REVIEW_INSIGHTS = {
+  'Lumen Photo Editor': { keywords: ['background remover', 'blur background', 'photo editor'], phrases: ['one tap', 'blur background'], feature_requests: ['More fonts'], pain_points: ['Crashes when exporting'] },
+  'Grid Collage Maker': { keywords: ['scrapbook', 'collage maker'], phrases: ['scrapbook page'], feature_requests: [], pain_points: [] }
+};
+
+/**
+ * Builds an app in the shape app-store-scraper returns
+ * @param {number} id - Track ID
+ * @param {string} country - Storefront country
+ * @returns {Object} App
+ */
+function appStoreApp(id, country = 'us') {
+  const listing = LISTINGS[id][country] || LISTINGS[id].us;
+  return {
+    id,
+    appId: `com.example.app${id}`,
+    title: listing.title,
+    url: `https://apps.apple.com/${country}/app/id${id}`,
+    description: listing.description,
+    icon: `${CDN}/${id}/icon.png`,
+    genres: ['Photo & Video'],
+    primaryGenre: 'Photo & Video',
+    contentRating: '4+',
+    languages: ['EN'],
+    releaseNotes: 'Bug fixes.',
+    version: '2.1.0',
+    updated: '2025-05-01T10:00:00Z',
+    price: 0,
+    free: true,
+    developer: 'Example Labs',
+    score: 4.6,
+    reviews: 1200,
+    screenshots: LISTINGS[id].screenshots.map(file => `${CDN}/${id}/${file}`),
+    ipadScreenshots: []
+  };
+}
+
+/**
+ * Builds an app in the shape google-play-scraper returns
+ * @param {string} appId - Package name
+ * @param {string} country - Storefront country
+ * @param {string} lang - Language code
+ * @returns {Object} App
+ */
+function googlePlayApp(appId, country = 'us', lang = 'en') {
+  const listing = PLAY_LISTINGS[appId];
+  return {
+    appId,
+    url: `https://play.google.com/store/apps/details?id=${appId}&hl=${lang}&gl=${country}`,
+    icon: `${PLAY_CDN}/${appId}-icon`,
+    title: listing.title,
+    summary: listing.summary,
+    description: listing.description,
+    recentChanges: listing.recentChanges,
+    version: '3.4.1',
+    updated: 1746093600000,
+    developer: 'Example Labs',
+    genre: 'Photography',
+    genreId: 'PHOTOGRAPHY',
+    contentRating: 'Everyone',
+    price: 0,
+    free: true,
+    score: 4.4,
+    ratings: 5300,
+    screenshots: listing.screenshots.map(file => `${PLAY_CDN}/${file}`)
+  };
+}
+
+/**
+ * Answers an OpenAI-compatible chat completion with the catalogue's tool call
+ * @param {Object} body - Request body
+ * @returns {Object} Response body
+ */
+function chatCompletion(body) {
+  const tool = body.tools[0].function.name;
+  const prompt = body.messages[0].content[0].text;
+
+  let input;
+  let usage = { prompt_tokens: 900, completion_tokens: 80 };
+  if (tool === 'extract_review_insights') {
+    input = REVIEW_INSIGHTS[prompt.match(/reviews of the app "(.*)"/)[1]];
+    usage = { prompt_tokens: 400, completion_tokens: 60 };
+  } else {
+    const title = prompt.match(/^Title: (.*)$/m)[1];
+    const extracted = SCREENSHOT_TEXT[title] || { screenshot_text: [], screenshot_details: [] };
+    if (prompt.includes('target locales')) {
+      input = { ...LOCALIZED_KEYWORDS[title], ...extracted };
+      usage = { prompt_tokens: 1300, completion_tokens: 140 };
+    } else if (KEYWORDS[title]) {
+      input = { keywords: KEYWORDS[title], ...extracted };
+    }
+  }
+
+  const toolCalls = input ? [{ function: { name: tool, arguments: JSON.stringify(input) } }] : [];
+  return { choices: [{ message: { tool_calls: toolCalls } }], usage };
+}
+
+/**
+ * Builds a fetch response
+ * @param {number} status - HTTP status
+ * @param {Object} body - { text, json, buffer, contentType }
+ * @returns {Object} Response
+ */
+function response(status, { text = '', json = null, buffer = null, contentType = null } = {}) {
+  return {
+    ok: status < 400,
+    status,
+    headers: { get: name => (name.toLowerCase() === 'content-type' ? contentType : null) },
+    text: async () => text,
+    json: async () => json,
+    arrayBuffer: async () => buffer
+  };
+}
+
+/**
+ * Answers the store libraries, aso-v2 and fetch from the catalogue
+ */
+function useCatalogue() {
+  store.app = async ({ id, country = 'us' }) => {
+    // app-store-scraper rejects failed HTTP requests with { response }
+    if (!LISTINGS[id]) throw { response: { statusCode: 404 } };
+    return appStoreApp(id, country);
+  };
+  store.similar = async ({ id, country = 'us' }) => (SIMILAR_APPS[id] || []).map(similarId => appStoreApp(similarId, country));
+  store.search = async ({ term, idsOnly }) => (SEARCH_RESULTS[term] || []).map(([id, title, genre]) => (idsOnly ? id : {
+    id, appId: `com.example.app${id}`, title, genres: [genre], primaryGenre: genre
+  }));
+  store.suggest = async ({ term }) => (SUGGESTIONS[term] || []).map(suggestion => ({ term: suggestion }));
+  store.reviews = async ({ id, page }) => (page === 1 && REVIEWS[id]) || [];
+
+  gplay.app = async ({ appId, country, lang }) => {
+    if (!PLAY_LISTINGS[appId]) throw new Error('App not found (404)');
+    return googlePlayApp(appId, country, lang);
+  };
+  gplay.search = async ({ term }) => (PLAY_SEARCH_RESULTS[term] || []).map(([appId, title]) => ({ appId, title }));
+  gplay.similar = async ({ appId, country, lang }) => (PLAY_SIMILAR_APPS[appId] || []).map(similarId => googlePlayApp(similarId, country, lang));
+
+  aso.ASO = class {
+    constructor(platform, { country = 'us' } = {}) {
+      this.scores = KEYWORD_SCORES[`${platform}/${country}`] || {};
+    }
+
+    async analyzeKeyword(keyword) {
+      const [traffic, difficulty] = this.scores[keyword] || [0, 0];
+      return { traffic: { score: traffic }, difficulty: { score: difficulty } };
+    }
+  };
+
+  global.fetch = async (url, init = {}) => {
+    if (url.startsWith(PLAY_CDN)) {
+      return response(200, { buffer: PNG, contentType: 'image/png' });
+    }
+    if (url.startsWith(CDN)) {
+      return MISSING_SCREENSHOTS.some(missing => url.startsWith(missing.replace(/\.png$/, '')))
+        ? response(404, { text: 'Not Found' })
+        : response(200, { buffer: PNG, contentType: 'image/png' });
+    }
+    const page = url.match(/^https:\/\/apps\.apple\.com\/(\w+)\/app\/id(\d+)/);
+    if (page) {
+      const listing = LISTINGS[page[2]][page[1]] || LISTINGS[page[2]].us;
+      return response(200, {
+        text: listing.subtitle ? `<h2 class="product-header__subtitle app-header__subtitle">${listing.subtitle}</h2>` : '<h1>No subtitle</h1>'
+      });
+    }
+    if (url.endsWith('/chat/completions')) {
+      return response(200, { json: chatCompletion(JSON.parse(init.body)) });
+    }
+    throw new Error(`No catalogue entry for ${url}`);
+  };
+}
+
+/**
+ * Records one fixture file from scratch
+ * @param {string} name - Fixture file name without extension
+ * @param {Function} run - Async function running the flows to record
+ */
+async function record(name, run) {
+  const { scheduler } = require('../services/request-scheduler');
+  const { FixtureStore } = require('../services/fixture-store');
+
+  const filePath = path.join(FIXTURES_DIR, `${name}.json`);
+  fs.rmSync(filePath, { force: true });
+  scheduler.useFixtures(new FixtureStore(filePath, { mode: 'record' }));
+  await run();
+  console.log(`📼 Recorded ${path.relative(process.cwd(), filePath)}`);
+}
+
+async function main() {
+  useCatalogue();
+
+  const { scheduler } = require('../services/request-scheduler');
+  const { parseLocale } = require('../services/localization');
+  const { getAppData } = require('../services/app-store-scraper');
+  const { generateKeywords } = require('../services/keyword-generator');
+  const googlePlayScraper = require('../services/google-play-scraper');
+  const { expandKeywords } = require('../services/keyword-expansion');
+  const { RankTracker } = require('../services/rank-tracker');
+  const { analyzeApp, searchKeywords, localizeAppKeywords, compareKeywordsAcrossStores, auditAppMetadata, analyzeKeywordGap } = require('../main');
+
+  // Nothing is rate limited or retried against the catalogue
+  scheduler.configure({ maxRetries: 0, services: Object.fromEntries(['scraper', 'aso', 'screenshots', 'llm'].map(service => [service, { requestsPerSecond: 0 }])) });
+  const options = { country: 'us', lang: 'en', llm: { provider: 'openai', apiKey: 'recording' }, cache: null, history: null };
+
+  await record('analyze-app', async () => {
+    await analyzeApp(1000000001, { ...options, reviews: { pages: 2, sort: 'recent' } });
+    await analyzeApp(1000000001, { ...options, validate: { threshold: 30, depth: 20, action: 'flag' } });
+    await searchKeywords('photo editor, photo filters, photo retouch', 3, options);
+    await searchKeywords('photo retouch', 3, { ...options, expand: { depth: 2 } });
+    await localizeAppKeywords(1000000001, ['de-DE', 'ja-JP'].map(parseLocale), 3, options);
+    await auditAppMetadata(1000000001, 'photo editor, collage maker, retouch, background remover', { ...options, concurrency: 2 });
+    await expandKeywords(['photo retouch', 'collage maker'], { ...options, depth: 2 });
+    await analyzeKeywordGap(1000000001, 3, options);
+
+    const snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aso-record-'));
+    await new RankTracker({ filePath: path.join(snapshotDir, 'ranks.json'), depth: 20 }).trackKeywords(1000000001, ['photo editor', 'collage maker', 'retro camera'], options);
+    fs.rmSync(snapshotDir, { recursive: true, force: true });
+  });
+
+  await record('google-play', async () => {
+    await analyzeApp('com.example.lumen', { ...options, platform: 'gplay' });
+    await analyzeApp('com.example.lumen', { ...options, platform: 'gplay', validate: { depth: 20, action: 'flag' } });
+    await compareKeywordsAcrossStores('collage maker, photo editor, photo grid', 3, options);
+    await googlePlayScraper.getAppData('com.example.missing', options).catch(() => {});
+  });
+
+  await record('errors', async () => {
+    await analyzeApp(1000000404, options).catch(() => {});
+    await generateKeywords(await getAppData(1000000005, options), options).catch(() => {});
+  });
+}
+
+main().catch(error => {
+  console.error('❌ Recording failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { OFFLINE_OPTIONS, replayFixtures, silenceLogs, makeTempDir } = require('./helpers');
+const { getRelevanceScore } = require('../services/relevance-validator');
+const { KeywordCache } = require('../services/keyword-cache');
+const { formatAppAnalysis } = require('../services/output-formatter');
+const { analyzeApp } = require('../main');
+
+before(() => replayFixtures('analyze-app'));
+
+test('relevance adds up our app, similar apps and the share of results in our genre', () => {
+  assert.equal(getRelevanceScore({ ownRank: 3, similarApps: [], genreMatches: 0, resultCount: 5 }), 50);
+  assert.equal(getRelevanceScore({ ownRank: null, similarApps: ['Grid Collage Maker'], genreMatches: 2, resultCount: 5 }), 65);
+  assert.equal(getRelevanceScore({ ownRank: 1, similarApps: ['Grid Collage Maker', 'Retro Film Camera'], genreMatches: 5, resultCount: 5 }), 100);
+  assert.equal(getRelevanceScore({ ownRank: null, similarApps: [], genreMatches: null, resultCount: 5 }), 0);
+  assert.equal(getRelevanceScore({ ownRank: null, similarApps: [], genreMatches: null, resultCount: 0 }), 0);
+});
+
+test('analyzeApp flags keywords without search presence and keeps scoring them', async (t) => {
+  silenceLogs(t);
+  const analysis = await analyzeApp(1000000001, { ...OFFLINE_OPTIONS, validate: { threshold: 30, depth: 20, action: 'flag' } });
+
+  const irrelevant = analysis.validations.filter(validation => !validation.relevant).map(validation => validation.keyword);
+  assert.deepEqual(irrelevant, ['retro camera', 'vintage filter']);
+
+  const flagged = analysis.keywordAnalysis.find(result => result.keyword === 'retro camera');
+  assert.equal(flagged.relevanceScore, 20);
+  assert.equal(flagged.relevanceReason, 'relevance 20 < 30: no app of ours in top 5, 1/5 results in Photo & Video');
+  assert.equal(analysis.keywordAnalysis.length, 9);
+
+  const editor = analysis.keywordAnalysis.find(result => result.keyword === 'photo editor');
+  assert.match(editor.relevanceReason, /^relevance 100 ≥ 30: our app #1, similar apps Grid Collage Maker/);
+});
+
+test('flagged keywords served from the cache keep their relevance', async (t) => {
+  silenceLogs(t);
+  const cache = new KeywordCache({ filePath: path.join(makeTempDir(t, 'aso-cache-'), 'keywords.json') });
+  const options = { ...OFFLINE_OPTIONS, cache, validate: { threshold: 30, depth: 20, action: 'flag' } };
+  await analyzeApp(1000000001, options);
+  const analysis = await analyzeApp(1000000001, options);
+
+  assert.equal(cache.getStats().hits, analysis.keywordAnalysis.length);
+  const flagged = analysis.keywordAnalysis.filter(result => result.relevant === false).map(result => result.keyword);
+  assert.deepEqual(flagged.sort(), ['retro camera', 'vintage filter']);
+  const logged = console.log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+  assert.match(logged, /retro camera .* ⚠️ low relevance 20/);
+});
+
+test('analyzeApp drops irrelevant keywords before scoring and reports why', async (t) => {
+  silenceLogs(t);
+  const analysis = await analyzeApp(1000000001, { ...OFFLINE_OPTIONS, validate: { threshold: 30, depth: 20, action: 'drop' } });
+
+  const scored = analysis.keywordAnalysis.map(result => result.keyword);
+  assert.equal(scored.length, 7);
+  assert.ok(!scored.includes('retro camera') && !scored.includes('vintage filter'));
+
+  const csv = formatAppAnalysis(analysis, 'csv');
+  assert.match(csv.split('\n')[0], /,relevanceScore,relevanceReason$/);
+  assert.match(csv, /similar,Retro Film Camera,metadata,vintage filter,,,,,,,,,,,,0,"relevance 0 < 30: no app of ours in top 5, 0\/5 results in Photo & Video"/);
+  assert.match(formatAppAnalysis(analysis, 'markdown'), /- vintage filter \(dropped\): relevance 0 < 30/);
+});
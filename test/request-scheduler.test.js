@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { silenceLogs } = require('./helpers');
+const { RequestScheduler, RequestError } = require('../services/request-scheduler');
+
+const UNLIMITED = Object.fromEntries(['scraper', 'aso', 'screenshots', 'llm'].map(service => [service, { concurrency: 3, requestsPerSecond: 0 }]));
+
+/**
+ * Creates a scheduler whose waits are recorded instead of slept, with the jitter at its minimum
+ * @param {TestContext} t - node:test context
+ * @param {Object} config - Scheduler config
+ * @returns {Object} { scheduler, waits }
+ */
+function createScheduler(t, config = {}) {
+  const scheduler = new RequestScheduler({ maxRetries: 3, baseDelayMs: 100, maxDelayMs: 1000, services: UNLIMITED, ...config });
+  const waits = [];
+  t.mock.method(scheduler, 'delay', async ms => { waits.push(ms); });
+  t.mock.method(Math, 'random', () => 0);
+  return { scheduler, waits };
+}
+
+/**
+ * Builds a task that fails with the given rejections in turn, then resolves
+ * @param {Array<*>} rejections - Rejection values for the first calls
+ * @returns {Function} Task, with calls counting its attempts
+ */
+function failingTask(rejections) {
+  const task = async () => {
+    task.calls++;
+    if (task.calls <= rejections.length) throw rejections[task.calls - 1];
+    return 'ok';
+  };
+  task.calls = 0;
+  return task;
+}
+
+test('429 and 5xx failures are retried with backoff, or the server\'s Retry-After capped at the longest backoff', async (t) => {
+  silenceLogs(t);
+  const { scheduler, waits } = createScheduler(t);
+  const task = failingTask([
+    new RequestError('slow down', 429, 5000),
+    { response: { statusCode: 503 } },
+    new RequestError('bad gateway', 502)
+  ]);
+
+  assert.equal(await scheduler.schedule('aso', task, 'keyword "photo editor"'), 'ok');
+  assert.equal(task.calls, 4);
+  // Retry-After capped at 1000, then half of 200 and 400 with no jitter
+  assert.deepEqual(waits, [1000, 100, 200]);
+  assert.deepEqual(scheduler.getStats().services.aso, { requests: 4, retries: 3, failures: 0 });
+  assert.match(console.warn.mock.calls[1].arguments[0], /Retrying keyword "photo editor" in 0\.1s \(2\/3\): Request failed with status 503/);
+});
+
+test('a call that keeps failing gives up after the last retry with its last error', async (t) => {
+  silenceLogs(t);
+  const { scheduler, waits } = createScheduler(t, { maxRetries: 2 });
+  const task = failingTask([1, 2, 3].map(n => new RequestError(`server error ${n}`, 500)));
+
+  await assert.rejects(scheduler.schedule('llm', task), { message: 'server error 3', status: 500 });
+  assert.equal(task.calls, 3);
+  assert.equal(waits.length, 2);
+  assert.deepEqual(scheduler.getStats().services.llm, { requests: 3, retries: 2, failures: 1 });
+});
+
+test('errors that aren\'t transient fail straight away', async (t) => {
+  silenceLogs(t);
+  const { scheduler, waits } = createScheduler(t);
+  const notFound = new RequestError('not found', 404);
+  const bug = new TypeError('Cannot read properties of undefined');
+
+  await assert.rejects(scheduler.schedule('scraper', failingTask([notFound])), error => error === notFound);
+  await assert.rejects(scheduler.schedule('scraper', failingTask([bug])), error => error === bug);
+  // Non-Error rejections become Errors with the status in the message
+  await assert.rejects(scheduler.schedule('scraper', failingTask([{ response: { statusCode: 404 } }])), { message: 'Request failed with status 404', status: 404 });
+
+  assert.deepEqual(waits, []);
+  assert.deepEqual(scheduler.getStats().services.scraper, { requests: 3, retries: 0, failures: 3 });
+});
+
+test('each service spaces its own calls by its rate limit', async (t) => {
+  const { scheduler, waits } = createScheduler(t, {
+    services: { scraper: { concurrency: 3, requestsPerSecond: 2 }, aso: { concurrency: 3, requestsPerSecond: 4 } }
+  });
+  t.mock.method(Date, 'now', () => 1000000);
+
+  const calls = [
+    ...[1, 2, 3].map(() => scheduler.schedule('scraper', async () => 'page')),
+    ...[1, 2].map(() => scheduler.schedule('aso', async () => 'score')),
+    scheduler.schedule('llm', async () => 'keywords')
+  ];
+  await Promise.all(calls);
+
+  // The scraper's second and third calls wait 500ms apart, the ASO's second 250ms, the unlimited LLM not at all
+  assert.deepEqual(waits, [500, 1000, 250]);
+});
@@ -0,0 +1,48 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { replayFixtures, silenceLogs } = require('./helpers');
+const { ASOAnalyzer } = require('../services/aso-analyzer');
+const { ScoringModel, DEFAULT_SCORING_MODEL } = require('../services/scoring-model');
+
+before(() => replayFixtures('analyze-app'));
+
+test('the default model scores opportunity and explains the rule and signals behind a recommendation', () => {
+  const scored = DEFAULT_SCORING_MODEL.score({
+    traffic: { suggest: { index: 3, score: 8.1 }, ranked: { count: 40, score: 9.2 }, score: 8.7 },
+    difficulty: { titleMatches: { exact: 1, score: 1.2 }, score: 0.9 }
+  });
+
+  assert.equal(scored.trafficScore, 87);
+  assert.equal(scored.difficultyScore, 9);
+  assert.equal(scored.opportunityScore, 79);
+  assert.equal(scored.recommendation, 'excellent');
+  assert.equal(scored.explanation, 'excellent: traffic 87 ≥ 60, difficulty 9 ≤ 40; traffic 87 from suggest 8.1, ranked 9.2; difficulty 9 from titleMatches 1.2');
+  assert.equal(DEFAULT_SCORING_MODEL.score({ traffic: { score: 3.3 }, difficulty: { score: 3.1 } }).explanation, 'consider: no rule matched');
+});
+
+test('a custom model changes bands, weights, rules and ranking', async (t) => {
+  silenceLogs(t);
+  const scoring = new ScoringModel({
+    weights: { traffic: 0.5 },
+    trafficBands: [{ level: 'busy', min: 30 }, { level: 'quiet', min: 0 }],
+    rules: [{ recommendation: 'niche_win', opportunity: { min: 50 } }],
+    recommendationOrder: ['niche_win', 'consider']
+  });
+
+  const result = await new ASOAnalyzer('itunes', { country: 'us', scoring }).analyzeKeyword('photo editor');
+  assert.equal(result.trafficLevel, 'busy');
+  assert.equal(result.opportunityScore, 40);
+  assert.equal(result.recommendation, 'consider');
+
+  const best = await new ASOAnalyzer('itunes', { country: 'us', scoring }).analyzeKeyword('collage maker');
+  assert.equal(best.recommendation, 'niche_win');
+  assert.equal(best.explanation, 'niche_win: opportunity 85 ≥ 50');
+  assert.equal(scoring.compare(result, best) > 0, true);
+});
+
+test('invalid scoring configs are rejected', () => {
+  assert.throws(() => new ScoringModel({ scale: 0 }), /scale must be a positive number/);
+  assert.throws(() => new ScoringModel({ trafficBands: [{ level: 'low', min: 0 }, { level: 'high', min: 60 }] }), /highest min to the lowest/);
+  assert.throws(() => new ScoringModel({ rules: [{ recommendation: 'good', installs: { min: 1 } }] }), /unknown field "installs"/);
+  assert.throws(() => new ScoringModel({ rules: [{ recommendation: 'great', traffic: { min: 70 } }] }), /recommendationOrder is missing: great/);
+});
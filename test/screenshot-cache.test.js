@@ -0,0 +1,60 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { OFFLINE_OPTIONS, replayFixtures, silenceLogs, makeTempDir } = require('./helpers');
+const { scheduler } = require('../services/request-scheduler');
+const { ScreenshotCache } = require('../services/screenshot-cache');
+const { getAppData } = require('../services/app-store-scraper');
+const { generateKeywords, getScaledImageUrl } = require('../services/keyword-generator');
+
+before(() => replayFixtures('analyze-app'));
+
+test('store screenshot URLs are rewritten to a smaller rendition', () => {
+  assert.equal(
+    getScaledImageUrl('https://is1-ssl.mzstatic.com/image/thumb/Purple/ab/cd/392x696bb.png', 600),
+    'https://is1-ssl.mzstatic.com/image/thumb/Purple/ab/cd/600x0w.png'
+  );
+  assert.equal(
+    getScaledImageUrl('https://play-lh.googleusercontent.com/abc=w526-h296-rw', 600),
+    'https://play-lh.googleusercontent.com/abc=w600'
+  );
+  assert.equal(getScaledImageUrl('https://example.com/shot.png', 600), 'https://example.com/shot.png');
+});
+
+test('screenshot extractions are stored once and reused instead of re-sending images', async (t) => {
+  silenceLogs(t);
+  const screenshotCache = new ScreenshotCache({ dir: makeTempDir(t, 'aso-screenshots-') });
+  const appData = await getAppData(1000000001, OFFLINE_OPTIONS);
+  const screenshotRequests = () => scheduler.getStats().services.screenshots.requests;
+
+  const first = screenshotRequests();
+  await generateKeywords(appData, { ...OFFLINE_OPTIONS, screenshotCache });
+  assert.equal(screenshotRequests() - first, 2);
+  assert.deepEqual(screenshotCache.getExtraction(appData.screenshots[0]), { text: ['Filters', 'Collage'], features: ['Retouch portraits'] });
+
+  // Only the screenshot that failed to download is tried again
+  const again = screenshotRequests();
+  const generated = await generateKeywords(appData, { ...OFFLINE_OPTIONS, screenshotCache });
+  assert.equal(screenshotRequests() - again, 1);
+  assert.deepEqual(generated.screenshotText.slice(0, 2), ['Filters', 'Collage']);
+});
+
+test('screenshots over the count limit are not sent', async (t) => {
+  silenceLogs(t);
+  const appData = await getAppData(1000000001, OFFLINE_OPTIONS);
+  const start = scheduler.getStats().services.screenshots.requests;
+
+  await generateKeywords(appData, { ...OFFLINE_OPTIONS, screenshotLimits: { maxCount: 1 } });
+  assert.equal(scheduler.getStats().services.screenshots.requests - start, 1);
+});
+
+test('screenshots over the size limit are neither sent nor cached', async (t) => {
+  silenceLogs(t);
+  const screenshotCache = new ScreenshotCache({ dir: makeTempDir(t, 'aso-screenshots-') });
+  const appData = await getAppData(1000000001, OFFLINE_OPTIONS);
+
+  const generated = await generateKeywords(appData, { ...OFFLINE_OPTIONS, screenshotCache, screenshotLimits: { maxCount: 1, maxBytes: 8 } });
+  assert.equal(screenshotCache.getImage(appData.screenshots[0]), null);
+  assert.equal(screenshotCache.getExtraction(appData.screenshots[0]), null);
+  assert.ok(generated.keywords.length > 0);
+  assert.match(console.warn.mock.calls.map(call => call.arguments.join(' ')).join('\n'), /Image over \d+ KB/);
+});
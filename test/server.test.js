@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { replayFixtures, silenceLogs } = require('./helpers');
+const { createServer } = require('../server');
+
+/**
+ * Starts a server on a free port that is closed after the test
+ * @param {TestContext} t - node:test context
+ * @returns {Promise<number>} Port
+ */
+async function listen(t) {
+  const server = createServer({}).listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+  return server.address().port;
+}
+
+/**
+ * Sends a request and reads the JSON response
+ * @param {number} port - Server port
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {string} body - Request body (optional)
+ * @returns {Promise<Object>} { statusCode, connection, body }
+ */
+function request(port, method, path, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, method, path }, res => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ statusCode: res.statusCode, connection: res.headers.connection, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test('an oversized body gets a 413 before the connection is closed', async (t) => {
+  const port = await listen(t);
+  const response = await request(port, 'POST', '/api/analyze', JSON.stringify({ appId: 'x'.repeat(2 * 1024 * 1024) }));
+
+  assert.deepEqual(response, { statusCode: 413, connection: 'close', body: { error: 'Request body too large' } });
+});
+
+test('the body limit counts bytes, not characters', async (t) => {
+  const port = await listen(t);
+  // 600K characters, 1.2 MB in UTF-8
+  const response = await request(port, 'POST', '/api/analyze', JSON.stringify({ appId: 'é'.repeat(600 * 1024) }));
+
+  assert.equal(response.statusCode, 413);
+});
+
+test('the result of a failed job is a 409 with the job\'s error', async (t) => {
+  silenceLogs(t);
+  replayFixtures('errors');
+  const port = await listen(t);
+
+  const { body: job } = await request(port, 'POST', '/api/analyze', JSON.stringify({ appId: 1000000404 }));
+  let status = job;
+  while (status.status === 'queued' || status.status === 'running') {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    status = (await request(port, 'GET', `/api/jobs/${job.id}`)).body;
+  }
+
+  const result = await request(port, 'GET', `/api/jobs/${job.id}/result`);
+  assert.equal(result.statusCode, 409);
+  assert.deepEqual(result.body, { error: 'Job failed: App not found' });
+});
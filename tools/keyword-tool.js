@@ -12,6 +12,53 @@ const KEYWORD_FUNCTION = {
           description: "A relevant search keyword that users would likely use to find this app"
         },
         description: "Array of 10-15 highly relevant keywords for app store search optimization"
+      },
+      localized_keywords: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            locale: {
+              type: "string",
+              description: "Target locale code exactly as given in the prompt, e.g. de-DE"
+            },
+            keywords: {
+              type: "array",
+              items: { type: "string" },
+              description: "Search keywords written natively in the locale's language, not translated word for word"
+            }
+          },
+          required: ["locale", "keywords"]
+        },
+        description: "One entry per target locale listed in the prompt; leave out when no target locales are given"
+      },
+      screenshot_text: {
+        type: "array",
+        items: {
+          type: "string",
+          description: "A piece of text or a feature visible in one of the screenshots"
+        },
+        description: "Text and features visible in the app screenshots, as seen in the images"
+      },
+      screenshot_details: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            text: {
+              type: "array",
+              items: { type: "string" },
+              description: "Text visible in this screenshot"
+            },
+            features: {
+              type: "array",
+              items: { type: "string" },
+              description: "App features shown in this screenshot"
+            }
+          },
+          required: ["text", "features"]
+        },
+        description: "One entry per attached screenshot, in the order the screenshots were attached"
       }
     },
     required: ["keywords"]
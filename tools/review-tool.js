@@ -0,0 +1,47 @@
+// Function tool definition for review mining
+const REVIEW_FUNCTION = {
+  name: "extract_review_insights",
+  description: "Extracts the language users use in app reviews, along with their feature requests and pain points",
+  input_schema: {
+    type: "object",
+    properties: {
+      keywords: {
+        type: "array",
+        items: {
+          type: "string",
+          description: "A search query a user would type to find this kind of app, worded the way reviewers talk"
+        },
+        description: "Array of 10-20 search keywords derived from how users describe the app in reviews"
+      },
+      phrases: {
+        type: "array",
+        items: {
+          type: "string",
+          description: "A word or short phrase reviewers use for the app or one of its features"
+        },
+        description: "Recurring words and phrases taken from the reviews as written"
+      },
+      feature_requests: {
+        type: "array",
+        items: {
+          type: "string",
+          description: "A feature or change users ask for"
+        },
+        description: "Features users ask for, most requested first"
+      },
+      pain_points: {
+        type: "array",
+        items: {
+          type: "string",
+          description: "A problem or frustration users report"
+        },
+        description: "Problems users complain about, most frequent first"
+      }
+    },
+    required: ["keywords", "phrases", "feature_requests", "pain_points"]
+  }
+};
+
+module.exports = {
+  REVIEW_FUNCTION
+};